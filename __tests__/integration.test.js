@@ -1,6 +1,11 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest'
 import request from 'supertest'
 import jwt from 'jsonwebtoken'
+import mongoose from 'mongoose'
+import crypto from 'crypto'
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
 
 process.env.SKIP_DB_CONNECTION = 'true'
 process.env.SECRET = 'test-secret'
@@ -8,8 +13,14 @@ process.env.SECRET = 'test-secret'
 vi.mock('../models/user.js', () => ({
   User: {
     findOne: vi.fn(),
+    findOneAndUpdate: vi.fn(),
     create: vi.fn(),
-    findByIdAndDelete: vi.fn()
+    findByIdAndDelete: vi.fn(),
+    find: vi.fn(),
+    findById: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
+    insertMany: vi.fn(),
+    deleteMany: vi.fn()
   }
 }))
 
@@ -19,15 +30,146 @@ vi.mock('../models/profile.js', () => ({
     create: vi.fn(),
     findById: vi.fn(),
     findByIdAndUpdate: vi.fn(),
+    findByIdAndDelete: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    find: vi.fn(),
+    exists: vi.fn(),
+    insertMany: vi.fn(),
+    bulkWrite: vi.fn(),
+    deleteMany: vi.fn(),
+    updateMany: vi.fn()
+  }
+}))
+
+vi.mock('../models/assessment.js', () => ({
+  Assessment: {
+    find: vi.fn(),
+    findOne: vi.fn(),
+    create: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}))
+
+vi.mock('../models/classroom.js', () => ({
+  Classroom: {
+    find: vi.fn(),
+    findOne: vi.fn(),
+    findById: vi.fn(),
+    create: vi.fn(),
+    exists: vi.fn(),
+    findByIdAndUpdate: vi.fn(),
     findByIdAndDelete: vi.fn()
   }
 }))
 
+vi.mock('../models/authSession.js', () => ({
+  AuthSession: {
+    create: vi.fn(),
+    findById: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    exists: vi.fn(),
+    updateOne: vi.fn(),
+    updateMany: vi.fn()
+  }
+}))
+
+vi.mock('../models/joinCode.js', () => ({
+  JoinCode: {
+    find: vi.fn(),
+    findOne: vi.fn(),
+    create: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}))
+
+vi.mock('../models/passwordReset.js', () => ({
+  PasswordReset: {
+    create: vi.fn(),
+    deleteMany: vi.fn(),
+    findOneAndUpdate: vi.fn()
+  }
+}))
+
+vi.mock('../models/auditLog.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  AuditLog: {
+    create: vi.fn(),
+    find: vi.fn(),
+    countDocuments: vi.fn()
+  }
+}))
+
+vi.mock('../models/testSession.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  TestSession: {
+    find: vi.fn(),
+    create: vi.fn(),
+    findOneAndUpdate: vi.fn(),
+    updateOne: vi.fn(),
+    updateMany: vi.fn(),
+    countDocuments: vi.fn()
+  }
+}))
+
+vi.mock('../services/live-session-store.js', async (importOriginal) => ({
+  ...(await importOriginal()),
+  saveLiveSession: vi.fn(),
+  closeLiveSession: vi.fn(),
+  loadActiveLiveSessions: vi.fn()
+}))
+
 const { User } = await import('../models/user.js')
 const { Profile } = await import('../models/profile.js')
+const { Assessment } = await import('../models/assessment.js')
+const { TestSession } = await import('../models/testSession.js')
+const { Classroom } = await import('../models/classroom.js')
+const { AuthSession } = await import('../models/authSession.js')
+const { JoinCode } = await import('../models/joinCode.js')
+const { PasswordReset } = await import('../models/passwordReset.js')
+const { AuditLog } = await import('../models/auditLog.js')
 const { app } = await import('../server.js')
+const { getLevelWords } = await import('../services/fry-catalog.js')
+const { authenticateSocket } = await import('../socket/socketAuth.js')
+const { joinAuthRooms, setSocketServer } = await import('../socket/notifier.js')
+const { computeCommonWords } = await import('../services/small-groups.js')
+const { getIpBlock, recordFailedLogin } = await import(
+  '../services/login-lockout.js'
+)
+const { createMailTransport, setMailTransport } = await import(
+  '../services/mailer.js'
+)
+const {
+  getSessionDurationMs,
+  getWordRemainingMs,
+  startWordClock,
+  pauseSessionClock,
+  resumeSessionClock
+} = await import('../services/session-timing.js')
+const { initWordQueue, advanceWordQueue, getWordQueueState } = await import(
+  '../services/word-queue.js'
+)
+const { buildSessionDashboard } = await import(
+  '../services/session-dashboard.js'
+)
+const { serializeSession, deserializeSession, closeLiveSession } = await import(
+  '../services/live-session-store.js'
+)
+const { validateEventPayload, validateSocketEvents } = await import(
+  '../socket/eventValidation.js'
+)
+const { EVENT_SCHEMAS } = await import('../socket/eventSchemas.js')
+const { handleTestingEvents, sweepAbandonedTestSessions } = await import(
+  '../socket/testingHandlers.js'
+)
+
+const { loadMigrations, getMigrationStatus, migrateUp, migrateDown } =
+  await import('../services/migration-runner.js')
 
 const profileId = '507f1f77bcf86cd799439011'
+const authSessionId = '507f1f77bcf86cd799439091'
+
+const sha256 = (value) =>
+  crypto.createHash('sha256').update(value).digest('hex')
 
 const createAuthedRequest = () => {
   const token = jwt.sign(
@@ -36,7 +178,8 @@ const createAuthedRequest = () => {
         _id: '507f1f77bcf86cd799439012',
         profile: profileId,
         role: 'teacher'
-      }
+      },
+      sid: authSessionId
     },
     process.env.SECRET,
     { expiresIn: '24h' }
@@ -49,14 +192,78 @@ const createPopulateQuery = (result) => ({
   populate: vi.fn().mockResolvedValue(result)
 })
 
+const createSelectQuery = (result) => ({
+  select: vi.fn().mockResolvedValue(result)
+})
+
+const createSortQuery = (result) => ({
+  sort: vi.fn().mockResolvedValue(result)
+})
+
+// supertest parser for binary downloads
+const collectBinary = (res, callback) => {
+  const chunks = []
+  res.on('data', (chunk) => chunks.push(chunk))
+  res.on('end', () => callback(null, Buffer.concat(chunks)))
+}
+
+// Just enough of a native db handle for the migration runner
+const createMigrationDb = () => {
+  const records = new Map()
+
+  return {
+    collection: () => ({
+      find: () => ({ toArray: async () => [...records.values()] }),
+      insertOne: async (record) => records.set(record._id, record),
+      deleteOne: async ({ _id }) => records.delete(_id)
+    })
+  }
+}
+
+// Just enough of a socket.io socket to drive the testing handlers
+const createHandlerSocket = (id, user, allUsers) => {
+  const handlers = new Map()
+  const roomEmit = vi.fn()
+  const ioEmit = vi.fn()
+  const socket = {
+    id,
+    data: { user },
+    on: (event, handler) => handlers.set(event, handler),
+    emit: vi.fn(),
+    join: vi.fn(),
+    to: vi.fn(() => ({ emit: roomEmit }))
+  }
+  const io = {
+    to: vi.fn(() => ({ emit: ioEmit })),
+    in: vi.fn(() => ({ emit: ioEmit }))
+  }
+  handleTestingEvents(socket, io, allUsers)
+
+  return {
+    socket,
+    io,
+    roomEmit,
+    ioEmit,
+    run: (event, data) => handlers.get(event)(data),
+    send: (event, data) =>
+      new Promise((resolve) => handlers.get(event)(data, resolve))
+  }
+}
+
+const findEmitted = (emit, event) =>
+  emit.mock.calls.filter(([name]) => name === event).map(([, data]) => data)
+
 describe('API integration tests', () => {
   beforeEach(() => {
     vi.clearAllMocks()
+    AuthSession.exists.mockResolvedValue({ _id: authSessionId })
   })
 
   describe('Auth endpoints', () => {
     it('signs up a new user successfully', async () => {
+      AuthSession.create.mockResolvedValue({ _id: authSessionId })
       Profile.findOne.mockResolvedValue(null)
+      User.findOne.mockResolvedValue(null)
       Profile.create.mockResolvedValue({ _id: profileId })
       User.create.mockResolvedValue({ _id: '507f1f77bcf86cd799439099' })
 
@@ -75,6 +282,24 @@ describe('API integration tests', () => {
       expect(User.create).toHaveBeenCalled()
     })
 
+    it('rejects signup with a name another account already uses', async () => {
+      Profile.findOne.mockResolvedValue(null)
+      User.findOne.mockResolvedValue({ _id: '507f1f77bcf86cd799439099' })
+
+      const response = await request(app).post('/api/auth/signup').send({
+        name: 'Taken Name',
+        email: 'someone-else@example.com',
+        password: 'newpassword',
+        avatar: 'new-avatar.png',
+        grade: 4,
+        role: 'student'
+      })
+
+      expect(response.status).toBe(409)
+      expect(response.body).toEqual({ err: 'That name is already taken' })
+      expect(Profile.create).not.toHaveBeenCalled()
+    })
+
     it('rejects signup when required fields are missing', async () => {
       const response = await request(app).post('/api/auth/signup').send({
         name: 'Incomplete User'
@@ -91,6 +316,7 @@ describe('API integration tests', () => {
     })
 
     it('logs in with valid credentials', async () => {
+      AuthSession.create.mockResolvedValue({ _id: authSessionId })
       User.findOne.mockResolvedValue({
         _id: '507f1f77bcf86cd799439013',
         comparePassword: (_password, callback) => callback(null, true)
@@ -103,9 +329,17 @@ describe('API integration tests', () => {
 
       expect(response.status).toBe(200)
       expect(response.body).toHaveProperty('token')
+      expect(response.body.refreshToken).toMatch(
+        new RegExp(`^${authSessionId}\\.`)
+      )
+      expect(jwt.decode(response.body.token)).toMatchObject({
+        sid: authSessionId,
+        user: { _id: '507f1f77bcf86cd799439013' }
+      })
     })
 
     it('rejects login with invalid credentials', async () => {
+      User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: 1 })
       User.findOne.mockResolvedValue({
         _id: '507f1f77bcf86cd799439013',
         comparePassword: (_password, callback) => callback(null, false)
@@ -119,101 +353,2893 @@ describe('API integration tests', () => {
       expect(response.status).toBe(401)
       expect(response.body).toHaveProperty('err', 'Invalid credentials')
     })
-  })
 
-  describe('Profile endpoints', () => {
-    it('gets a profile by id with authentication', async () => {
-      Profile.findById.mockReturnValue(
-        createPopulateQuery({
-          _id: profileId,
-          name: 'Test User',
-          email: 'test@example.com',
-          students: []
+    it('rotates the refresh token', async () => {
+      AuthSession.findById.mockResolvedValue({
+        _id: authSessionId,
+        user: '507f1f77bcf86cd799439012',
+        refreshTokenHash: sha256('current-secret'),
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      })
+      AuthSession.findOneAndUpdate.mockResolvedValue({ _id: authSessionId })
+      User.findById.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439012',
+        profile: profileId,
+        role: 'teacher'
+      })
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: `${authSessionId}.current-secret` })
+
+      expect(response.status).toBe(200)
+      expect(response.body.refreshToken).not.toBe(
+        `${authSessionId}.current-secret`
+      )
+      expect(AuthSession.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ refreshTokenHash: sha256('current-secret') }),
+        expect.objectContaining({
+          $set: expect.objectContaining({
+            previousRefreshTokenHash: sha256('current-secret')
+          })
         })
       )
+    })
+
+    it('revokes the session when a rotated refresh token is reused', async () => {
+      AuthSession.findById.mockResolvedValue({
+        _id: authSessionId,
+        user: '507f1f77bcf86cd799439012',
+        refreshTokenHash: sha256('current-secret'),
+        previousRefreshTokenHash: sha256('old-secret'),
+        expiresAt: new Date(Date.now() + 60000),
+        revokedAt: null
+      })
+
+      const response = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: `${authSessionId}.old-secret` })
+
+      expect(response.status).toBe(401)
+      expect(AuthSession.updateOne).toHaveBeenCalledWith(
+        { _id: authSessionId, revokedAt: null },
+        {
+          $set: expect.objectContaining({
+            revokedReason: 'refresh_token_reused'
+          })
+        }
+      )
+      expect(AuthSession.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('rejects access tokens whose session was revoked', async () => {
+      AuthSession.exists.mockResolvedValue(null)
+      const token = jwt.sign(
+        { user: { _id: '507f1f77bcf86cd799439012' }, sid: authSessionId },
+        process.env.SECRET
+      )
 
       const response = await request(app)
-        .get(`/api/profiles/${profileId}`)
-        .set(createAuthedRequest())
+        .post('/api/auth/logout')
+        .set('Authorization', `Bearer ${token}`)
 
-      expect(response.status).toBe(200)
-      expect(response.body).toMatchObject({
-        _id: profileId,
-        name: 'Test User',
-        email: 'test@example.com'
+      expect(response.status).toBe(401)
+      expect(response.body).toHaveProperty('err', 'Session revoked')
+      expect(AuthSession.exists).toHaveBeenCalledWith({
+        _id: authSessionId,
+        revokedAt: null,
+        expiresAt: { $gt: expect.any(Date) }
       })
     })
 
-    it('rejects unauthorized profile access', async () => {
-      const response = await request(app).get(`/api/profiles/${profileId}`)
+    it('rejects access tokens that carry no session', async () => {
+      const token = jwt.sign(
+        { user: { _id: '507f1f77bcf86cd799439012', role: 'teacher' } },
+        process.env.SECRET
+      )
+
+      const response = await request(app)
+        .get('/api/profiles')
+        .set('Authorization', `Bearer ${token}`)
 
       expect(response.status).toBe(401)
-      expect(response.body).toHaveProperty('err', 'Not Authorized')
+      expect(response.body).toHaveProperty(
+        'err',
+        'Session required, please sign in again'
+      )
     })
 
-    it('updates a profile with valid data', async () => {
-      Profile.findByIdAndUpdate.mockResolvedValue({
-        _id: profileId,
-        name: 'Updated Test User',
-        grade: 4
+    it('drops the sockets of revoked sessions', async () => {
+      const disconnectSockets = vi.fn()
+      const io = { in: vi.fn(() => ({ disconnectSockets })) }
+      AuthSession.updateOne.mockResolvedValue({ modifiedCount: 1 })
+      AuthSession.updateMany.mockResolvedValue({ modifiedCount: 3 })
+      setSocketServer(io)
+
+      try {
+        await request(app).post('/api/auth/logout').set(createAuthedRequest())
+        await request(app)
+          .post('/api/auth/logout-all')
+          .set(createAuthedRequest())
+      } finally {
+        setSocketServer(null)
+      }
+
+      expect(io.in.mock.calls).toEqual([
+        [`auth-session:${authSessionId}`],
+        ['auth-user:507f1f77bcf86cd799439012']
+      ])
+      expect(disconnectSockets).toHaveBeenCalledTimes(2)
+      expect(disconnectSockets).toHaveBeenCalledWith(true)
+    })
+
+    it('signs the student out everywhere after a password change', async () => {
+      const save = vi.fn()
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          students: ['507f1f77bcf86cd799439081']
+        })
+      )
+      User.findOne.mockResolvedValue({
+        _id: 'student-user',
+        role: 'student',
+        save
       })
+      AuthSession.updateMany.mockResolvedValue({ modifiedCount: 2 })
 
       const response = await request(app)
-        .put(`/api/profiles/${profileId}`)
+        .post('/api/auth/changePassword')
         .set(createAuthedRequest())
-        .send({
-          name: 'Updated Test User',
-          grade: 4
-        })
+        .send({ student: '507f1f77bcf86cd799439081', newPw: 'new-secret' })
 
       expect(response.status).toBe(200)
-      expect(response.body).toMatchObject({
-        name: 'Updated Test User',
-        grade: 4
+      expect(save).toHaveBeenCalled()
+      expect(AuthSession.updateMany).toHaveBeenCalledWith(
+        { user: 'student-user', revokedAt: null },
+        {
+          $set: expect.objectContaining({ revokedReason: 'password_changed' })
+        }
+      )
+    })
+
+    it('only lets a teacher change the passwords of their own students', async () => {
+      const save = vi.fn()
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, role: 'teacher', students: [] })
+      )
+      Classroom.exists.mockResolvedValue(null)
+      User.findOne.mockResolvedValue({
+        _id: 'other-user',
+        role: 'teacher',
+        save
       })
+
+      const response = await request(app)
+        .post('/api/auth/changePassword')
+        .set(createAuthedRequest())
+        .send({ student: '507f1f77bcf86cd799439081', newPw: 'new-secret' })
+
+      expect(response.status).toBe(403)
+      expect(User.findOne).not.toHaveBeenCalled()
+      expect(save).not.toHaveBeenCalled()
     })
 
-    it('adds a practiced word to a profile', async () => {
-      const save = vi.fn().mockResolvedValue(undefined)
-      const profile = {
-        practicedWords: [],
+    it('refuses to change the password of a non-student account', async () => {
+      const save = vi.fn()
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          isAdmin: true,
+          students: []
+        })
+      )
+      User.findOne.mockResolvedValue({
+        _id: 'other-user',
+        role: 'teacher',
         save
-      }
-      Profile.findById.mockResolvedValue(profile)
+      })
 
       const response = await request(app)
-        .post(`/api/profiles/${profileId}/practicedWords`)
+        .post('/api/auth/changePassword')
         .set(createAuthedRequest())
-        .send({
-          word: 'test',
-          mastered: false,
-          timesPracticed: 1,
-          timesCorrect: 1,
-          timesIncorrect: 0,
-          streak: 1
+        .send({ student: '507f1f77bcf86cd799439081', newPw: 'new-secret' })
+
+      expect(response.status).toBe(403)
+      expect(response.body).toEqual({
+        err: 'Only student passwords can be changed here'
+      })
+      expect(save).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Picture password login', () => {
+    const classroomId = '507f1f77bcf86cd799439061'
+    const studentId = '507f1f77bcf86cd799439062'
+
+    const mockPictureClassroom = () =>
+      Classroom.findOne.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue({
+            _id: classroomId,
+            name: 'Room 12',
+            students: [studentId]
+          })
         })
+      })
 
-      expect(response.status).toBe(200)
-      expect(response.body).toEqual([
-        expect.objectContaining({
-          word: 'test',
-          timesPracticed: 1
+    const mockStudentUser = (match) =>
+      User.findOne.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439063',
+        profile: studentId,
+        role: 'student',
+        picturePassword: 'hashed',
+        comparePicturePassword: (_sequence, callback) => callback(null, match)
+      })
+
+    it('lists the students who have a picture password', async () => {
+      mockPictureClassroom()
+      Profile.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([
+            { _id: studentId, name: 'Ava', avatar: '🦊' },
+            { _id: '507f1f77bcf86cd799439064', name: 'Ben', avatar: '🐻' }
+          ])
+        })
+      })
+      User.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([{ profile: studentId }])
         })
+      })
+
+      const response = await request(app).get(
+        `/api/auth/picture-login/${classroomId}`
+      )
+
+      expect(response.status).toBe(200)
+      expect(response.body.students).toEqual([
+        { profileId: studentId, name: 'Ava', avatar: '🦊' }
       ])
-      expect(save).toHaveBeenCalled()
+      expect(response.body.icons).toContain('cat')
+      expect(Classroom.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ 'settings.pictureLogin': true })
+      )
     })
 
-    it('validates practiced word payloads', async () => {
+    it('signs a student in with their icon sequence', async () => {
+      mockPictureClassroom()
+      mockStudentUser(true)
+      AuthSession.create.mockResolvedValue({ _id: authSessionId })
+
       const response = await request(app)
-        .post(`/api/profiles/${profileId}/practicedWords`)
-        .set(createAuthedRequest())
-        .send({
-          word: '',
-          timesPracticed: -1
-        })
+        .post(`/api/auth/picture-login/${classroomId}`)
+        .send({ profileId: studentId, icons: ['cat', 'sun', 'apple'] })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toHaveProperty('refreshToken')
+    })
+
+    it('locks the account after too many wrong sequences', async () => {
+      mockPictureClassroom()
+      mockStudentUser(false)
+      User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: 5 })
+      Profile.find.mockReturnValue(
+        createSelectQuery([{ _id: '507f1f77bcf86cd799439099' }])
+      )
+      Classroom.find.mockReturnValue(createSelectQuery([]))
+
+      const response = await request(app)
+        .post(`/api/auth/picture-login/${classroomId}`)
+        .send({ profileId: studentId, icons: ['dog', 'moon'] })
+
+      expect(response.status).toBe(423)
+      expect(response.headers['retry-after']).toBeDefined()
+      expect(User.findByIdAndUpdate).toHaveBeenLastCalledWith(
+        '507f1f77bcf86cd799439063',
+        {
+          $set: {
+            failedLoginAttempts: 0,
+            lockedUntil: expect.any(Date),
+            loginBackoffUntil: null
+          }
+        }
+      )
+      // The student's teachers are looked up to be notified
+      expect(Profile.find).toHaveBeenCalledWith({
+        students: studentId,
+        role: 'teacher'
+      })
+    })
+
+    it('rejects sequences outside the icon set', async () => {
+      const response = await request(app)
+        .post(`/api/auth/picture-login/${classroomId}`)
+        .send({ profileId: studentId, icons: ['cat', 'unicorn'] })
 
       expect(response.status).toBe(400)
-      expect(response.body).toHaveProperty('err', 'Validation failed')
+      expect(User.findOne).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Login brute-force protection', () => {
+    it('makes an account wait after a failed login', async () => {
+      const comparePassword = vi.fn()
+      User.findOne.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439013',
+        failedLoginAttempts: 2,
+        loginBackoffUntil: new Date(Date.now() + 2000),
+        comparePassword
+      })
+
+      const response = await request(app).post('/api/auth/login').send({
+        name: 'Test User',
+        pw: 'guess'
+      })
+
+      expect(response.status).toBe(429)
+      expect(response.headers['retry-after']).toBe('2')
+      expect(comparePassword).not.toHaveBeenCalled()
+    })
+
+    it('doubles the wait with each failure in a row', async () => {
+      User.findOne.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439013',
+        comparePassword: (_password, callback) => callback(null, false)
+      })
+      User.findByIdAndUpdate.mockResolvedValue({ failedLoginAttempts: 3 })
+
+      const before = Date.now()
+      const response = await request(app).post('/api/auth/login').send({
+        name: 'Test User',
+        pw: 'guess'
+      })
+
+      expect(response.status).toBe(401)
+      const { loginBackoffUntil } = User.findByIdAndUpdate.mock.lastCall[1].$set
+      expect(loginBackoffUntil - before).toBeGreaterThanOrEqual(4000)
+      expect(loginBackoffUntil - before).toBeLessThan(5000)
+    })
+
+    it('slows down an address that keeps failing', async () => {
+      const ip = '203.0.113.7'
+      for (let attempt = 0; attempt < 19; attempt++) {
+        await recordFailedLogin(null, ip)
+      }
+      expect(getIpBlock(ip)).toBeNull()
+
+      await recordFailedLogin(null, ip)
+      expect(getIpBlock(ip)).toMatchObject({ status: 429, retryAfter: 1 })
+    })
+
+    it('lets a teacher unlock their student', async () => {
+      const studentId = '507f1f77bcf86cd799439062'
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          students: [studentId]
+        })
+      )
+      User.findOneAndUpdate.mockResolvedValue({ _id: 'student-user' })
+
+      const response = await request(app)
+        .post(`/api/profiles/${studentId}/unlock`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { profile: studentId },
+        {
+          $set: {
+            failedLoginAttempts: 0,
+            lockedUntil: null,
+            loginBackoffUntil: null
+          }
+        }
+      )
+    })
+  })
+
+  describe('Password reset', () => {
+    const sentMail = []
+
+    beforeEach(() => {
+      sentMail.length = 0
+      setMailTransport({ send: async (message) => sentMail.push(message) })
+    })
+
+    it('emails a single-use link and stores only its hash', async () => {
+      User.findOne.mockResolvedValue({
+        _id: '507f1f77bcf86cd799439012',
+        name: 'Jane Teacher',
+        email: 'teacher@school.edu'
+      })
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: ' Teacher@School.edu ' })
+
+      expect(response.status).toBe(200)
+      expect(User.findOne).toHaveBeenCalledWith({
+        email: 'teacher@school.edu',
+        role: { $ne: 'student' }
+      })
+      expect(PasswordReset.deleteMany).toHaveBeenCalledWith({
+        user: '507f1f77bcf86cd799439012',
+        usedAt: null
+      })
+      expect(sentMail).toHaveLength(1)
+
+      const token = sentMail[0].text.match(/token=([\w-]+)/)[1]
+      expect(PasswordReset.create).toHaveBeenCalledWith(
+        expect.objectContaining({ tokenHash: sha256(token) })
+      )
+      expect(JSON.stringify(PasswordReset.create.mock.calls)).not.toContain(
+        token
+      )
+    })
+
+    it('answers the same way for unknown emails', async () => {
+      User.findOne.mockResolvedValue(null)
+
+      const response = await request(app)
+        .post('/api/auth/forgot-password')
+        .send({ email: 'nobody@example.com' })
+
+      expect(response.status).toBe(200)
+      expect(response.body.msg).toMatch(/if an account uses that email/i)
+      expect(sentMail).toHaveLength(0)
+    })
+
+    it('spends the token, sets the password and signs out everywhere', async () => {
+      const save = vi.fn()
+      const user = { _id: '507f1f77bcf86cd799439012', save }
+      PasswordReset.findOneAndUpdate.mockResolvedValue({ user: user._id })
+      User.findById.mockResolvedValue(user)
+      AuthSession.updateMany.mockResolvedValue({ modifiedCount: 1 })
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'emailed-token', password: 'new-password' })
+
+      expect(response.status).toBe(200)
+      expect(PasswordReset.findOneAndUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({
+          tokenHash: sha256('emailed-token'),
+          usedAt: null
+        }),
+        { $set: { usedAt: expect.any(Date) } }
+      )
+      expect(user.password).toBe('new-password')
+      expect(save).toHaveBeenCalled()
+      expect(AuthSession.updateMany).toHaveBeenCalledWith(
+        { user: user._id, revokedAt: null },
+        { $set: expect.objectContaining({ revokedReason: 'password_reset' }) }
+      )
+    })
+
+    it('rejects used or expired tokens', async () => {
+      PasswordReset.findOneAndUpdate.mockResolvedValue(null)
+
+      const response = await request(app)
+        .post('/api/auth/reset-password')
+        .send({ token: 'old-token', password: 'new-password' })
+
+      expect(response.status).toBe(400)
+      expect(response.body).toHaveProperty(
+        'err',
+        'Invalid or expired reset token'
+      )
+      expect(User.findById).not.toHaveBeenCalled()
+    })
+
+    it('writes mail to disk with the file transport', async () => {
+      const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'fry-mail-test-'))
+
+      try {
+        const { file } = await createMailTransport('file', { dir }).send({
+          to: 'parent@example.com',
+          subject: 'Hello',
+          text: 'Hi'
+        })
+
+        expect(JSON.parse(await fs.readFile(file, 'utf8'))).toEqual({
+          to: 'parent@example.com',
+          subject: 'Hello',
+          text: 'Hi'
+        })
+      } finally {
+        await fs.rm(dir, { recursive: true, force: true })
+      }
+    })
+  })
+
+  describe('Profile endpoints', () => {
+    it('gets a profile by id with authentication', async () => {
+      Profile.findById.mockReturnValue(
+        createPopulateQuery({
+          _id: profileId,
+          name: 'Test User',
+          email: 'test@example.com',
+          students: []
+        })
+      )
+      Assessment.find.mockReturnValue(
+        createSortQuery([
+          { _id: 'assessment-1', profile: profileId, testType: 'reading' }
+        ])
+      )
+      TestSession.find.mockReturnValue(createSortQuery([]))
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({
+        _id: profileId,
+        name: 'Test User',
+        email: 'test@example.com',
+        assessments: [{ _id: 'assessment-1', testType: 'reading' }],
+        testSessions: []
+      })
+      expect(Assessment.find).toHaveBeenCalledWith({
+        profile: { $in: [profileId] }
+      })
+    })
+
+    it('lists profiles with their assessments and test sessions', async () => {
+      const studentId = '507f1f77bcf86cd799439021'
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          students: [studentId]
+        })
+      )
+      Profile.find.mockReturnValue({
+        populate: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([
+            { _id: profileId, name: 'Teacher' },
+            { _id: studentId, name: 'Ava' }
+          ])
+        })
+      })
+      Assessment.find.mockReturnValue(createSortQuery([]))
+      TestSession.find.mockReturnValue(
+        createSortQuery([
+          { _id: 'session-1', profile: studentId, status: 'completed' }
+        ])
+      )
+
+      const response = await request(app)
+        .get('/api/profiles')
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.body).toEqual([
+        { _id: profileId, name: 'Teacher', assessments: [], testSessions: [] },
+        {
+          _id: studentId,
+          name: 'Ava',
+          assessments: [],
+          testSessions: [
+            { _id: 'session-1', profile: studentId, status: 'completed' }
+          ]
+        }
+      ])
+    })
+
+    it('rejects unauthorized profile access', async () => {
+      const response = await request(app).get(`/api/profiles/${profileId}`)
+
+      expect(response.status).toBe(401)
+      expect(response.body).toHaveProperty('err', 'Not Authorized')
+    })
+
+    it('updates a profile with valid data', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          isAdmin: false,
+          students: []
+        })
+      )
+      Profile.findByIdAndUpdate.mockResolvedValue({
+        _id: profileId,
+        name: 'Updated Test User',
+        grade: 4
+      })
+
+      const response = await request(app)
+        .put(`/api/profiles/${profileId}`)
+        .set(createAuthedRequest())
+        .send({
+          name: 'Updated Test User',
+          grade: 4
+        })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({
+        name: 'Updated Test User',
+        grade: 4
+      })
+    })
+
+    it('adds a practiced word to a profile', async () => {
+      const save = vi.fn().mockResolvedValue(undefined)
+      const profile = {
+        practicedWords: [],
+        save
+      }
+      Profile.findById.mockResolvedValue(profile)
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/practicedWords`)
+        .set(createAuthedRequest())
+        .send({
+          word: 'test',
+          mastered: false,
+          timesPracticed: 1,
+          timesCorrect: 1,
+          timesIncorrect: 0,
+          streak: 1
+        })
+
+      expect(response.status).toBe(200)
+      expect(response.body).toEqual([
+        expect.objectContaining({
+          word: 'test',
+          timesPracticed: 1
+        })
+      ])
+      expect(save).toHaveBeenCalled()
+    })
+
+    it('builds a practice queue of due reviews and new level words', async () => {
+      const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000)
+      const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000)
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          currentLevel: 1,
+          dailyGoal: 5,
+          practicedWords: [
+            { _id: 'w1', word: 'the', dueDate: yesterday, easeFactor: 2.5 },
+            { _id: 'w2', word: 'of', dueDate: nextWeek, easeFactor: 2.6 }
+          ]
+        })
+      )
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/practice-queue`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.body.reviews.map((r) => r.word)).toEqual(['the'])
+      expect(response.body.newWords.map((w) => w.word)).toEqual([
+        'and',
+        'a',
+        'to',
+        'in'
+      ])
+      expect(response.body.total).toBe(5)
+    })
+
+    it('promotes an autoAdvance student who masters their level', async () => {
+      const levelWords = getLevelWords(1)
+      const profile = {
+        _id: profileId,
+        role: 'student',
+        autoAdvance: true,
+        currentLevel: 1,
+        assessments: [],
+        practicedWords: levelWords
+          .slice(0, 79)
+          .map((word) => ({ word, mastered: true })),
+        save: vi.fn().mockResolvedValue(undefined)
+      }
+      Profile.findById.mockResolvedValue(profile)
+      Profile.findOneAndUpdate.mockResolvedValue({
+        ...profile,
+        currentLevel: 2
+      })
+      Profile.find.mockReturnValue(createSelectQuery([]))
+      Classroom.find.mockReturnValue(createSelectQuery([]))
+      Assessment.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([])
+        })
+      })
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/practicedWords`)
+        .set(createAuthedRequest())
+        .send({ word: levelWords[79], mastered: true })
+
+      expect(response.status).toBe(200)
+      expect(Profile.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: profileId, currentLevel: 1 },
+        expect.objectContaining({ $set: { currentLevel: 2 } }),
+        { new: true }
+      )
+    })
+
+    it('validates practiced word payloads', async () => {
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/practicedWords`)
+        .set(createAuthedRequest())
+        .send({
+          word: '',
+          timesPracticed: -1
+        })
+
+      expect(response.status).toBe(400)
+      expect(response.body).toHaveProperty('err', 'Validation failed')
+    })
+  })
+
+  describe('Assessment and test session collections', () => {
+    it('queries assessments with the supported filters', async () => {
+      Profile.exists.mockResolvedValue({ _id: profileId })
+      const sort = vi
+        .fn()
+        .mockResolvedValue([{ _id: 'a1', testType: 'reading' }])
+      Assessment.find.mockReturnValue({ sort })
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/assessments`)
+        .query({ word: 'th', testType: 'reading', startDate: '2024-01-01' })
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.body).toEqual([{ _id: 'a1', testType: 'reading' }])
+      expect(Assessment.find).toHaveBeenCalledWith({
+        profile: profileId,
+        words: { $regex: 'th', $options: 'i' },
+        testType: 'reading',
+        date: { $gte: new Date(2024, 0, 1) }
+      })
+      expect(sort).toHaveBeenCalledWith({ date: -1 })
+    })
+
+    it('creates test sessions in their own collection', async () => {
+      const studentId = '507f1f77bcf86cd799439021'
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          isAdmin: false,
+          students: [studentId]
+        })
+      )
+      Profile.exists.mockResolvedValue({ _id: studentId })
+      TestSession.create.mockImplementation(async (data) => data)
+
+      const response = await request(app)
+        .post(`/api/profiles/${studentId}/testSessions`)
+        .set(createAuthedRequest())
+        .send({ sessionType: 'practice', wordsUsed: ['the'] })
+
+      expect(response.status).toBe(201)
+      expect(response.body).toMatchObject({
+        sessionType: 'practice',
+        status: 'active'
+      })
+      expect(TestSession.create).toHaveBeenCalledWith(
+        expect.objectContaining({ profile: studentId, source: 'api' })
+      )
+    })
+
+    it('returns not found for assessments of a missing profile', async () => {
+      Profile.exists.mockResolvedValue(null)
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/assessments`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(404)
+      expect(response.body).toHaveProperty('err', 'Profile not found')
+    })
+  })
+
+  describe('Assessment export', () => {
+    const studentId = '507f1f77bcf86cd799439041'
+
+    const mockClassAssessments = ({ classrooms = [] } = {}) => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          name: 'Ms. Rivera',
+          role: 'teacher',
+          students: [studentId]
+        })
+      )
+      Classroom.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue(classrooms)
+        })
+      })
+      Profile.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([{ _id: studentId, name: 'Ava, B' }])
+        })
+      })
+      Assessment.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          sort: vi.fn().mockReturnValue({
+            lean: vi.fn().mockResolvedValue([
+              {
+                profile: studentId,
+                testType: 'reading',
+                sessionId: 'session-1',
+                date: new Date('2024-03-01T10:00:00Z'),
+                responses: [
+                  { word: 'the', correct: true, timeSpent: 800, attempts: 1 },
+                  { word: 'of', correct: false, timeSpent: 2500, attempts: 2 }
+                ]
+              }
+            ])
+          })
+        })
+      })
+    }
+
+    it('exports one CSV row per student per word', async () => {
+      mockClassAssessments()
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/export`)
+        .query({ format: 'csv', testType: 'reading' })
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.headers['content-type']).toMatch(/text\/csv/)
+      expect(response.headers['content-disposition']).toMatch(/\.csv"$/)
+      expect(response.text.trim().split('\r\n')).toEqual([
+        'Student,Word,Test Type,Correct,Time Spent (ms),Attempts,Date,Session',
+        '"Ava, B",the,reading,true,800,1,2024-03-01T10:00:00.000Z,session-1',
+        '"Ava, B",of,reading,false,2500,2,2024-03-01T10:00:00.000Z,session-1'
+      ])
+      expect(Assessment.find).toHaveBeenCalledWith({
+        profile: { $in: [studentId] },
+        testType: 'reading'
+      })
+    })
+
+    it("exports the students of the teacher's classrooms too", async () => {
+      const classroomStudentId = '507f1f77bcf86cd799439042'
+      mockClassAssessments({
+        classrooms: [{ students: [studentId, classroomStudentId] }]
+      })
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/export`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(Classroom.find).toHaveBeenCalledWith({ teachers: profileId })
+      expect(Profile.find).toHaveBeenCalledWith({
+        _id: { $in: [studentId, classroomStudentId] }
+      })
+    })
+
+    it('exports an XLSX workbook', async () => {
+      mockClassAssessments()
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/export`)
+        .query({ format: 'xlsx' })
+        .set(createAuthedRequest())
+        .buffer(true)
+        .parse(collectBinary)
+
+      expect(response.status).toBe(200)
+      expect(response.headers['content-type']).toMatch(/spreadsheetml/)
+      // XLSX files are zip archives
+      expect(response.body.subarray(0, 2).toString()).toBe('PK')
+    })
+
+    it('rejects unsupported formats', async () => {
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/export`)
+        .query({ format: 'pdf' })
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(400)
+      expect(response.body).toHaveProperty('err', 'Format must be csv or xlsx')
+    })
+  })
+
+  describe('Speech monitoring', () => {
+    it('includes students the teacher only teaches through a classroom', async () => {
+      const linkedId = '507f1f77bcf86cd799439043'
+      const classroomStudentId = '507f1f77bcf86cd799439044'
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, students: [linkedId] })
+      )
+      Classroom.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([{ students: [classroomStudentId] }])
+        })
+      })
+      Profile.find.mockReturnValue(
+        createSelectQuery([
+          {
+            _id: classroomStudentId,
+            name: 'Ben',
+            practicedWords: [
+              {
+                word: 'the',
+                lastPracticed: new Date(),
+                speechRecognitionScore: 85,
+                responseTime: 1200
+              }
+            ]
+          }
+        ])
+      )
+      TestSession.find.mockReturnValue(createSortQuery([]))
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/speech-sessions`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(Profile.find).toHaveBeenCalledWith({
+        _id: { $in: [linkedId, classroomStudentId] },
+        role: 'student'
+      })
+      expect(response.body.sessions).toEqual([
+        expect.objectContaining({
+          studentId: classroomStudentId,
+          currentWord: 'the'
+        })
+      ])
+    })
+  })
+
+  describe('Report card', () => {
+    it('renders the student progress as a PDF', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          name: 'Ava Brown',
+          currentLevel: 1,
+          practicedWords: [{ word: 'the', mastered: true }]
+        })
+      )
+      Assessment.find.mockResolvedValue([
+        {
+          testType: 'reading',
+          date: new Date(),
+          teacherNotes: 'Confuses was and saw',
+          responses: [{ word: 'was', correct: false, timeSpent: 1200 }]
+        }
+      ])
+      TestSession.countDocuments.mockResolvedValue(0)
+      TestSession.find.mockReturnValue({
+        sort: vi.fn().mockReturnValue({
+          limit: vi.fn().mockResolvedValue([])
+        })
+      })
+
+      const response = await request(app)
+        .get(`/api/profiles/${profileId}/report.pdf`)
+        .set(createAuthedRequest())
+        .buffer(true)
+        .parse(collectBinary)
+
+      expect(response.status).toBe(200)
+      expect(response.headers['content-type']).toBe('application/pdf')
+      expect(response.headers['content-disposition']).toMatch(
+        /ava-brown-report-card\.pdf/
+      )
+      expect(response.body.subarray(0, 5).toString()).toBe('%PDF-')
+    })
+  })
+
+  describe('Roster import', () => {
+    const parentProfileId = '507f1f77bcf86cd799439051'
+
+    const mockRosterLookups = () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, role: 'teacher', students: [] })
+      )
+      Profile.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([])
+        })
+      })
+      User.find.mockImplementation((filter) => ({
+        select: vi.fn().mockReturnValue({
+          lean: vi
+            .fn()
+            .mockResolvedValue(
+              filter.email
+                ? [{ email: 'parent@example.com', profile: parentProfileId }]
+                : [{ name: 'Cal' }]
+            )
+        })
+      }))
+    }
+
+    it('reports per-row errors without creating accounts', async () => {
+      mockRosterLookups()
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/roster/import`)
+        .query({ dryRun: 'true' })
+        .set(createAuthedRequest())
+        .set('Content-Type', 'text/csv')
+        .send(
+          [
+            'Student Name,Grade,Avatar,Parent Email,Fry Level',
+            'Ava,1,🦊,parent@example.com,2',
+            'ava,1,,parent@example.com,1',
+            'Ben,2,,unknown@example.com,11',
+            ',1,,not-an-email,',
+            'Cal,1,,parent@example.com,1'
+          ].join('\n')
+        )
+
+      expect(response.status).toBe(422)
+      expect(response.body).toMatchObject({ valid: false, invalid: 3 })
+      expect(response.body.rows.map(({ errors }) => errors)).toEqual([
+        [],
+        ['Duplicate of row 2 in this roster'],
+        [
+          'Fry level must be between 1 and 10',
+          'No parent account found for unknown@example.com'
+        ],
+        [
+          'Student name is required',
+          'Parent email must be a valid email address'
+        ],
+        []
+      ])
+      expect(response.body.rows[4]).toMatchObject({
+        name: 'Cal',
+        loginName: 'Cal 2'
+      })
+      expect(Profile.insertMany).not.toHaveBeenCalled()
+    })
+
+    it('creates and links the whole class in one transaction', async () => {
+      mockRosterLookups()
+      const session = {
+        withTransaction: vi.fn(async (callback) => callback()),
+        endSession: vi.fn()
+      }
+      const startSession = vi
+        .spyOn(mongoose, 'startSession')
+        .mockResolvedValue(session)
+      Profile.insertMany.mockImplementation(async (docs) =>
+        docs.map((doc, index) => ({ ...doc, _id: `student-${index}` }))
+      )
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/roster/import`)
+        .set(createAuthedRequest())
+        .send({
+          csv: 'name,grade,parent email\nAva,1,parent@example.com\nBen,2,Parent@Example.com'
+        })
+
+      expect(response.status).toBe(201)
+      expect(response.body).toMatchObject({ imported: 2, valid: true })
+      const passwords = response.body.rows.map((row) => row.temporaryPassword)
+      expect(passwords).toEqual([
+        expect.stringMatching(/^[a-z2-9]{10}$/),
+        expect.stringMatching(/^[a-z2-9]{10}$/)
+      ])
+      expect(passwords[0]).not.toBe(passwords[1])
+      expect(User.create).toHaveBeenCalledWith(
+        [
+          expect.objectContaining({ name: 'Ava', password: passwords[0] }),
+          expect.objectContaining({
+            name: 'Ben',
+            password: passwords[1],
+            profile: 'student-1'
+          })
+        ],
+        { session }
+      )
+      expect(User.insertMany).not.toHaveBeenCalled()
+      expect(Profile.bulkWrite.mock.calls[0][0][0]).toEqual({
+        updateOne: {
+          filter: { _id: profileId },
+          update: {
+            $addToSet: { students: { $each: ['student-0', 'student-1'] } }
+          }
+        }
+      })
+      expect(session.endSession).toHaveBeenCalled()
+
+      startSession.mockRestore()
+    })
+
+    it('cleans up after a failed import without a replica set', async () => {
+      mockRosterLookups()
+      const session = {
+        withTransaction: vi
+          .fn()
+          .mockRejectedValue(
+            Object.assign(
+              new Error(
+                'Transaction numbers are only allowed on a replica set member or mongos'
+              ),
+              { code: 20 }
+            )
+          ),
+        endSession: vi.fn()
+      }
+      const startSession = vi
+        .spyOn(mongoose, 'startSession')
+        .mockResolvedValue(session)
+      Profile.insertMany.mockImplementation(async (docs) =>
+        docs.map((doc, index) => ({ ...doc, _id: `student-${index}` }))
+      )
+      User.create.mockRejectedValueOnce(new Error('write failed'))
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/roster/import`)
+        .set(createAuthedRequest())
+        .send({ csv: 'name,parent email\nAva,parent@example.com' })
+
+      expect(response.status).toBe(500)
+      expect(Profile.insertMany).toHaveBeenCalledWith(expect.any(Array), {})
+      expect(Profile.deleteMany).toHaveBeenCalledWith({
+        _id: { $in: ['student-0'] }
+      })
+      expect(User.deleteMany).toHaveBeenCalledWith({
+        profile: { $in: ['student-0'] }
+      })
+      expect(Profile.updateMany).toHaveBeenCalledWith(
+        { students: { $in: ['student-0'] } },
+        { $pull: { students: { $in: ['student-0'] } } }
+      )
+
+      startSession.mockRestore()
+    })
+  })
+
+  describe('Profile authorization', () => {
+    const otherProfileId = '507f1f77bcf86cd799439021'
+
+    it('forbids updating a profile that is not linked to the user', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'student',
+          isAdmin: false,
+          students: []
+        })
+      )
+
+      const response = await request(app)
+        .put(`/api/profiles/${otherProfileId}`)
+        .set(createAuthedRequest())
+        .send({ name: 'Hijacked' })
+
+      expect(response.status).toBe(403)
+      expect(Profile.findByIdAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('lets a teacher read a linked student', async () => {
+      Profile.findById
+        .mockReturnValueOnce(
+          createSelectQuery({
+            _id: profileId,
+            role: 'teacher',
+            isAdmin: false,
+            students: [otherProfileId]
+          })
+        )
+        .mockReturnValueOnce(
+          createPopulateQuery({ _id: otherProfileId, name: 'Student' })
+        )
+      Assessment.find.mockReturnValue(createSortQuery([]))
+      TestSession.find.mockReturnValue(createSortQuery([]))
+
+      const response = await request(app)
+        .get(`/api/profiles/${otherProfileId}`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ name: 'Student' })
+    })
+
+    it('lets a teacher read a student from a shared classroom', async () => {
+      Profile.findById
+        .mockReturnValueOnce(
+          createSelectQuery({
+            _id: profileId,
+            role: 'teacher',
+            isAdmin: false,
+            students: []
+          })
+        )
+        .mockReturnValueOnce(
+          createPopulateQuery({ _id: otherProfileId, name: 'Student' })
+        )
+      Classroom.exists.mockResolvedValue({ _id: 'classroom-1' })
+      Assessment.find.mockReturnValue(createSortQuery([]))
+      TestSession.find.mockReturnValue(createSortQuery([]))
+
+      const response = await request(app)
+        .get(`/api/profiles/${otherProfileId}`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(Classroom.exists).toHaveBeenCalledWith({
+        teachers: profileId,
+        students: otherProfileId
+      })
+    })
+
+    it('does not let students write their own grades', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'student',
+          isAdmin: false,
+          students: []
+        })
+      )
+      Classroom.exists.mockResolvedValue(null)
+
+      const assessment = await request(app)
+        .post(`/api/profiles/${profileId}/assessments`)
+        .set(createAuthedRequest())
+        .send({ testType: 'recognition', words: ['the'], score: 100 })
+      const testSession = await request(app)
+        .put(`/api/profiles/${profileId}/testSessions/session-1`)
+        .set(createAuthedRequest())
+        .send({ status: 'completed' })
+
+      expect(assessment.status).toBe(403)
+      expect(testSession.status).toBe(403)
+      expect(Assessment.create).not.toHaveBeenCalled()
+      expect(TestSession.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('rejects admin flag escalation by non-admins', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          isAdmin: false,
+          students: []
+        })
+      )
+
+      const response = await request(app)
+        .put(`/api/profiles/${profileId}`)
+        .set(createAuthedRequest())
+        .send({ isAdmin: true, role: 'teacher' })
+
+      expect(response.status).toBe(403)
+      expect(response.body.details).toEqual(['isAdmin', 'role'])
+      expect(Profile.findByIdAndUpdate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Classrooms', () => {
+    const classroomId = '507f1f77bcf86cd799439061'
+    const studentId = '507f1f77bcf86cd799439062'
+
+    it('creates a classroom taught by the requesting teacher', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          students: [studentId]
+        })
+      )
+      Profile.find.mockReturnValue(createSelectQuery([{ _id: studentId }]))
+      Classroom.create.mockImplementation(async (data) => ({
+        _id: classroomId,
+        ...data
+      }))
+
+      const response = await request(app)
+        .post('/api/classrooms')
+        .set(createAuthedRequest())
+        .send({
+          name: 'Room 12',
+          schoolYear: '2024-2025',
+          defaultFryLevel: 2,
+          students: [studentId],
+          teachers: ['507f1f77bcf86cd799439099']
+        })
+
+      expect(response.status).toBe(201)
+      expect(Classroom.create).toHaveBeenCalledWith({
+        name: 'Room 12',
+        schoolYear: '2024-2025',
+        defaultFryLevel: 2,
+        teachers: [profileId],
+        students: [studentId]
+      })
+    })
+
+    it('only lets teachers add their own students', async () => {
+      const strangerId = '507f1f77bcf86cd799439063'
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          students: [studentId]
+        })
+      )
+      Classroom.findById.mockResolvedValue({
+        _id: classroomId,
+        teachers: [profileId],
+        students: []
+      })
+
+      const created = await request(app)
+        .post('/api/classrooms')
+        .set(createAuthedRequest())
+        .send({
+          name: 'Room 12',
+          schoolYear: '2024-2025',
+          students: [studentId, strangerId]
+        })
+      const added = await request(app)
+        .post(`/api/classrooms/${classroomId}/students`)
+        .set(createAuthedRequest())
+        .send({ studentIds: [strangerId] })
+
+      expect(created.status).toBe(403)
+      expect(added.status).toBe(403)
+      expect(added.body).toEqual({
+        err: 'You can only add your own students to a classroom'
+      })
+      expect(Classroom.create).not.toHaveBeenCalled()
+      expect(Classroom.findByIdAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('lets admins add any student to a classroom', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          isAdmin: true,
+          students: []
+        })
+      )
+      Classroom.findById.mockResolvedValue({
+        _id: classroomId,
+        teachers: ['507f1f77bcf86cd799439099'],
+        students: []
+      })
+      Profile.find.mockReturnValue(createSelectQuery([{ _id: studentId }]))
+      const populated = { _id: classroomId, students: [studentId] }
+      Classroom.findByIdAndUpdate.mockReturnValue({
+        populate: vi.fn().mockReturnValue(createPopulateQuery(populated))
+      })
+
+      const response = await request(app)
+        .post(`/api/classrooms/${classroomId}/students`)
+        .set(createAuthedRequest())
+        .send({ studentIds: [studentId] })
+
+      expect(response.status).toBe(200)
+      expect(Classroom.findByIdAndUpdate).toHaveBeenCalledWith(
+        classroomId,
+        { $addToSet: { students: { $each: [studentId] } } },
+        { new: true }
+      )
+    })
+
+    it('validates classroom fields', async () => {
+      const response = await request(app)
+        .post('/api/classrooms')
+        .set(createAuthedRequest())
+        .send({ name: '', schoolYear: '2024', defaultFryLevel: 11 })
+
+      expect(response.status).toBe(400)
+      expect(response.body.details).toHaveLength(3)
+    })
+
+    it('forbids access to a classroom the user does not belong to', async () => {
+      Classroom.findById.mockResolvedValue({
+        _id: classroomId,
+        teachers: ['507f1f77bcf86cd799439099'],
+        students: []
+      })
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, role: 'teacher', isAdmin: false })
+      )
+
+      const response = await request(app)
+        .get(`/api/classrooms/${classroomId}/progress`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(403)
+      expect(response.body).toHaveProperty(
+        'err',
+        'Not authorized to access this classroom'
+      )
+    })
+
+    it('reports progress per student in the classroom', async () => {
+      Classroom.findById.mockResolvedValue({
+        _id: classroomId,
+        name: 'Room 12',
+        teachers: [profileId],
+        students: [studentId]
+      })
+      Profile.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([
+            {
+              _id: studentId,
+              name: 'Ava',
+              currentLevel: 1,
+              practicedWords: []
+            }
+          ])
+        })
+      })
+      Assessment.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([
+            {
+              profile: studentId,
+              testType: 'reading',
+              date: new Date('2024-03-01'),
+              responses: [
+                { word: 'the', correct: true },
+                { word: 'of', correct: false }
+              ]
+            }
+          ])
+        })
+      })
+
+      const response = await request(app)
+        .get(`/api/classrooms/${classroomId}/progress`)
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.body.totals).toMatchObject({
+        students: 1,
+        totalWordsTested: 2,
+        recognizedWords: 1,
+        accuracy: 0.5
+      })
+      expect(response.body.byTestType).toEqual({
+        reading: { total: 2, recognized: 1 }
+      })
+      expect(response.body.students[0]).toMatchObject({
+        name: 'Ava',
+        wordsTested: 2,
+        accuracy: 0.5
+      })
+    })
+  })
+
+  describe('Small groups', () => {
+    const groupId = '507f1f77bcf86cd799439071'
+    const firstStudentId = '507f1f77bcf86cd799439072'
+    const secondStudentId = '507f1f77bcf86cd799439073'
+
+    const practiced = (word, timesCorrect, timesIncorrect) => ({
+      word,
+      timesCorrect,
+      timesIncorrect,
+      timesPracticed: timesCorrect + timesIncorrect,
+      lastPracticed: new Date('2024-03-01')
+    })
+
+    it('finds the words every member still struggles with', () => {
+      const commonWords = computeCommonWords([
+        {
+          practicedWords: [
+            practiced('the', 0, 2),
+            practiced('of', 1, 3),
+            practiced('and', 4, 1)
+          ]
+        },
+        {
+          practicedWords: [
+            practiced('The', 1, 1),
+            practiced('of', 0, 1),
+            practiced('and', 0, 2)
+          ]
+        }
+      ])
+
+      expect(commonWords.map((entry) => entry.word)).toEqual(['of', 'the'])
+      expect(commonWords[0]).toMatchObject({
+        timesCorrect: 1,
+        timesIncorrect: 4,
+        timesPracticed: 5
+      })
+    })
+
+    it('creates a group with its common words', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          students: [firstStudentId]
+        })
+      )
+      Classroom.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([{ students: [secondStudentId] }])
+        })
+      })
+      Profile.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi
+            .fn()
+            .mockResolvedValue([
+              { practicedWords: [practiced('said', 0, 2)] },
+              { practicedWords: [practiced('said', 1, 1)] }
+            ])
+        })
+      })
+      Profile.findByIdAndUpdate.mockImplementation((id, update) => ({
+        select: vi.fn().mockReturnValue({
+          populate: vi.fn().mockResolvedValue({
+            groups: [{ _id: groupId, ...update.$push.groups }]
+          })
+        })
+      }))
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/groups`)
+        .set(createAuthedRequest())
+        .send({
+          name: ' Bluebirds ',
+          studentIds: [firstStudentId, secondStudentId]
+        })
+
+      expect(response.status).toBe(201)
+      expect(response.body).toMatchObject({
+        _id: groupId,
+        name: 'Bluebirds',
+        students: [firstStudentId, secondStudentId]
+      })
+      expect(response.body.commonWords).toHaveLength(1)
+      expect(response.body.commonWords[0]).toMatchObject({
+        word: 'said',
+        timesIncorrect: 3
+      })
+    })
+
+    it('rejects students the teacher does not teach', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, role: 'teacher', students: [] })
+      )
+      Classroom.find.mockReturnValue({
+        select: vi.fn().mockReturnValue({
+          lean: vi.fn().mockResolvedValue([])
+        })
+      })
+
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/groups/${groupId}/students`)
+        .set(createAuthedRequest())
+        .send({ studentIds: [firstStudentId] })
+
+      expect(response.status).toBe(400)
+      expect(response.body).toEqual({
+        err: 'Groups can only contain your own students',
+        details: [firstStudentId]
+      })
+      expect(Profile.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('only reorders when every group is listed once', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          groups: [{ _id: groupId }, { _id: '507f1f77bcf86cd799439074' }]
+        })
+      )
+
+      const response = await request(app)
+        .put(`/api/profiles/${profileId}/groups/order`)
+        .set(createAuthedRequest())
+        .send({ groupIds: [groupId, groupId] })
+
+      expect(response.status).toBe(400)
+      expect(response.body).toHaveProperty(
+        'err',
+        'groupIds must list every group exactly once'
+      )
+    })
+  })
+
+  describe('Classroom join codes', () => {
+    const classroomId = '507f1f77bcf86cd799439061'
+    const joinCodeId = '507f1f77bcf86cd799439065'
+    const requestId = '507f1f77bcf86cd799439066'
+    const childId = '507f1f77bcf86cd799439067'
+
+    const createRoleRequest = (role) => ({
+      Authorization: `Bearer ${jwt.sign(
+        {
+          user: { _id: '507f1f77bcf86cd799439012', profile: profileId, role },
+          sid: authSessionId
+        },
+        process.env.SECRET
+      )}`
+    })
+
+    const activeJoinCode = (overrides = {}) => ({
+      _id: joinCodeId,
+      code: 'ABCD2345',
+      classroom: classroomId,
+      teacher: '507f1f77bcf86cd799439099',
+      requiresApproval: true,
+      requests: [],
+      ...overrides
+    })
+
+    it('creates a code that expires and can be shared as a QR payload', async () => {
+      Classroom.findById.mockResolvedValue({
+        _id: classroomId,
+        teachers: [profileId],
+        students: []
+      })
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, role: 'teacher' })
+      )
+      JoinCode.create.mockImplementation(async (data) => data)
+
+      const response = await request(app)
+        .post(`/api/classrooms/${classroomId}/join-codes`)
+        .set(createAuthedRequest())
+        .send({ expiresInHours: 24, maxRedemptions: 25 })
+
+      expect(response.status).toBe(201)
+      expect(response.body.code).toMatch(/^[A-HJKMNP-Z2-9]{8}$/)
+      expect(response.body.qrPayload).toBe(response.body.code)
+      expect(JoinCode.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          teacher: profileId,
+          maxRedemptions: 25,
+          requiresApproval: true
+        })
+      )
+    })
+
+    it('lets a parent request a place for their child', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({
+          _id: profileId,
+          role: 'parent',
+          students: [childId]
+        })
+      )
+      JoinCode.findOne.mockResolvedValue(activeJoinCode())
+      Classroom.findById.mockReturnValue(
+        createSelectQuery({
+          _id: classroomId,
+          name: 'Room 12',
+          teachers: ['507f1f77bcf86cd799439099'],
+          students: []
+        })
+      )
+      JoinCode.findOneAndUpdate.mockResolvedValue(activeJoinCode())
+
+      const response = await request(app)
+        .post('/api/classrooms/join')
+        .set(createRoleRequest('parent'))
+        .send({ code: 'abcd-2345', studentIds: [childId] })
+
+      expect(response.status).toBe(201)
+      expect(response.body.results).toEqual([
+        { studentId: childId, status: 'pending' }
+      ])
+      expect(JoinCode.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ code: 'ABCD2345' })
+      )
+      expect(Classroom.findByIdAndUpdate).not.toHaveBeenCalled()
+    })
+
+    it('refuses redemptions once the cap is reached', async () => {
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, role: 'student' })
+      )
+      JoinCode.findOne.mockResolvedValue(
+        activeJoinCode({ maxRedemptions: 1, redemptionCount: 1 })
+      )
+      Classroom.findById.mockReturnValue(
+        createSelectQuery({ _id: classroomId, teachers: [], students: [] })
+      )
+      JoinCode.findOneAndUpdate.mockResolvedValue(null)
+
+      const response = await request(app)
+        .post('/api/classrooms/join')
+        .set(createRoleRequest('student'))
+        .send({ code: 'ABCD2345' })
+
+      expect(response.status).toBe(409)
+      expect(response.body.results).toEqual([
+        { studentId: profileId, status: 'unavailable' }
+      ])
+    })
+
+    it('enrolls the student when the teacher approves', async () => {
+      Classroom.findById.mockResolvedValue({
+        _id: classroomId,
+        name: 'Room 12',
+        teachers: [profileId],
+        students: []
+      })
+      Profile.findById.mockReturnValue(
+        createSelectQuery({ _id: profileId, role: 'teacher' })
+      )
+      JoinCode.findOneAndUpdate.mockResolvedValue(
+        activeJoinCode({
+          requests: [
+            {
+              _id: requestId,
+              student: childId,
+              requestedBy: '507f1f77bcf86cd799439068',
+              status: 'approved'
+            }
+          ]
+        })
+      )
+      Classroom.findByIdAndUpdate.mockResolvedValue({})
+      Profile.findByIdAndUpdate.mockResolvedValue({})
+
+      const response = await request(app)
+        .put(
+          `/api/classrooms/${classroomId}/join-codes/${joinCodeId}/requests/${requestId}`
+        )
+        .set(createAuthedRequest())
+        .send({ decision: 'approve' })
+
+      expect(response.status).toBe(200)
+      expect(Classroom.findByIdAndUpdate).toHaveBeenCalledWith(classroomId, {
+        $addToSet: { students: childId }
+      })
+      expect(Profile.findByIdAndUpdate).toHaveBeenCalledWith(
+        '507f1f77bcf86cd799439099',
+        { $addToSet: { students: childId } }
+      )
+    })
+  })
+
+  describe('Audit log', () => {
+    const studentId = '507f1f77bcf86cd799439062'
+    const assessmentId = '507f1f77bcf86cd799439071'
+
+    const mockActor = (overrides = {}) =>
+      Profile.findById.mockReturnValueOnce(
+        createSelectQuery({
+          _id: profileId,
+          role: 'teacher',
+          students: [studentId],
+          ...overrides
+        })
+      )
+
+    it('records who changed an assessment score and how', async () => {
+      mockActor()
+      Profile.exists.mockResolvedValue({ _id: studentId })
+      Assessment.findOne.mockReturnValue({
+        lean: vi.fn().mockResolvedValue({
+          _id: assessmentId,
+          testType: 'recognition',
+          words: ['the'],
+          score: 40
+        })
+      })
+      Assessment.findOneAndUpdate.mockResolvedValue({
+        _id: assessmentId,
+        testType: 'recognition',
+        words: ['the'],
+        score: 80
+      })
+
+      const response = await request(app)
+        .put(`/api/profiles/${studentId}/assessments/${assessmentId}`)
+        .set(createAuthedRequest())
+        .send({ testType: 'recognition', words: ['the'], score: 80 })
+
+      expect(response.status).toBe(200)
+      expect(AuditLog.create).toHaveBeenCalledWith({
+        actor: {
+          user: '507f1f77bcf86cd799439012',
+          profile: profileId,
+          role: 'teacher'
+        },
+        action: 'assessment.update',
+        targetProfile: studentId,
+        entity: { kind: 'assessment', id: assessmentId },
+        changes: [{ path: 'score', before: 40, after: 80 }],
+        ip: expect.any(String)
+      })
+    })
+
+    it('records a practiced word change only once it is saved', async () => {
+      const wordId = new mongoose.Types.ObjectId()
+      const createProfile = (save) => ({
+        _id: profileId,
+        practicedWords: [{ _id: wordId, word: 'the', timesPracticed: 1 }],
+        save
+      })
+      const failedSave = vi.fn().mockRejectedValue(new Error('write failed'))
+      const save = vi.fn().mockResolvedValue(undefined)
+      Profile.findById
+        .mockResolvedValueOnce(createProfile(failedSave))
+        .mockResolvedValueOnce(createProfile(save))
+
+      const sendUpdate = () =>
+        request(app)
+          .put(`/api/profiles/${profileId}/practicedWords/${wordId}`)
+          .set(createAuthedRequest())
+          .send({ word: 'the', timesPracticed: 2, timesCorrect: 1 })
+
+      expect((await sendUpdate()).status).toBe(500)
+      expect(AuditLog.create).not.toHaveBeenCalled()
+
+      expect((await sendUpdate()).status).toBe(200)
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'practicedWord.update',
+          changes: expect.arrayContaining([
+            { path: 'timesPracticed', before: 1, after: 2 }
+          ])
+        })
+      )
+      expect(AuditLog.create.mock.invocationCallOrder[0]).toBeGreaterThan(
+        save.mock.invocationCallOrder[0]
+      )
+    })
+
+    it('records profile changes but skips unchanged fields', async () => {
+      mockActor()
+      Profile.findById.mockReturnValueOnce(
+        createSelectQuery({ _id: studentId, name: 'Ava', grade: 1 })
+      )
+      Profile.findByIdAndUpdate.mockResolvedValue({
+        _id: studentId,
+        name: 'Ava',
+        grade: 2
+      })
+
+      const response = await request(app)
+        .put(`/api/profiles/${studentId}`)
+        .set(createAuthedRequest())
+        .send({ name: 'Ava', grade: 2 })
+
+      expect(response.status).toBe(200)
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'profile.update',
+          changes: [{ path: 'grade', before: 1, after: 2 }]
+        })
+      )
+    })
+
+    it('never writes passwords to the trail', async () => {
+      mockActor()
+      User.findOne.mockResolvedValue({
+        _id: 'student-user',
+        role: 'student',
+        save: vi.fn()
+      })
+      AuthSession.updateMany.mockResolvedValue({ modifiedCount: 0 })
+
+      const response = await request(app)
+        .post('/api/auth/changePassword')
+        .set(createAuthedRequest())
+        .send({ student: studentId, newPw: 'new-secret' })
+
+      expect(response.status).toBe(200)
+      expect(AuditLog.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: 'password.change',
+          changes: [
+            { path: 'password', before: '[redacted]', after: '[redacted]' }
+          ]
+        })
+      )
+    })
+
+    it('lets admins filter the audit log', async () => {
+      mockActor({ isAdmin: true })
+      const query = {
+        sort: vi.fn().mockReturnThis(),
+        skip: vi.fn().mockReturnThis(),
+        limit: vi.fn().mockReturnThis(),
+        populate: vi.fn().mockReturnThis(),
+        lean: vi.fn().mockResolvedValue([{ action: 'assessment.update' }])
+      }
+      AuditLog.find.mockReturnValue(query)
+      AuditLog.countDocuments.mockResolvedValue(21)
+
+      const response = await request(app)
+        .get('/api/audit')
+        .query({
+          targetProfile: studentId,
+          action: 'assessment.update,assessment.note',
+          from: '2026-01-01',
+          page: 2,
+          limit: 10
+        })
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(200)
+      expect(response.body).toMatchObject({ total: 21, page: 2, limit: 10 })
+      expect(AuditLog.find).toHaveBeenCalledWith({
+        targetProfile: studentId,
+        action: { $in: ['assessment.update', 'assessment.note'] },
+        createdAt: { $gte: new Date('2026-01-01') }
+      })
+      expect(query.skip).toHaveBeenCalledWith(10)
+    })
+
+    it('keeps the audit log to admins', async () => {
+      mockActor()
+
+      const response = await request(app)
+        .get('/api/audit')
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(403)
+      expect(AuditLog.find).not.toHaveBeenCalled()
+    })
+
+    it('rejects unknown audit filters', async () => {
+      mockActor({ isAdmin: true })
+
+      const response = await request(app)
+        .get('/api/audit')
+        .query({ action: 'grade.delete' })
+        .set(createAuthedRequest())
+
+      expect(response.status).toBe(400)
+      expect(response.body).toHaveProperty(
+        'err',
+        'Unknown action: grade.delete'
+      )
+    })
+  })
+
+  describe('Word catalog endpoints', () => {
+    it('lists all ten Fry levels', async () => {
+      const response = await request(app).get('/api/words')
+
+      expect(response.status).toBe(200)
+      expect(response.body.totalWords).toBe(1000)
+      expect(response.body.levels).toHaveLength(10)
+    })
+
+    it('returns a level split into 25-word lists', async () => {
+      const response = await request(app).get('/api/words/levels/1')
+
+      expect(response.status).toBe(200)
+      expect(response.body.words).toHaveLength(100)
+      expect(response.body.lists).toHaveLength(4)
+      expect(response.body.lists[0].words[0]).toBe('the')
+    })
+
+    it('looks up a word case-insensitively', async () => {
+      const response = await request(app).get('/api/words/lookup/THE')
+
+      expect(response.status).toBe(200)
+      expect(response.body).toEqual({ word: 'the', rank: 1, level: 1, list: 1 })
+    })
+
+    it('rejects levels outside the catalog', async () => {
+      const response = await request(app).get('/api/words/levels/11')
+
+      expect(response.status).toBe(400)
+    })
+
+    it('rejects practiced words that are not Fry words', async () => {
+      const response = await request(app)
+        .post(`/api/profiles/${profileId}/practicedWords`)
+        .set(createAuthedRequest())
+        .send({ word: 'xylophone' })
+
+      expect(response.status).toBe(400)
+      expect(response.body.details).toEqual(
+        expect.arrayContaining([expect.stringMatching(/fry catalog/i)])
+      )
+    })
+  })
+
+  describe('Socket authentication', () => {
+    const createSocket = (auth = {}) => ({
+      handshake: { auth, headers: {}, query: {} },
+      data: {}
+    })
+
+    it('attaches the decoded user for a valid token', async () => {
+      const socket = createSocket({
+        token: createAuthedRequest().Authorization
+      })
+      const next = vi.fn()
+
+      await authenticateSocket(socket, next)
+
+      expect(next).toHaveBeenCalledWith()
+      expect(socket.data.user).toMatchObject({
+        profile: profileId,
+        role: 'teacher'
+      })
+      expect(socket.data.authSessionId).toBe(authSessionId)
+
+      socket.join = vi.fn()
+      joinAuthRooms(socket)
+
+      expect(socket.join).toHaveBeenCalledWith([
+        `auth-session:${authSessionId}`,
+        'auth-user:507f1f77bcf86cd799439012'
+      ])
+    })
+
+    it('rejects handshakes without a valid token', async () => {
+      const missing = vi.fn()
+      const invalid = vi.fn()
+
+      await authenticateSocket(createSocket(), missing)
+      await authenticateSocket(createSocket({ token: 'bad.token' }), invalid)
+
+      expect(missing.mock.calls[0][0].message).toBe('Not Authorized')
+      expect(invalid.mock.calls[0][0].message).toBe('Invalid token')
+    })
+  })
+
+  describe('Live session persistence', () => {
+    it('round-trips per-word responses through the stored document', () => {
+      const studentId = '507f1f77bcf86cd799439031'
+      const session = {
+        sessionId: 'session-1',
+        room: 'room-1',
+        teacherProfileId: profileId,
+        testType: 'recognition',
+        fryLevel: 1,
+        wordsToTest: ['the', 'of'],
+        currentWord: 'of',
+        currentSequence: 2,
+        startTime: new Date(),
+        participantProfileIds: new Set([studentId]),
+        persistedParticipants: new Set([studentId]),
+        participants: new Map([
+          [
+            studentId,
+            {
+              responsesByWord: new Map([
+                ['the', { word: 'the', recognized: true, responseTime: 900 }]
+              ])
+            }
+          ]
+        ])
+      }
+
+      const restored = deserializeSession(serializeSession(session))
+
+      expect(restored.currentWord).toBe('of')
+      expect([...restored.participantProfileIds]).toEqual([studentId])
+      expect(
+        restored.participants.get(studentId).responsesByWord.get('the')
+      ).toMatchObject({ recognized: true, responseTime: 900, studentId })
+    })
+
+    it('leaves paused time out of the word timer and session duration', () => {
+      const start = Date.parse('2026-03-02T09:00:00Z')
+      const session = { startTime: new Date(start), timeLimit: 10 }
+
+      startWordClock(session, 'the', 1, start + 1000)
+      expect(getWordRemainingMs(session, start + 4000)).toBe(7000)
+
+      expect(pauseSessionClock(session, start + 4000)).toBe(true)
+      expect(pauseSessionClock(session, start + 5000)).toBe(false)
+      // The clock stands still while paused
+      expect(getWordRemainingMs(session, start + 60000)).toBe(7000)
+
+      expect(resumeSessionClock(session, start + 64000)).toBe(60000)
+      expect(getWordRemainingMs(session, start + 66000)).toBe(5000)
+      expect(getSessionDurationMs(session, start + 70000)).toBe(10000)
+    })
+
+    it('keeps the pause state and word clock across a restart', () => {
+      const pausedAt = new Date()
+      const session = {
+        sessionId: 'session-2',
+        room: 'room-1',
+        teacherProfileId: profileId,
+        wordsToTest: ['the'],
+        timeLimit: 8,
+        autoAdvance: true,
+        wordStartedAt: new Date(pausedAt.getTime() - 3000),
+        wordPausedMs: 1000,
+        pausedAt,
+        pausedMs: 45000,
+        startTime: new Date(pausedAt.getTime() - 120000),
+        participantProfileIds: new Set(),
+        persistedParticipants: new Set(),
+        participants: new Map()
+      }
+
+      const restored = deserializeSession(serializeSession(session))
+
+      expect(restored).toMatchObject({
+        timeLimit: 8,
+        autoAdvance: true,
+        wordPausedMs: 1000,
+        pausedAt,
+        pausedMs: 45000
+      })
+      expect(getWordRemainingMs(restored, pausedAt.getTime())).toBe(6000)
+    })
+  })
+
+  describe('Abandoned session sweep', () => {
+    it('only cancels orphaned sessions that were started live', async () => {
+      await sweepAbandonedTestSessions({ to: vi.fn() }, 60 * 60 * 1000)
+
+      const [filter, update] = TestSession.updateMany.mock.calls[0]
+      expect(filter).toMatchObject({
+        source: 'live',
+        status: 'active',
+        sessionId: { $exists: true }
+      })
+      expect(update.$set.status).toBe('cancelled')
+    })
+
+    it('gives paused sessions longer but still sweeps abandoned ones', async () => {
+      const teacher = createHandlerSocket(
+        'teacher-socket-sweep',
+        { profile: profileId, role: 'teacher' },
+        []
+      )
+      for (const sessionId of ['session-sweep-paused', 'session-sweep-idle']) {
+        await teacher.run('start_test_session', {
+          sessionId,
+          room: 'room-1',
+          testType: 'recognition',
+          wordsToTest: ['the']
+        })
+      }
+      await teacher.run('pause_test_session', {
+        sessionId: 'session-sweep-paused'
+      })
+      const io = { to: vi.fn(() => ({ emit: vi.fn() })) }
+      const hourMs = 60 * 60 * 1000
+
+      vi.useFakeTimers({ toFake: ['Date'] })
+      vi.setSystemTime(Date.now() + 2 * hourMs)
+      const firstSweep = await sweepAbandonedTestSessions(
+        io,
+        hourMs,
+        3 * hourMs
+      )
+      vi.setSystemTime(Date.now() + 2 * hourMs)
+      const secondSweep = await sweepAbandonedTestSessions(
+        io,
+        hourMs,
+        3 * hourMs
+      )
+      vi.useRealTimers()
+
+      expect(firstSweep).toContain('session-sweep-idle')
+      expect(firstSweep).not.toContain('session-sweep-paused')
+      expect(secondSweep).toEqual(['session-sweep-paused'])
+      expect(closeLiveSession).toHaveBeenCalledWith(
+        'session-sweep-paused',
+        'cancelled',
+        expect.any(Date)
+      )
+    })
+  })
+
+  describe('Live word queue', () => {
+    const studentId = '507f1f77bcf86cd799439031'
+
+    const createQueuedSession = (wordsToTest, order) => {
+      const session = {
+        sessionId: 'session-3',
+        wordsToTest,
+        participants: new Map([[studentId, { responsesByWord: new Map() }]])
+      }
+      initWordQueue(session, order)
+      return session
+    }
+
+    const answer = (session, word, response) =>
+      session.participants
+        .get(studentId)
+        .responsesByWord.set(word, { word, ...response })
+
+    it('re-queues a missed word once at the end', () => {
+      const session = createQueuedSession(['the', 'of', 'and'])
+
+      expect(advanceWordQueue(session)).toBe('the')
+      answer(session, 'the', { recognized: true, teacherRecognized: false })
+      expect(advanceWordQueue(session)).toBe('of')
+      answer(session, 'of', { recognized: true })
+      expect(advanceWordQueue(session)).toBe('and')
+      expect(advanceWordQueue(session, { skip: true })).toBe('the')
+      // Missed again, but it only comes back once
+      expect(advanceWordQueue(session)).toBeNull()
+
+      expect(getWordQueueState(session)).toMatchObject({
+        total: 4,
+        requeuedWords: ['the'],
+        skippedWords: ['and'],
+        upcomingWords: [],
+        finished: true
+      })
+    })
+
+    it('shuffles the queue without losing words', () => {
+      const words = getLevelWords(1).slice(0, 20)
+      const session = createQueuedSession(words, 'shuffled')
+
+      expect([...session.wordQueue].sort()).toEqual([...words].sort())
+      expect(getWordQueueState(session)).toMatchObject({
+        order: 'shuffled',
+        position: 0,
+        currentWord: null,
+        upcomingWords: session.wordQueue
+      })
+    })
+
+    it('restores the queue and cursor after a restart', () => {
+      const session = createQueuedSession(['the', 'of'])
+      Object.assign(session, {
+        room: 'room-1',
+        startTime: new Date(),
+        participantProfileIds: new Set(),
+        persistedParticipants: new Set()
+      })
+      advanceWordQueue(session)
+
+      const restored = deserializeSession(serializeSession(session))
+
+      expect(getWordQueueState(restored)).toMatchObject({
+        currentWord: 'the',
+        position: 1,
+        upcomingWords: ['of']
+      })
+    })
+  })
+
+  describe('Session dashboard', () => {
+    it('summarizes accuracy, progress and the words most students missed', () => {
+      const ava = '507f1f77bcf86cd799439031'
+      const ben = '507f1f77bcf86cd799439032'
+      const cal = '507f1f77bcf86cd799439033'
+      const responses = (entries) => ({
+        responsesByWord: new Map(entries.map((entry) => [entry.word, entry]))
+      })
+
+      const dashboard = buildSessionDashboard({
+        sessionId: 'session-4',
+        currentWord: 'and',
+        participants: new Map([
+          [
+            ava,
+            responses([
+              {
+                word: 'the',
+                studentName: 'Ava',
+                recognized: true,
+                responseTime: 800
+              },
+              { word: 'of', recognized: false, responseTime: 1600 },
+              { word: 'and', recognized: true, responseTime: 1200 }
+            ])
+          ],
+          [
+            ben,
+            responses([
+              { word: 'the', recognized: true, responseTime: 1000 },
+              { word: 'of', noResponse: true, responseTime: 8000 }
+            ])
+          ],
+          [
+            cal,
+            responses([
+              // The teacher's mark overrides the recognizer
+              {
+                word: 'the',
+                recognized: false,
+                teacherRecognized: true,
+                responseTime: 600
+              },
+              {
+                word: 'of',
+                recognized: true,
+                teacherRecognized: false,
+                responseTime: 2000
+              }
+            ])
+          ]
+        ])
+      })
+
+      expect(dashboard.currentWord).toEqual({
+        word: 'and',
+        answered: 1,
+        total: 3
+      })
+      expect(dashboard.students[0]).toMatchObject({
+        studentId: ava,
+        studentName: 'Ava',
+        answered: 3,
+        correct: 2,
+        averageResponseTime: 1200
+      })
+      expect(dashboard.students[1]).toMatchObject({
+        accuracy: 0.5,
+        noResponses: 1,
+        averageResponseTime: 1000
+      })
+      expect(dashboard.averageResponseTime).toBe(1200)
+      expect(dashboard.mostlyMissedWords).toEqual([
+        { word: 'of', answered: 3, missed: 3 }
+      ])
+    })
+  })
+
+  describe('Socket event validation', () => {
+    const createValidatedSocket = () => {
+      const socket = { emit: vi.fn() }
+      return { socket, middleware: validateSocketEvents(socket) }
+    }
+
+    it('lists every invalid field in the style of the REST validators', () => {
+      const { details, fields } = validateEventPayload(
+        EVENT_SCHEMAS.start_test_session,
+        {
+          sessionId: 'session-1',
+          room: ' ',
+          testType: 'guessing',
+          wordsToTest: ['the', 7],
+          fryLevel: 99,
+          timeLimit: 5,
+          order: 'ordered'
+        }
+      )
+
+      expect(details).toEqual([
+        'room is required and must be a non-empty string',
+        'testType must be one of: recognition, pronunciation, spelling, reading',
+        'wordsToTest[1] must be a string',
+        'fryLevel must be between 1 and 10'
+      ])
+      expect(fields).toEqual(['room', 'testType', 'wordsToTest[1]', 'fryLevel'])
+    })
+
+    it('checks nested objects and ids', () => {
+      expect(
+        validateEventPayload(EVENT_SCHEMAS.update_test_settings, {
+          sessionId: 'session-1',
+          room: 'room-1',
+          settings: { timeLimit: 601 }
+        }).details
+      ).toEqual(['settings.timeLimit must be between 1 and 600'])
+      expect(
+        validateEventPayload(EVENT_SCHEMAS.save_assessment_note, {
+          sessionId: 'session-1',
+          word: 'the',
+          studentId: 'not-an-id',
+          score: null
+        }).fields
+      ).toEqual(['studentId'])
+      expect(
+        validateEventPayload(EVENT_SCHEMAS.next_word, 'session-1').details
+      ).toEqual(['Payload must be an object'])
+    })
+
+    it('passes valid payloads through to the handler', () => {
+      const { socket, middleware } = createValidatedSocket()
+      const next = vi.fn()
+
+      middleware(['next_word', { sessionId: 'session-1' }], next)
+      middleware(['request_presence_snapshot'], next)
+
+      expect(next).toHaveBeenCalledTimes(2)
+      expect(socket.emit).not.toHaveBeenCalled()
+    })
+
+    it('answers invalid and unknown events with a validation_error', () => {
+      const { socket, middleware } = createValidatedSocket()
+      const next = vi.fn()
+      const ack = vi.fn()
+
+      middleware(
+        ['submit_test_response', { sessionId: 'session-1' }, ack],
+        next
+      )
+      middleware(['drop_tables', {}], next)
+
+      expect(next).not.toHaveBeenCalled()
+      const expected = {
+        event: 'submit_test_response',
+        err: 'Validation failed',
+        details: [
+          'word is required and must be a non-empty string',
+          'testType is required and must be a non-empty string'
+        ],
+        fields: ['word', 'testType']
+      }
+      expect(ack).toHaveBeenCalledWith(expected)
+      expect(socket.emit).toHaveBeenCalledWith('validation_error', expected)
+      expect(socket.emit).toHaveBeenCalledWith('validation_error', {
+        event: 'drop_tables',
+        err: 'Validation failed',
+        details: ['Unknown event: drop_tables'],
+        fields: []
+      })
+    })
+  })
+
+  describe('Live session control', () => {
+    const studentId = '507f1f77bcf86cd799439031'
+    const otherTeacherId = '507f1f77bcf86cd799439032'
+
+    const createTeacher = (teacherId = profileId) =>
+      createHandlerSocket(
+        `teacher-socket-${teacherId}`,
+        { profile: teacherId, role: 'teacher' },
+        [
+          {
+            id: `teacher-socket-${teacherId}`,
+            room: 'room-1',
+            user: { profile: teacherId, role: 'teacher' }
+          }
+        ]
+      )
+
+    const startAs = (teacher, sessionId) =>
+      teacher.run('start_test_session', {
+        sessionId,
+        room: 'room-1',
+        testType: 'recognition',
+        wordsToTest: ['the', 'of']
+      })
+
+    it('does not let a start replace a running session', async () => {
+      const owner = createTeacher()
+      const intruder = createTeacher(otherTeacherId)
+
+      await startAs(owner, 'session-control-1')
+      await startAs(intruder, 'session-control-1')
+      await intruder.run('pause_test_session', {
+        sessionId: 'session-control-1'
+      })
+
+      expect(findEmitted(intruder.socket.emit, 'test_error')).toEqual([
+        {
+          message: 'A test session with this id is already running',
+          sessionId: 'session-control-1'
+        },
+        { message: 'Only the teacher running this session can change it' }
+      ])
+      expect(
+        findEmitted(intruder.socket.emit, 'test_session_confirmed')
+      ).toEqual([])
+    })
+
+    it('rejects teacher commands for sessions that are not live', async () => {
+      const teacher = createTeacher()
+
+      await teacher.run('save_assessment_note', {
+        sessionId: 'session-gone',
+        word: 'the',
+        studentId,
+        score: 100
+      })
+      await teacher.run('end_test_session', {
+        sessionId: 'session-gone',
+        room: 'room-1'
+      })
+      await teacher.run('send_test_word', {
+        sessionId: 'session-gone',
+        word: 'the',
+        testType: 'recognition',
+        room: 'room-1'
+      })
+
+      expect(findEmitted(teacher.socket.emit, 'test_error')).toEqual(
+        Array(3).fill({
+          message: 'Test session is no longer active',
+          sessionId: 'session-gone'
+        })
+      )
+      expect(Assessment.findOneAndUpdate).not.toHaveBeenCalled()
+      expect(teacher.roomEmit).not.toHaveBeenCalled()
+    })
+
+    it("only saves notes for the session's students", async () => {
+      const teacher = createTeacher()
+      await startAs(teacher, 'session-control-2')
+
+      await teacher.run('save_assessment_note', {
+        sessionId: 'session-control-2',
+        word: 'the',
+        studentId,
+        score: 100
+      })
+
+      expect(findEmitted(teacher.socket.emit, 'test_error')).toEqual([
+        {
+          message: 'Student is not part of this test session',
+          sessionId: 'session-control-2'
+        }
+      ])
+      expect(Assessment.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Resuming live sessions', () => {
+    const studentId = '507f1f77bcf86cd799439031'
+    const classmateId = '507f1f77bcf86cd799439033'
+
+    const startWithStudents = async (sessionId) => {
+      const allUsers = [studentId, classmateId].map((id) => ({
+        id: `socket-${id}`,
+        room: 'room-1',
+        user: { profile: id, role: 'student' }
+      }))
+      const teacher = createHandlerSocket(
+        'teacher-socket',
+        { profile: profileId, role: 'teacher' },
+        allUsers
+      )
+      await teacher.run('start_test_session', {
+        sessionId,
+        room: 'room-1',
+        testType: 'recognition',
+        wordsToTest: ['the', 'of']
+      })
+      await teacher.run('next_word', { sessionId })
+
+      const [student, classmate] = [studentId, classmateId].map((id) =>
+        createHandlerSocket(
+          `socket-${id}`,
+          { profile: id, role: 'student', name: `Student ${id}` },
+          allUsers
+        )
+      )
+      await classmate.send('submit_test_response', {
+        sessionId,
+        word: 'the',
+        testType: 'recognition',
+        recognized: true
+      })
+
+      return { allUsers, student, classmate }
+    }
+
+    beforeEach(() => {
+      Profile.exists.mockResolvedValue(true)
+      Assessment.findOneAndUpdate.mockResolvedValue({ value: null })
+    })
+
+    it('replays a student their own state and tells only the teacher', async () => {
+      const { student } = await startWithStudents('session-resume-1')
+
+      await student.run('resume_test_session', {
+        sessionId: 'session-resume-1'
+      })
+
+      const [resumed] = findEmitted(student.socket.emit, 'test_session_resumed')
+      expect(resumed).toMatchObject({
+        sessionId: 'session-resume-1',
+        room: 'room-1',
+        currentWord: 'the',
+        paused: false,
+        queue: null,
+        responses: []
+      })
+      expect(student.socket.join).toHaveBeenCalledWith('room-1')
+      expect(student.socket.to).toHaveBeenCalledWith(
+        'test-session:session-resume-1:teacher'
+      )
+      expect(student.socket.to).not.toHaveBeenCalledWith('room-1')
+      expect(findEmitted(student.roomEmit, 'student_reconnected')).toEqual([
+        expect.objectContaining({
+          sessionId: 'session-resume-1',
+          studentId,
+          answeredCount: 0
+        })
+      ])
+    })
+
+    it('replays the teacher every response, the queue and the dashboard', async () => {
+      const { allUsers } = await startWithStudents('session-resume-2')
+      const teacher = createHandlerSocket(
+        'teacher-socket-reloaded',
+        { profile: profileId, role: 'teacher' },
+        allUsers
+      )
+
+      await teacher.run('resume_test_session', {
+        sessionId: 'session-resume-2'
+      })
+
+      const [resumed] = findEmitted(teacher.socket.emit, 'test_session_resumed')
+      expect(resumed.responses).toEqual([
+        expect.objectContaining({ studentId: classmateId, word: 'the' })
+      ])
+      expect(resumed.queue).toMatchObject({ currentWord: 'the', position: 1 })
+      expect(teacher.socket.join).toHaveBeenCalledWith(
+        'test-session:session-resume-2:teacher'
+      )
+      expect(
+        findEmitted(teacher.socket.emit, 'session_dashboard')
+      ).toHaveLength(1)
+      expect(findEmitted(teacher.roomEmit, 'student_reconnected')).toEqual([])
+    })
+
+    it('keeps a paused session paused until the teacher unpauses it', async () => {
+      const { allUsers, student } = await startWithStudents('session-resume-4')
+      const teacher = createHandlerSocket(
+        'teacher-socket-paused',
+        { profile: profileId, role: 'teacher' },
+        allUsers
+      )
+
+      await teacher.run('pause_test_session', { sessionId: 'session-resume-4' })
+      await teacher.run('resume_test_session', {
+        sessionId: 'session-resume-4'
+      })
+
+      const [resumed] = findEmitted(teacher.socket.emit, 'test_session_resumed')
+      expect(resumed.paused).toBe(true)
+      expect(findEmitted(teacher.ioEmit, 'test_session_unpaused')).toEqual([])
+
+      await student.run('resume_test_session', {
+        sessionId: 'session-resume-4',
+        unpause: true
+      })
+      expect(findEmitted(student.socket.emit, 'test_error')).toEqual([
+        { message: 'Only the teacher running this session can change it' }
+      ])
+
+      await teacher.run('resume_test_session', {
+        sessionId: 'session-resume-4',
+        unpause: true
+      })
+      await teacher.run('resume_test_session', {
+        sessionId: 'session-resume-4',
+        unpause: true
+      })
+
+      expect(findEmitted(teacher.ioEmit, 'test_session_unpaused')).toEqual([
+        expect.objectContaining({
+          sessionId: 'session-resume-4',
+          currentWord: 'the'
+        })
+      ])
+      const [, unpaused] = findEmitted(
+        teacher.socket.emit,
+        'test_session_resumed'
+      )
+      expect(unpaused.paused).toBe(false)
+    })
+
+    it('turns away sockets that are not part of the session', async () => {
+      const { allUsers } = await startWithStudents('session-resume-3')
+      const stranger = createHandlerSocket(
+        'stranger-socket',
+        { profile: '507f1f77bcf86cd799439099', role: 'student' },
+        allUsers
+      )
+
+      await stranger.run('resume_test_session', {
+        sessionId: 'session-resume-3'
+      })
+
+      expect(findEmitted(stranger.socket.emit, 'test_error')).toEqual([
+        {
+          message: 'You are not part of this test session',
+          sessionId: 'session-resume-3'
+        }
+      ])
+      expect(stranger.socket.join).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Test response delivery', () => {
+    const studentId = '507f1f77bcf86cd799439031'
+
+    const startSession = async (sessionId) => {
+      const allUsers = [
+        {
+          id: 'student-socket',
+          room: 'room-1',
+          user: { profile: studentId, role: 'student' }
+        }
+      ]
+      const teacher = createHandlerSocket(
+        'teacher-socket',
+        { profile: profileId, role: 'teacher' },
+        allUsers
+      )
+      await teacher.run('start_test_session', {
+        sessionId,
+        room: 'room-1',
+        testType: 'recognition',
+        wordsToTest: ['the', 'of']
+      })
+
+      return createHandlerSocket(
+        'student-socket',
+        { profile: studentId, role: 'student' },
+        allUsers
+      )
+    }
+
+    beforeEach(() => {
+      Profile.exists.mockResolvedValue(true)
+      Assessment.findOneAndUpdate.mockResolvedValue({
+        value: null,
+        lastErrorObject: { upserted: '507f1f77bcf86cd799439041' }
+      })
+    })
+
+    it('records a retried submission once and acks both with the result', async () => {
+      const student = await startSession('session-ack-1')
+      const submission = {
+        sessionId: 'session-ack-1',
+        word: 'the',
+        testType: 'recognition',
+        recognized: true,
+        responseId: 'response-1'
+      }
+
+      const [first, retry] = await Promise.all([
+        student.send('submit_test_response', submission),
+        student.send('submit_test_response', submission)
+      ])
+      const later = await student.send('submit_test_response', submission)
+
+      expect(first).toMatchObject({
+        status: 'persisted',
+        sessionId: 'session-ack-1',
+        word: 'the',
+        responseId: 'response-1'
+      })
+      expect(retry).toEqual({ ...first, duplicate: true })
+      expect(later).toEqual({ ...first, duplicate: true })
+      expect(Assessment.findOneAndUpdate).toHaveBeenCalledTimes(1)
+      expect(student.roomEmit).toHaveBeenCalledTimes(1)
+    })
+
+    it('acks a failed result so the student can retry', async () => {
+      const student = await startSession('session-ack-2')
+      const submission = {
+        sessionId: 'session-ack-2',
+        word: 'the',
+        testType: 'recognition',
+        responseId: 'response-2'
+      }
+      Assessment.findOneAndUpdate.mockRejectedValueOnce(new Error('timeout'))
+
+      const failed = await student.send('submit_test_response', submission)
+      const retried = await student.send('submit_test_response', submission)
+
+      expect(failed).toMatchObject({
+        status: 'failed',
+        responseId: 'response-2',
+        error: 'Failed to submit response'
+      })
+      expect(retried).toMatchObject({ status: 'persisted' })
+      expect(retried.duplicate).toBeUndefined()
+
+      expect(
+        await student.send('submit_test_response', {
+          ...submission,
+          sessionId: 'session-ended'
+        })
+      ).toMatchObject({
+        status: 'failed',
+        error: 'Test session is no longer active'
+      })
+    })
+
+    it('turns away outsiders and words the session is not testing', async () => {
+      const student = await startSession('session-ack-3')
+      const allUsers = [
+        {
+          id: 'outsider-socket',
+          room: 'room-2',
+          user: { profile: '507f1f77bcf86cd799439099', role: 'student' }
+        }
+      ]
+      const outsider = createHandlerSocket(
+        'outsider-socket',
+        { profile: '507f1f77bcf86cd799439099', role: 'student' },
+        allUsers
+      )
+      const submission = {
+        sessionId: 'session-ack-3',
+        word: 'the',
+        testType: 'recognition',
+        recognized: true
+      }
+
+      expect(
+        await outsider.send('submit_test_response', submission)
+      ).toMatchObject({
+        status: 'failed',
+        error: 'You are not part of this test session'
+      })
+      expect(
+        await student.send('submit_test_response', {
+          ...submission,
+          word: 'and'
+        })
+      ).toMatchObject({
+        status: 'failed',
+        error: 'Word is not part of this test session'
+      })
+      expect(Assessment.findOneAndUpdate).not.toHaveBeenCalled()
+    })
+  })
+
+  describe('Migrations', () => {
+    it('loads the migration scripts in order', async () => {
+      const migrations = await loadMigrations()
+
+      expect(migrations[0].name).toBe(
+        '001-extract-assessments-and-test-sessions'
+      )
+      expect(migrations.map(({ name }) => name)).toEqual(
+        migrations.map(({ name }) => name).sort()
+      )
+    })
+
+    it('applies pending migrations once and reverts the latest', async () => {
+      const db = createMigrationDb()
+      const calls = []
+      const migrations = ['001-first', '002-second'].map((name) => ({
+        name,
+        up: async () => calls.push(`up ${name}`),
+        down: async () => calls.push(`down ${name}`)
+      }))
+
+      expect(await migrateUp(db, migrations)).toEqual([
+        '001-first',
+        '002-second'
+      ])
+      expect(await migrateUp(db, migrations)).toEqual([])
+      expect(await migrateDown(db, migrations)).toEqual(['002-second'])
+
+      const status = await getMigrationStatus(db, migrations)
+      expect(status.map(({ applied }) => applied)).toEqual([true, false])
+      expect(calls).toEqual([
+        'up 001-first',
+        'up 002-second',
+        'down 002-second'
+      ])
+    })
+
+    it('never applies migrations past the requested target', async () => {
+      const db = createMigrationDb()
+      const migrations = ['001-first', '002-second', '003-third'].map(
+        (name) => ({ name, up: vi.fn(), down: vi.fn() })
+      )
+
+      expect(await migrateUp(db, migrations, { to: '002-second' })).toEqual([
+        '001-first',
+        '002-second'
+      ])
+      // The target is already applied, so there is nothing to do
+      expect(await migrateUp(db, migrations, { to: '001-first' })).toEqual([])
+      expect(migrations[2].up).not.toHaveBeenCalled()
     })
   })
 
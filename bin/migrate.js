@@ -0,0 +1,96 @@
+/**
+ * Database migration CLI.
+ *
+ * Usage:
+ *   node bin/migrate.js status
+ *   node bin/migrate.js up [name]      apply pending migrations (up to name)
+ *   node bin/migrate.js down [steps]   revert the last applied migration(s)
+ *   node bin/migrate.js create <description>
+ */
+
+import 'dotenv/config.js'
+import mongoose from 'mongoose'
+import {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  createMigration
+} from '../services/migration-runner.js'
+
+const USAGE =
+  'Usage: node bin/migrate.js <status|up [name]|down [steps]|create <description>>'
+
+// Runs a command that needs the database, disconnecting afterwards
+async function withDatabase(command) {
+  mongoose.set('strictQuery', false)
+  await mongoose.connect(process.env.MONGO_DB)
+
+  try {
+    const migrations = await loadMigrations()
+    return await command(mongoose.connection.db, migrations)
+  } finally {
+    await mongoose.disconnect()
+  }
+}
+
+const commands = {
+  status: () =>
+    withDatabase(async (db, migrations) => {
+      const status = await getMigrationStatus(db, migrations)
+      if (!status.length) {
+        console.log('No migrations found')
+        return
+      }
+
+      status.forEach(({ name, applied, appliedAt }) => {
+        const state = applied ? `applied ${appliedAt.toISOString()}` : 'pending'
+        console.log(`${applied ? '✅' : '⏳'} ${name} (${state})`)
+      })
+    }),
+
+  up: (to) =>
+    withDatabase(async (db, migrations) => {
+      const applied = await migrateUp(db, migrations, { to })
+      if (!applied.length) {
+        console.log('No pending migrations')
+        return
+      }
+
+      applied.forEach((name) => console.log(`✅ Applied ${name}`))
+    }),
+
+  down: (steps = '1') =>
+    withDatabase(async (db, migrations) => {
+      const count = parseInt(steps, 10)
+      if (!Number.isInteger(count) || count < 1) {
+        throw new Error('steps must be a positive integer')
+      }
+
+      const reverted = await migrateDown(db, migrations, { steps: count })
+      if (!reverted.length) {
+        console.log('No applied migrations to revert')
+        return
+      }
+
+      reverted.forEach((name) => console.log(`↩️  Reverted ${name}`))
+    }),
+
+  create: async (...words) => {
+    const filePath = await createMigration(words.join(' '))
+    console.log(`✅ Created ${filePath}`)
+  }
+}
+
+const [commandName, ...args] = process.argv.slice(2)
+const command = commands[commandName]
+
+if (!command) {
+  console.error(USAGE)
+  process.exitCode = 1
+} else {
+  command(...args).catch((error) => {
+    console.error('❌ Migration command failed:', error.message)
+    process.exitCode = 1
+  })
+}
@@ -5,7 +5,12 @@
 import { app } from '../server.js'
 import debug from 'debug'
 import http from 'http'
+import mongoose from 'mongoose'
 import { initializeSocketServer } from '../socket/socketServer.js'
+import {
+  loadMigrations,
+  getPendingMigrations
+} from '../services/migration-runner.js'
 
 /**
  * Get port from environment and store in Express.
@@ -14,6 +19,12 @@ import { initializeSocketServer } from '../socket/socketServer.js'
 const port = normalizePort(process.env.PORT || '3001')
 app.set('port', port)
 
+/**
+ * Refuse to serve while database migrations are pending.
+ */
+
+await ensureMigrationsApplied()
+
 /**
  * Create HTTP server.
  */
@@ -53,6 +64,36 @@ function normalizePort(val) {
   return false
 }
 
+/**
+ * Exit unless every migration in migrations/ has been applied.
+ */
+
+async function ensureMigrationsApplied() {
+  if (process.env.SKIP_DB_CONNECTION === 'true') return
+
+  try {
+    await import('../config/database.js')
+    await mongoose.connection.asPromise()
+
+    const pending = await getPendingMigrations(
+      mongoose.connection.db,
+      await loadMigrations()
+    )
+
+    if (pending.length) {
+      console.error(
+        `${pending.length} pending migration(s): ` +
+          pending.map(({ name }) => name).join(', ')
+      )
+      console.error('Run `npm run migrate up` before starting the server')
+      process.exit(1)
+    }
+  } catch (error) {
+    console.error('Unable to check database migrations:', error)
+    process.exit(1)
+  }
+}
+
 /**
  * Event listener for HTTP server "error" event.
  */
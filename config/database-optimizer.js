@@ -170,7 +170,17 @@ class DatabaseOptimizer {
 
     try {
       // Get collection stats
-      const collections = ['users', 'profiles']
+      const collections = [
+        'users',
+        'profiles',
+        'assessments',
+        'testsessions',
+        'classrooms',
+        'authsessions',
+        'joincodes',
+        'passwordresets',
+        'auditlogs'
+      ]
 
       for (const collectionName of collections) {
         const collection = mongoose.connection.db.collection(collectionName)
@@ -302,7 +312,17 @@ class DatabaseOptimizer {
 
     try {
       // Compact collections to reclaim space
-      const collections = ['users', 'profiles']
+      const collections = [
+        'users',
+        'profiles',
+        'assessments',
+        'testsessions',
+        'classrooms',
+        'authsessions',
+        'joincodes',
+        'passwordresets',
+        'auditlogs'
+      ]
 
       for (const collectionName of collections) {
         try {
@@ -0,0 +1,107 @@
+import mongoose from 'mongoose'
+import { AuditLog, AUDIT_ACTIONS } from '../models/auditLog.js'
+import { loadActorProfile } from '../middleware/authorize.js'
+
+const DEFAULT_PAGE_SIZE = 50
+const MAX_PAGE_SIZE = 200
+
+const ID_FILTERS = {
+  actor: 'actor.profile',
+  targetProfile: 'targetProfile',
+  entity: 'entity.id'
+}
+
+const parseDate = (value) => {
+  const date = new Date(value)
+  return Number.isNaN(date.getTime()) ? null : date
+}
+
+const parsePageNumber = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+/**
+ * Builds the AuditLog query from the supported filters: `actor` (profile
+ * id), `targetProfile`, `entity` (record id), `action` (comma-separated),
+ * `from` and `to`.
+ * @param {Object} query - The request query.
+ * @returns {Object} - `{ filter }`, or `{ err }` for an invalid filter.
+ */
+function buildAuditQuery(query = {}) {
+  const filter = {}
+
+  for (const [param, path] of Object.entries(ID_FILTERS)) {
+    if (!query[param]) continue
+    if (!mongoose.isValidObjectId(query[param])) {
+      return { err: `Invalid ${param}. Must be a valid MongoDB ObjectId` }
+    }
+    filter[path] = query[param]
+  }
+
+  if (query.action) {
+    const actions = String(query.action).split(',')
+    const unknown = actions.filter((action) => !AUDIT_ACTIONS.includes(action))
+    if (unknown.length) {
+      return { err: `Unknown action: ${unknown.join(', ')}` }
+    }
+    filter.action = { $in: actions }
+  }
+
+  if (query.from || query.to) {
+    const from = query.from && parseDate(query.from)
+    const to = query.to && parseDate(query.to)
+    if (from === null || to === null) {
+      return { err: 'from and to must be valid dates' }
+    }
+
+    filter.createdAt = {
+      ...(from && { $gte: from }),
+      ...(to && { $lte: to })
+    }
+  }
+
+  return { filter }
+}
+
+/**
+ * Lists audit entries, newest first, for admins. Paged with `page` and
+ * `limit`.
+ */
+async function index(req, res) {
+  try {
+    const actorProfile = await loadActorProfile(req)
+    if (!actorProfile?.isAdmin) {
+      return res.status(403).json({ err: 'Admin access required' })
+    }
+
+    const { filter, err } = buildAuditQuery(req.query)
+    if (err) {
+      return res.status(400).json({ err })
+    }
+
+    const page = parsePageNumber(req.query.page, 1)
+    const limit = Math.min(
+      parsePageNumber(req.query.limit, DEFAULT_PAGE_SIZE),
+      MAX_PAGE_SIZE
+    )
+
+    const [entries, total] = await Promise.all([
+      AuditLog.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .populate({ path: 'actor.profile', select: ['name', 'role'] })
+        .populate({ path: 'targetProfile', select: ['name'] })
+        .lean(),
+      AuditLog.countDocuments(filter)
+    ])
+
+    res.status(200).json({ entries, total, page, limit })
+  } catch (err) {
+    console.error('Index audit log error:', err)
+    res.status(500).json({ err: 'Error fetching audit log' })
+  }
+}
+
+export { index }
@@ -1,7 +1,32 @@
 import { User } from '../models/user.js'
 import { Profile } from '../models/profile.js'
-import jwt from 'jsonwebtoken'
+import { Classroom } from '../models/classroom.js'
 import mongoose from 'mongoose'
+import {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions
+} from '../services/auth-sessions.js'
+import {
+  LOGIN_FAILURES_CLEARED,
+  getIpBlock,
+  getAccountBlock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendLoginBlocked
+} from '../services/login-lockout.js'
+import {
+  requestPasswordReset,
+  resetPassword
+} from '../services/password-reset.js'
+import {
+  PICTURE_PASSWORD_ICONS,
+  validatePictureSequence,
+  toPictureSecret
+} from '../services/picture-password.js'
+import { diffFields, recordAudit } from '../services/audit-log.js'
+import { RELATIONS, resolveRelation } from '../middleware/authorize.js'
 
 /**
  * Handles the signup functionality.
@@ -26,14 +51,19 @@ async function signup(req, res) {
       return res.status(409).json({ err: 'Account already exists' })
     }
 
+    // Login looks users up by name, so names must be unique
+    const existingUser = await User.findOne({ name: req.body.name })
+    if (existingUser) {
+      return res.status(409).json({ err: 'That name is already taken' })
+    }
+
     // Create profile and user atomically
     const newProfile = await Profile.create(req.body)
 
     try {
       req.body.profile = newProfile._id
       const user = await User.create(req.body)
-      const token = createJWT(user)
-      res.status(201).json({ token })
+      res.status(201).json(await createSession(user, req))
     } catch (userErr) {
       // Cleanup profile if user creation fails
       await Profile.findByIdAndDelete(newProfile._id)
@@ -104,8 +134,7 @@ async function addStudent(req, res) {
         await parentProfile.save()
       }
 
-      const token = createJWT(newUser)
-      res.status(201).json({ token })
+      res.status(201).json(await createSession(newUser, req))
     } catch (userErr) {
       // Cleanup student profile if user creation fails
       await Profile.findByIdAndDelete(newStudentProfile._id)
@@ -117,6 +146,33 @@ async function addStudent(req, res) {
   }
 }
 
+// Promisified comparePassword / comparePicturePassword
+const compareWith = (user, method, candidate) =>
+  new Promise((resolve, reject) => {
+    user[method](candidate, (err, match) => {
+      if (err) reject(err)
+      else resolve(match)
+    })
+  })
+
+/**
+ * Signs the user in, or counts the failure towards the account and IP
+ * lockouts. Shared by text and picture password logins.
+ */
+async function completeLogin(req, res, user, isMatch) {
+  if (isMatch) {
+    await recordSuccessfulLogin(user)
+    return res.json(await createSession(user, req))
+  }
+
+  const block = await recordFailedLogin(user, req.ip)
+  if (block) {
+    return sendLoginBlocked(res, block)
+  }
+
+  res.status(401).json({ err: 'Invalid credentials' })
+}
+
 async function login(req, res) {
   try {
     // Input validation
@@ -124,27 +180,135 @@ async function login(req, res) {
       return res.status(400).json({ err: 'Missing username or password' })
     }
 
+    const ipBlock = getIpBlock(req.ip)
+    if (ipBlock) {
+      return sendLoginBlocked(res, ipBlock)
+    }
+
     const user = await User.findOne({ name: req.body.name })
     if (!user) {
-      return res.status(401).json({ err: 'Invalid credentials' })
+      return completeLogin(req, res, null, false)
+    }
+
+    const accountBlock = getAccountBlock(user)
+    if (accountBlock) {
+      return sendLoginBlocked(res, accountBlock)
+    }
+
+    const isMatch = await compareWith(user, 'comparePassword', req.body.pw)
+    await completeLogin(req, res, user, isMatch)
+  } catch (err) {
+    console.error('Login error:', err)
+    res.status(500).json({ err: 'Internal server error' })
+  }
+}
+
+// A classroom that allows picture login, or null
+const findPictureLoginClassroom = (classroomId) =>
+  Classroom.findOne({
+    _id: classroomId,
+    'settings.pictureLogin': true,
+    archived: { $ne: true }
+  })
+    .select('name students')
+    .lean()
+
+/**
+ * Lists a classroom's students who have a picture password, by name and
+ * avatar, plus the icon set to choose from. Public, for a shared class
+ * device; the classroom must enable `settings.pictureLogin`.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+async function pictureLoginRoster(req, res) {
+  try {
+    const classroom = await findPictureLoginClassroom(req.params.classroomId)
+    if (!classroom) {
+      return res.status(404).json({ err: 'Picture login is not available' })
     }
 
-    // Use promisified comparePassword
-    const isMatch = await new Promise((resolve, reject) => {
-      user.comparePassword(req.body.pw, (err, match) => {
-        if (err) reject(err)
-        else resolve(match)
+    const [students, users] = await Promise.all([
+      Profile.find({ _id: { $in: classroom.students }, role: 'student' })
+        .select('name avatar')
+        .lean(),
+      User.find({
+        profile: { $in: classroom.students },
+        picturePassword: { $ne: null }
       })
+        .select('profile')
+        .lean()
+    ])
+
+    const withPicturePassword = new Set(users.map((u) => String(u.profile)))
+
+    res.status(200).json({
+      classroom: { _id: classroom._id, name: classroom.name },
+      icons: PICTURE_PASSWORD_ICONS,
+      students: students
+        .filter((student) => withPicturePassword.has(String(student._id)))
+        .map((student) => ({
+          profileId: student._id,
+          name: student.name,
+          avatar: student.avatar
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name))
     })
+  } catch (err) {
+    console.error('Picture login roster error:', err)
+    res.status(500).json({ err: 'Error fetching picture login roster' })
+  }
+}
+
+/**
+ * Signs a student in with the icon sequence they picked.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+async function pictureLogin(req, res) {
+  try {
+    const { profileId, icons } = req.body
+    const sequenceError = validatePictureSequence(icons)
+    if (!profileId || sequenceError) {
+      return res
+        .status(400)
+        .json({ err: sequenceError || 'Missing required fields' })
+    }
+
+    const ipBlock = getIpBlock(req.ip)
+    if (ipBlock) {
+      return sendLoginBlocked(res, ipBlock)
+    }
+
+    const classroom = await findPictureLoginClassroom(req.params.classroomId)
+    if (!classroom) {
+      return res.status(404).json({ err: 'Picture login is not available' })
+    }
+
+    const inClassroom = classroom.students.some(
+      (studentId) => String(studentId) === String(profileId)
+    )
+    const user = inClassroom
+      ? await User.findOne({ profile: profileId, role: 'student' })
+      : null
+    if (!user?.picturePassword) {
+      return completeLogin(req, res, null, false)
+    }
 
-    if (isMatch) {
-      const token = createJWT(user)
-      res.json({ token })
-    } else {
-      res.status(401).json({ err: 'Invalid credentials' })
+    const accountBlock = getAccountBlock(user)
+    if (accountBlock) {
+      return sendLoginBlocked(res, accountBlock)
     }
+
+    const isMatch = await compareWith(
+      user,
+      'comparePicturePassword',
+      toPictureSecret(icons)
+    )
+    await completeLogin(req, res, user, isMatch)
   } catch (err) {
-    console.error('Login error:', err)
+    console.error('Picture login error:', err)
     res.status(500).json({ err: 'Internal server error' })
   }
 }
@@ -156,10 +320,6 @@ async function changePassword(req, res) {
       return res.status(400).json({ err: 'Missing required fields' })
     }
 
-    if (req.user.role !== 'teacher') {
-      return res.status(403).json({ err: 'Unauthorized' })
-    }
-
     let userId
     try {
       userId = mongoose.Types.ObjectId(req.body.student)
@@ -168,15 +328,42 @@ async function changePassword(req, res) {
       return res.status(400).json({ err: 'Invalid student ID' })
     }
 
+    // Only the student's own teachers (or an admin) may reset it
+    const relation = await resolveRelation(req, userId, [
+      RELATIONS.TEACHER,
+      RELATIONS.ADMIN
+    ])
+    if (!relation) {
+      return res.status(403).json({ err: 'Unauthorized' })
+    }
+
     const user = await User.findOne({ profile: userId })
     if (!user) {
       return res.status(404).json({ err: 'User not found' })
     }
 
+    if (user.role !== 'student') {
+      return res
+        .status(403)
+        .json({ err: 'Only student passwords can be changed here' })
+    }
+
     user.password = req.body.newPw
     user.isPasswordUpdate = true
     await user.save()
 
+    // Sign the student out everywhere so the old password stops working
+    await revokeUserSessions(user._id, 'password_changed')
+
+    await recordAudit({
+      user: req.user,
+      action: 'password.change',
+      targetProfile: userId,
+      entity: { kind: 'user', id: user._id },
+      changes: [{ path: 'password' }],
+      ip: req.ip
+    })
+
     res.status(200).json({ msg: 'Password updated successfully' })
   } catch (err) {
     console.error('Change password error:', err)
@@ -184,15 +371,223 @@ async function changePassword(req, res) {
   }
 }
 
-/* --== Helper Functions ==-- */
+/**
+ * Sets a student's picture password (`{ icons: [...] }`, 2-3 icons). Clears
+ * any lockout and signs the student out of existing sessions.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+async function setPicturePassword(req, res) {
+  try {
+    const sequenceError = validatePictureSequence(req.body.icons)
+    if (sequenceError) {
+      return res.status(400).json({ err: sequenceError })
+    }
+
+    const user = await User.findOne({ profile: req.params.id, role: 'student' })
+    if (!user) {
+      return res.status(404).json({ err: 'Student user not found' })
+    }
+
+    user.picturePassword = toPictureSecret(req.body.icons)
+    Object.assign(user, LOGIN_FAILURES_CLEARED)
+    await user.save()
+    await revokeUserSessions(user._id, 'password_changed')
+
+    await recordAudit({
+      user: req.user,
+      action: 'picturePassword.set',
+      targetProfile: req.params.id,
+      entity: { kind: 'user', id: user._id },
+      changes: [{ path: 'picturePassword' }],
+      ip: req.ip
+    })
+
+    res.status(200).json({ msg: 'Picture password updated successfully' })
+  } catch (err) {
+    console.error('Set picture password error:', err)
+    res.status(500).json({ err: 'Error updating picture password' })
+  }
+}
+
+async function removePicturePassword(req, res) {
+  try {
+    const user = await User.findOne({ profile: req.params.id, role: 'student' })
+    if (!user) {
+      return res.status(404).json({ err: 'Student user not found' })
+    }
+
+    user.picturePassword = undefined
+    await user.save()
+    await revokeUserSessions(user._id, 'password_changed')
+
+    await recordAudit({
+      user: req.user,
+      action: 'picturePassword.remove',
+      targetProfile: req.params.id,
+      entity: { kind: 'user', id: user._id },
+      changes: [{ path: 'picturePassword' }],
+      ip: req.ip
+    })
+
+    res.status(200).json({ msg: 'Picture password removed' })
+  } catch (err) {
+    console.error('Remove picture password error:', err)
+    res.status(500).json({ err: 'Error removing picture password' })
+  }
+}
+
+/**
+ * Lifts a lockout or backoff on a profile's account, e.g. a teacher letting
+ * a student who mistyped too often try again.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+async function unlockAccount(req, res) {
+  try {
+    const user = await User.findOneAndUpdate(
+      { profile: req.params.id },
+      { $set: LOGIN_FAILURES_CLEARED }
+    )
+    if (!user) {
+      return res.status(404).json({ err: 'User not found' })
+    }
+
+    await recordAudit({
+      user: req.user,
+      action: 'account.unlock',
+      targetProfile: req.params.id,
+      entity: { kind: 'user', id: user._id },
+      changes: diffFields(
+        user,
+        LOGIN_FAILURES_CLEARED,
+        Object.keys(LOGIN_FAILURES_CLEARED)
+      ),
+      ip: req.ip
+    })
+
+    res.status(200).json({ msg: 'Account unlocked' })
+  } catch (err) {
+    console.error('Unlock account error:', err)
+    res.status(500).json({ err: 'Error unlocking account' })
+  }
+}
+
+/**
+ * Emails a password reset link. Always answers the same way, so it can't be
+ * used to find out which emails have accounts.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+async function forgotPassword(req, res) {
+  try {
+    if (!req.body.email || typeof req.body.email !== 'string') {
+      return res.status(400).json({ err: 'Missing email' })
+    }
+
+    await requestPasswordReset(req.body.email, req)
+
+    res.status(200).json({
+      msg: 'If an account uses that email, a reset link has been sent'
+    })
+  } catch (err) {
+    console.error('Forgot password error:', err)
+    res.status(500).json({ err: 'Error requesting password reset' })
+  }
+}
+
+async function resetPasswordWithToken(req, res) {
+  try {
+    const { token, password } = req.body
+    if (!token || typeof token !== 'string') {
+      return res.status(400).json({ err: 'Missing reset token' })
+    }
+
+    if (!password || typeof password !== 'string' || password.length < 6) {
+      return res
+        .status(400)
+        .json({ err: 'Password must be at least 6 characters long' })
+    }
+
+    const user = await resetPassword(token, password)
+    if (!user) {
+      return res.status(400).json({ err: 'Invalid or expired reset token' })
+    }
+
+    res.status(200).json({ msg: 'Password updated successfully' })
+  } catch (err) {
+    console.error('Reset password error:', err)
+    res.status(500).json({ err: 'Error resetting password' })
+  }
+}
 
 /**
- * Creates a JSON Web Token (JWT) for the given user.
- * @param {Object} user - The user object.
- * @returns {string} - The generated JWT.
+ * Exchanges a refresh token for a new access token and refresh token.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
  */
-function createJWT(user) {
-  return jwt.sign({ user }, process.env.SECRET, { expiresIn: '24h' })
+async function refresh(req, res) {
+  try {
+    if (!req.body.refreshToken) {
+      return res.status(400).json({ err: 'Missing refresh token' })
+    }
+
+    const tokens = await rotateSession(req.body.refreshToken, (userId) =>
+      User.findById(userId)
+    )
+    if (!tokens) {
+      return res.status(401).json({ err: 'Invalid refresh token' })
+    }
+
+    res.status(200).json(tokens)
+  } catch (err) {
+    console.error('Refresh token error:', err)
+    res.status(500).json({ err: 'Internal server error' })
+  }
+}
+
+// Ends the session the access token belongs to
+async function logout(req, res) {
+  try {
+    if (req.authSessionId) {
+      await revokeSession(req.authSessionId)
+    }
+
+    res.status(200).json({ msg: 'Logged out' })
+  } catch (err) {
+    console.error('Logout error:', err)
+    res.status(500).json({ err: 'Error logging out' })
+  }
+}
+
+// Ends every session of the signed-in user, on every device
+async function logoutAll(req, res) {
+  try {
+    const revoked = await revokeUserSessions(req.user._id)
+    res.status(200).json({ msg: 'Logged out of all sessions', revoked })
+  } catch (err) {
+    console.error('Logout all error:', err)
+    res.status(500).json({ err: 'Error logging out' })
+  }
 }
 
-export { signup, login, changePassword, addStudent }
+export {
+  signup,
+  login,
+  pictureLoginRoster,
+  pictureLogin,
+  setPicturePassword,
+  removePicturePassword,
+  unlockAccount,
+  forgotPassword,
+  resetPasswordWithToken,
+  refresh,
+  logout,
+  logoutAll,
+  changePassword,
+  addStudent
+}
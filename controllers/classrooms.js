@@ -0,0 +1,419 @@
+import { Classroom } from '../models/classroom.js'
+import { Profile } from '../models/profile.js'
+import { Assessment } from '../models/assessment.js'
+import {
+  isLinked,
+  loadActorProfile,
+  RELATIONS
+} from '../middleware/authorize.js'
+import { getLevelMastery } from '../services/level-advancement.js'
+import {
+  SPEECH_STUDENT_FIELDS,
+  buildActiveSpeechSessions
+} from '../services/speech-monitoring.js'
+
+// Fields a classroom's teachers (or an admin) can set directly
+const CLASSROOM_FIELDS = [
+  'name',
+  'schoolYear',
+  'defaultFryLevel',
+  'schedule',
+  'settings',
+  'archived'
+]
+
+const MEMBER_FIELDS = ['name', 'avatar', 'role', 'currentLevel']
+
+const pickClassroomFields = (body) =>
+  Object.fromEntries(
+    CLASSROOM_FIELDS.filter((field) => body[field] !== undefined).map(
+      (field) => [field, body[field]]
+    )
+  )
+
+const populateMembers = (query) =>
+  query
+    .populate({ path: 'teachers', select: MEMBER_FIELDS })
+    .populate({ path: 'students', select: MEMBER_FIELDS })
+
+// Returns the ids of the given profiles that exist with the given role
+const findProfileIdsWithRole = async (profileIds, role) => {
+  const profiles = await Profile.find({
+    _id: { $in: profileIds },
+    role
+  }).select('_id')
+
+  return profiles.map((profile) => profile._id)
+}
+
+// Teachers can only enroll students already linked to them (directly or by
+// an approved join code); admins can enroll anyone
+const canEnrollAll = (actorProfile, studentIds) =>
+  actorProfile?.isAdmin ||
+  studentIds.every((studentId) => isLinked(actorProfile, studentId))
+
+async function index(req, res) {
+  try {
+    const actorProfile = await loadActorProfile(req)
+    if (!actorProfile) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    // Admins see every classroom, everyone else the ones they belong to
+    const filter = actorProfile.isAdmin
+      ? {}
+      : {
+          $or: [{ teachers: actorProfile._id }, { students: actorProfile._id }]
+        }
+
+    if (req.query.includeArchived !== 'true') {
+      filter.archived = { $ne: true }
+    }
+
+    const classrooms = await Classroom.find(filter)
+      .populate({ path: 'teachers', select: ['name', 'avatar'] })
+      .sort({ schoolYear: -1, name: 1 })
+      .lean()
+
+    res.status(200).json(classrooms)
+  } catch (err) {
+    console.error('Index classrooms error:', err)
+    res.status(500).json({ err: 'Error fetching classrooms' })
+  }
+}
+
+async function create(req, res) {
+  try {
+    const actorProfile = await loadActorProfile(req)
+    if (
+      !actorProfile ||
+      !(actorProfile.role === 'teacher' || actorProfile.isAdmin)
+    ) {
+      return res
+        .status(403)
+        .json({ err: 'Only teachers can create classrooms' })
+    }
+
+    if (
+      req.body.students?.length &&
+      !canEnrollAll(actorProfile, req.body.students)
+    ) {
+      return res
+        .status(403)
+        .json({ err: 'You can only add your own students to a classroom' })
+    }
+
+    const students = req.body.students?.length
+      ? await findProfileIdsWithRole(req.body.students, 'student')
+      : []
+
+    const classroom = await Classroom.create({
+      ...pickClassroomFields(req.body),
+      teachers: actorProfile.role === 'teacher' ? [actorProfile._id] : [],
+      students
+    })
+
+    res.status(201).json(classroom)
+  } catch (err) {
+    console.error('Create classroom error:', err)
+    res.status(500).json({ err: 'Error creating classroom' })
+  }
+}
+
+async function show(req, res) {
+  try {
+    const classroom = await populateMembers(Classroom.findById(req.params.id))
+
+    if (!classroom) {
+      return res.status(404).json({ err: 'Classroom not found' })
+    }
+
+    res.status(200).json(classroom)
+  } catch (err) {
+    console.error('Show classroom error:', err)
+    res.status(500).json({ err: 'Error fetching classroom' })
+  }
+}
+
+async function update(req, res) {
+  try {
+    const classroom = await populateMembers(
+      Classroom.findByIdAndUpdate(
+        req.params.id,
+        { $set: pickClassroomFields(req.body) },
+        { new: true, runValidators: true }
+      )
+    )
+
+    if (!classroom) {
+      return res.status(404).json({ err: 'Classroom not found' })
+    }
+
+    res.status(200).json(classroom)
+  } catch (err) {
+    console.error('Update classroom error:', err)
+    res.status(500).json({ err: 'Error updating classroom' })
+  }
+}
+
+async function remove(req, res) {
+  try {
+    await Classroom.findByIdAndDelete(req.params.id)
+    res.status(200).json({ msg: 'Classroom deleted successfully' })
+  } catch (err) {
+    console.error('Delete classroom error:', err)
+    res.status(500).json({ err: 'Error deleting classroom' })
+  }
+}
+
+async function addStudents(req, res) {
+  try {
+    const { studentIds } = req.body
+    if (!Array.isArray(studentIds) || !studentIds.length) {
+      return res
+        .status(400)
+        .json({ err: 'studentIds must be a non-empty array' })
+    }
+
+    if (!canEnrollAll(await loadActorProfile(req), studentIds)) {
+      return res
+        .status(403)
+        .json({ err: 'You can only add your own students to a classroom' })
+    }
+
+    const students = await findProfileIdsWithRole(studentIds, 'student')
+    if (students.length !== new Set(studentIds.map(String)).size) {
+      return res
+        .status(400)
+        .json({ err: 'Every studentId must be a student profile' })
+    }
+
+    const classroom = await populateMembers(
+      Classroom.findByIdAndUpdate(
+        req.params.id,
+        { $addToSet: { students: { $each: students } } },
+        { new: true }
+      )
+    )
+
+    res.status(200).json(classroom)
+  } catch (err) {
+    console.error('Add classroom students error:', err)
+    res.status(500).json({ err: 'Error adding students to classroom' })
+  }
+}
+
+async function removeStudent(req, res) {
+  try {
+    const classroom = await populateMembers(
+      Classroom.findByIdAndUpdate(
+        req.params.id,
+        { $pull: { students: req.params.studentId } },
+        { new: true }
+      )
+    )
+
+    res.status(200).json(classroom)
+  } catch (err) {
+    console.error('Remove classroom student error:', err)
+    res.status(500).json({ err: 'Error removing student from classroom' })
+  }
+}
+
+async function addTeacher(req, res) {
+  try {
+    const [teacherId] = await findProfileIdsWithRole(
+      [req.body.teacherId],
+      'teacher'
+    )
+    if (!teacherId) {
+      return res
+        .status(400)
+        .json({ err: 'teacherId must be a teacher profile' })
+    }
+
+    const classroom = await populateMembers(
+      Classroom.findByIdAndUpdate(
+        req.params.id,
+        { $addToSet: { teachers: teacherId } },
+        { new: true }
+      )
+    )
+
+    res.status(200).json(classroom)
+  } catch (err) {
+    console.error('Add classroom teacher error:', err)
+    res.status(500).json({ err: 'Error adding teacher to classroom' })
+  }
+}
+
+async function removeTeacher(req, res) {
+  try {
+    const { teacherId } = req.params
+    const remainingTeachers = req.classroom.teachers.filter(
+      (id) => String(id) !== String(teacherId)
+    )
+
+    // An admin can still manage a classroom with no teachers, but a teacher
+    // removing the last teacher would lock everyone else out
+    if (
+      !remainingTeachers.length &&
+      req.classroomRelation !== RELATIONS.ADMIN
+    ) {
+      return res
+        .status(400)
+        .json({ err: 'A classroom must keep at least one teacher' })
+    }
+
+    const classroom = await populateMembers(
+      Classroom.findByIdAndUpdate(
+        req.params.id,
+        { $pull: { teachers: teacherId } },
+        { new: true }
+      )
+    )
+
+    res.status(200).json(classroom)
+  } catch (err) {
+    console.error('Remove classroom teacher error:', err)
+    res.status(500).json({ err: 'Error removing teacher from classroom' })
+  }
+}
+
+/**
+ * Class-wide progress: per-student accuracy and current-level mastery, plus
+ * class totals by test type.
+ */
+async function getProgress(req, res) {
+  try {
+    const studentIds = req.classroom.students || []
+
+    const [students, assessments] = await Promise.all([
+      Profile.find({ _id: { $in: studentIds } })
+        .select('name avatar currentLevel practicedWords')
+        .lean(),
+      Assessment.find({ profile: { $in: studentIds } })
+        .select('profile testType responses date')
+        .lean()
+    ])
+
+    const assessmentsByStudent = new Map()
+    assessments.forEach((assessment) => {
+      const key = String(assessment.profile)
+      if (!assessmentsByStudent.has(key)) assessmentsByStudent.set(key, [])
+      assessmentsByStudent.get(key).push(assessment)
+    })
+
+    const totals = {
+      assessments: assessments.length,
+      totalWordsTested: 0,
+      recognizedWords: 0
+    }
+    const byTestType = {}
+
+    const studentProgress = students.map((student) => {
+      const studentAssessments =
+        assessmentsByStudent.get(String(student._id)) || []
+      let wordsTested = 0
+      let recognized = 0
+      let lastAssessed = null
+
+      studentAssessments.forEach((assessment) => {
+        const type = assessment.testType || 'recognition'
+        const responses = assessment.responses || []
+        byTestType[type] = byTestType[type] || { total: 0, recognized: 0 }
+
+        responses.forEach((response) => {
+          wordsTested++
+          byTestType[type].total++
+          if (response.correct) {
+            recognized++
+            byTestType[type].recognized++
+          }
+        })
+
+        if (!lastAssessed || new Date(assessment.date) > lastAssessed) {
+          lastAssessed = new Date(assessment.date)
+        }
+      })
+
+      totals.totalWordsTested += wordsTested
+      totals.recognizedWords += recognized
+
+      const mastery = getLevelMastery(student, studentAssessments)
+
+      return {
+        profileId: student._id,
+        name: student.name,
+        avatar: student.avatar,
+        currentLevel: mastery.level,
+        levelMastery: {
+          masteredCount: mastery.masteredCount,
+          levelWordCount: mastery.levelWordCount,
+          ratio: mastery.ratio
+        },
+        assessments: studentAssessments.length,
+        wordsTested,
+        recognized,
+        accuracy: wordsTested ? recognized / wordsTested : 0,
+        lastAssessed
+      }
+    })
+
+    res.status(200).json({
+      classroom: {
+        _id: req.classroom._id,
+        name: req.classroom.name,
+        schoolYear: req.classroom.schoolYear
+      },
+      totals: {
+        ...totals,
+        students: students.length,
+        accuracy: totals.totalWordsTested
+          ? totals.recognizedWords / totals.totalWordsTested
+          : 0
+      },
+      byTestType,
+      students: studentProgress.sort((a, b) => a.name.localeCompare(b.name))
+    })
+  } catch (err) {
+    console.error('Get classroom progress error:', err)
+    res.status(500).json({ err: 'Error fetching classroom progress' })
+  }
+}
+
+// Active speech recognition sessions for the classroom's students
+async function getSpeechSessions(req, res) {
+  try {
+    const students = await Profile.find({
+      _id: { $in: req.classroom.students || [] },
+      role: 'student'
+    }).select(SPEECH_STUDENT_FIELDS)
+
+    const currentTime = new Date()
+    const sessions = await buildActiveSpeechSessions(students, currentTime)
+
+    res.status(200).json({
+      sessions,
+      totalSessions: sessions.length,
+      timestamp: currentTime
+    })
+  } catch (err) {
+    console.error('Get classroom speech sessions error:', err)
+    res.status(500).json({ err: 'Error fetching active speech sessions' })
+  }
+}
+
+export {
+  index,
+  create,
+  show,
+  update,
+  remove,
+  addStudents,
+  removeStudent,
+  addTeacher,
+  removeTeacher,
+  getProgress,
+  getSpeechSessions
+}
@@ -0,0 +1,335 @@
+import { Profile } from '../models/profile.js'
+import { loadCommonWords, findGroup } from '../services/small-groups.js'
+import { getTeachableStudentIds } from '../services/teacher-students.js'
+
+const GROUP_NAME_MAX_LENGTH = 60
+
+const MEMBER_FIELDS = ['name', 'avatar', 'currentLevel']
+
+const populateGroupMembers = (query) =>
+  query.select('groups').populate({
+    path: 'groups.students',
+    select: MEMBER_FIELDS
+  })
+
+const findGroupIn = (profile, groupId) =>
+  profile?.groups?.find((group) => String(group._id) === String(groupId)) ||
+  null
+
+// Returns an error message, or null when the name is usable
+const checkGroupName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Group name is required'
+  }
+
+  if (name.trim().length > GROUP_NAME_MAX_LENGTH) {
+    return `Group name must be at most ${GROUP_NAME_MAX_LENGTH} characters`
+  }
+
+  return null
+}
+
+/**
+ * Loads the teacher profile and checks that every student id belongs to one
+ * of their students. Returns `{ error, status }` on failure.
+ */
+async function checkGroupStudents(teacherProfileId, studentIds) {
+  if (!Array.isArray(studentIds)) {
+    return { status: 400, error: 'studentIds must be an array' }
+  }
+
+  const teacher = await Profile.findById(teacherProfileId).select(
+    'role students'
+  )
+  if (!teacher) {
+    return { status: 404, error: 'Profile not found' }
+  }
+
+  if (teacher.role !== 'teacher') {
+    return { status: 400, error: 'Only teacher profiles have small groups' }
+  }
+
+  const teachable = await getTeachableStudentIds(teacher)
+  const notTeachable = studentIds.filter((id) => !teachable.has(String(id)))
+  if (notTeachable.length) {
+    return {
+      status: 400,
+      error: 'Groups can only contain your own students',
+      details: notTeachable
+    }
+  }
+
+  return { studentIds: [...new Set(studentIds.map(String))] }
+}
+
+/**
+ * Replaces a group's members and recomputes its common words.
+ * @returns {Promise<Object|null>} - The updated profile, or null.
+ */
+async function saveGroupMembers(teacherProfileId, groupId, studentIds) {
+  const commonWords = await loadCommonWords(studentIds)
+
+  return populateGroupMembers(
+    Profile.findOneAndUpdate(
+      { _id: teacherProfileId, 'groups._id': groupId },
+      {
+        $set: {
+          'groups.$.students': studentIds,
+          'groups.$.commonWords': commonWords,
+          'groups.$.commonWordsUpdatedAt': new Date()
+        }
+      },
+      { new: true }
+    )
+  )
+}
+
+async function index(req, res) {
+  try {
+    const profile = await populateGroupMembers(Profile.findById(req.params.id))
+
+    if (!profile) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    res.status(200).json(profile.groups)
+  } catch (err) {
+    console.error('Index groups error:', err)
+    res.status(500).json({ err: 'Error fetching groups' })
+  }
+}
+
+async function create(req, res) {
+  try {
+    const { name, studentIds = [] } = req.body
+
+    const nameError = checkGroupName(name)
+    if (nameError) {
+      return res.status(400).json({ err: nameError })
+    }
+
+    const checked = await checkGroupStudents(req.params.id, studentIds)
+    if (checked.error) {
+      return res
+        .status(checked.status)
+        .json({ err: checked.error, details: checked.details })
+    }
+
+    const commonWords = await loadCommonWords(checked.studentIds)
+
+    const profile = await populateGroupMembers(
+      Profile.findByIdAndUpdate(
+        req.params.id,
+        {
+          $push: {
+            groups: {
+              name: name.trim(),
+              students: checked.studentIds,
+              commonWords,
+              commonWordsUpdatedAt: new Date()
+            }
+          }
+        },
+        { new: true, runValidators: true }
+      )
+    )
+
+    res.status(201).json(profile.groups[profile.groups.length - 1])
+  } catch (err) {
+    console.error('Create group error:', err)
+    res.status(500).json({ err: 'Error creating group' })
+  }
+}
+
+async function rename(req, res) {
+  try {
+    const nameError = checkGroupName(req.body.name)
+    if (nameError) {
+      return res.status(400).json({ err: nameError })
+    }
+
+    const profile = await populateGroupMembers(
+      Profile.findOneAndUpdate(
+        { _id: req.params.id, 'groups._id': req.params.groupId },
+        { $set: { 'groups.$.name': req.body.name.trim() } },
+        { new: true }
+      )
+    )
+
+    if (!profile) {
+      return res.status(404).json({ err: 'Group not found' })
+    }
+
+    res.status(200).json(findGroupIn(profile, req.params.groupId))
+  } catch (err) {
+    console.error('Rename group error:', err)
+    res.status(500).json({ err: 'Error renaming group' })
+  }
+}
+
+/**
+ * Sets the display order of a teacher's groups. `groupIds` must list every
+ * group exactly once.
+ */
+async function reorder(req, res) {
+  try {
+    const { groupIds } = req.body
+    if (!Array.isArray(groupIds)) {
+      return res.status(400).json({ err: 'groupIds must be an array' })
+    }
+
+    const profile = await Profile.findById(req.params.id).select('groups')
+    if (!profile) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    const groupsById = new Map(
+      profile.groups.map((group) => [String(group._id), group])
+    )
+    const requested = new Set(groupIds.map(String))
+
+    if (
+      requested.size !== groupIds.length ||
+      requested.size !== groupsById.size ||
+      ![...requested].every((groupId) => groupsById.has(groupId))
+    ) {
+      return res
+        .status(400)
+        .json({ err: 'groupIds must list every group exactly once' })
+    }
+
+    // Only applies if no group was added or removed since it was read
+    const reordered = await populateGroupMembers(
+      Profile.findOneAndUpdate(
+        {
+          _id: req.params.id,
+          groups: { $size: groupsById.size },
+          'groups._id': { $all: groupIds }
+        },
+        { $set: { groups: groupIds.map((id) => groupsById.get(String(id))) } },
+        { new: true }
+      )
+    )
+
+    if (!reordered) {
+      return res
+        .status(409)
+        .json({ err: 'Groups changed while reordering, please retry' })
+    }
+
+    res.status(200).json(reordered.groups)
+  } catch (err) {
+    console.error('Reorder groups error:', err)
+    res.status(500).json({ err: 'Error reordering groups' })
+  }
+}
+
+async function remove(req, res) {
+  try {
+    const profile = await Profile.findOneAndUpdate(
+      { _id: req.params.id, 'groups._id': req.params.groupId },
+      { $pull: { groups: { _id: req.params.groupId } } }
+    )
+
+    if (!profile) {
+      return res.status(404).json({ err: 'Group not found' })
+    }
+
+    res.status(200).json({ msg: 'Group deleted successfully' })
+  } catch (err) {
+    console.error('Delete group error:', err)
+    res.status(500).json({ err: 'Error deleting group' })
+  }
+}
+
+async function addStudents(req, res) {
+  try {
+    const { studentIds } = req.body
+    if (!Array.isArray(studentIds) || !studentIds.length) {
+      return res
+        .status(400)
+        .json({ err: 'studentIds must be a non-empty array' })
+    }
+
+    const checked = await checkGroupStudents(req.params.id, studentIds)
+    if (checked.error) {
+      return res
+        .status(checked.status)
+        .json({ err: checked.error, details: checked.details })
+    }
+
+    const group = await findGroup(req.params.id, req.params.groupId)
+    if (!group) {
+      return res.status(404).json({ err: 'Group not found' })
+    }
+
+    const members = [
+      ...new Set([...(group.students || []).map(String), ...checked.studentIds])
+    ]
+    const profile = await saveGroupMembers(
+      req.params.id,
+      req.params.groupId,
+      members
+    )
+
+    res.status(200).json(findGroupIn(profile, req.params.groupId))
+  } catch (err) {
+    console.error('Add group students error:', err)
+    res.status(500).json({ err: 'Error adding students to group' })
+  }
+}
+
+async function removeStudent(req, res) {
+  try {
+    const group = await findGroup(req.params.id, req.params.groupId)
+    if (!group) {
+      return res.status(404).json({ err: 'Group not found' })
+    }
+
+    const members = (group.students || [])
+      .map(String)
+      .filter((id) => id !== String(req.params.studentId))
+    const profile = await saveGroupMembers(
+      req.params.id,
+      req.params.groupId,
+      members
+    )
+
+    res.status(200).json(findGroupIn(profile, req.params.groupId))
+  } catch (err) {
+    console.error('Remove group student error:', err)
+    res.status(500).json({ err: 'Error removing student from group' })
+  }
+}
+
+// Recomputes commonWords from the members' latest practice
+async function refreshCommonWords(req, res) {
+  try {
+    const group = await findGroup(req.params.id, req.params.groupId)
+    if (!group) {
+      return res.status(404).json({ err: 'Group not found' })
+    }
+
+    const profile = await saveGroupMembers(
+      req.params.id,
+      req.params.groupId,
+      (group.students || []).map(String)
+    )
+
+    res.status(200).json(findGroupIn(profile, req.params.groupId))
+  } catch (err) {
+    console.error('Refresh group common words error:', err)
+    res.status(500).json({ err: 'Error refreshing common words' })
+  }
+}
+
+export {
+  index,
+  create,
+  rename,
+  reorder,
+  remove,
+  addStudents,
+  removeStudent,
+  refreshCommonWords
+}
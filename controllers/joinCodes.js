@@ -0,0 +1,347 @@
+import crypto from 'crypto'
+import { JoinCode } from '../models/joinCode.js'
+import { Classroom } from '../models/classroom.js'
+import { Profile } from '../models/profile.js'
+import { loadActorProfile } from '../middleware/authorize.js'
+import { emitToProfiles } from '../socket/notifier.js'
+
+// No 0/O or 1/I/L, so codes can be read off a board
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789'
+const CODE_LENGTH = 8
+
+const DEFAULT_EXPIRY_HOURS = 7 * 24
+const MAX_EXPIRY_HOURS = 30 * 24
+
+const REQUEST_MEMBER_FIELDS = ['name', 'avatar']
+
+const generateCode = () =>
+  Array.from(
+    { length: CODE_LENGTH },
+    () => CODE_ALPHABET[crypto.randomInt(CODE_ALPHABET.length)]
+  ).join('')
+
+const normalizeCode = (code) =>
+  String(code || '')
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, '')
+
+// What a QR code or link should carry; a client URL when one is configured
+const toShareable = (joinCode) => {
+  const joinUrl = process.env.CLIENT_URL
+    ? `${process.env.CLIENT_URL}/join?code=${joinCode.code}`
+    : null
+
+  return {
+    ...(joinCode.toObject ? joinCode.toObject() : joinCode),
+    joinUrl,
+    qrPayload: joinUrl || joinCode.code
+  }
+}
+
+/**
+ * Enrolls an approved student: the classroom's roster and the teacher's
+ * `students` list.
+ */
+async function enrollStudent(joinCode, studentId) {
+  await Promise.all([
+    Classroom.findByIdAndUpdate(joinCode.classroom, {
+      $addToSet: { students: studentId }
+    }),
+    Profile.findByIdAndUpdate(joinCode.teacher, {
+      $addToSet: { students: studentId }
+    })
+  ])
+}
+
+/**
+ * Lists the classroom's join codes that are still usable or have requests
+ * waiting for a decision (`?all=true` for every code).
+ */
+async function index(req, res) {
+  try {
+    const filter = { classroom: req.classroom._id }
+    if (req.query.all !== 'true') {
+      filter.$or = [
+        { revokedAt: null, expiresAt: { $gt: new Date() } },
+        { 'requests.status': 'pending' }
+      ]
+    }
+
+    const joinCodes = await JoinCode.find(filter)
+      .populate({ path: 'requests.student', select: REQUEST_MEMBER_FIELDS })
+      .populate({ path: 'requests.requestedBy', select: REQUEST_MEMBER_FIELDS })
+      .sort({ createdAt: -1 })
+
+    res.status(200).json(joinCodes.map(toShareable))
+  } catch (err) {
+    console.error('Index join codes error:', err)
+    res.status(500).json({ err: 'Error fetching join codes' })
+  }
+}
+
+async function create(req, res) {
+  try {
+    const {
+      expiresInHours = DEFAULT_EXPIRY_HOURS,
+      maxRedemptions = null,
+      requiresApproval = true
+    } = req.body
+
+    if (
+      !Number.isFinite(expiresInHours) ||
+      expiresInHours <= 0 ||
+      expiresInHours > MAX_EXPIRY_HOURS
+    ) {
+      return res.status(400).json({
+        err: `expiresInHours must be between 0 and ${MAX_EXPIRY_HOURS}`
+      })
+    }
+
+    if (
+      maxRedemptions !== null &&
+      !(Number.isInteger(maxRedemptions) && maxRedemptions > 0)
+    ) {
+      return res
+        .status(400)
+        .json({ err: 'maxRedemptions must be a positive integer or null' })
+    }
+
+    const actorProfile = await loadActorProfile(req)
+    const fields = {
+      classroom: req.classroom._id,
+      teacher: actorProfile._id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000),
+      maxRedemptions,
+      requiresApproval: requiresApproval !== false
+    }
+
+    // Retry on the rare collision with an existing code
+    let joinCode = null
+    for (let attempt = 0; !joinCode; attempt++) {
+      try {
+        joinCode = await JoinCode.create({ ...fields, code: generateCode() })
+      } catch (err) {
+        if (err.code !== 11000 || attempt >= 2) throw err
+      }
+    }
+
+    res.status(201).json(toShareable(joinCode))
+  } catch (err) {
+    console.error('Create join code error:', err)
+    res.status(500).json({ err: 'Error creating join code' })
+  }
+}
+
+async function revoke(req, res) {
+  try {
+    const joinCode = await JoinCode.findOneAndUpdate(
+      { _id: req.params.codeId, classroom: req.classroom._id },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    )
+
+    if (!joinCode) {
+      return res.status(404).json({ err: 'Join code not found' })
+    }
+
+    res.status(200).json(toShareable(joinCode))
+  } catch (err) {
+    console.error('Revoke join code error:', err)
+    res.status(500).json({ err: 'Error revoking join code' })
+  }
+}
+
+/**
+ * Approves or denies a pending request (`{ decision: 'approve' | 'deny' }`).
+ * A denied request frees its redemption.
+ */
+async function decide(req, res) {
+  try {
+    const { decision } = req.body
+    if (!['approve', 'deny'].includes(decision)) {
+      return res
+        .status(400)
+        .json({ err: "decision must be 'approve' or 'deny'" })
+    }
+
+    const actorProfile = await loadActorProfile(req)
+    const approved = decision === 'approve'
+
+    const joinCode = await JoinCode.findOneAndUpdate(
+      {
+        _id: req.params.codeId,
+        classroom: req.classroom._id,
+        requests: {
+          $elemMatch: { _id: req.params.requestId, status: 'pending' }
+        }
+      },
+      {
+        $set: {
+          'requests.$.status': approved ? 'approved' : 'denied',
+          'requests.$.decidedAt': new Date(),
+          'requests.$.decidedBy': actorProfile._id
+        },
+        ...(approved ? {} : { $inc: { redemptionCount: -1 } })
+      },
+      { new: true }
+    )
+
+    if (!joinCode) {
+      return res.status(404).json({ err: 'Pending request not found' })
+    }
+
+    const request = joinCode.requests.find(
+      (entry) => String(entry._id) === String(req.params.requestId)
+    )
+
+    if (approved) {
+      await enrollStudent(joinCode, request.student)
+    }
+
+    emitToProfiles(
+      [request.student, request.requestedBy],
+      'join_request_decided',
+      {
+        classroomId: req.classroom._id,
+        classroomName: req.classroom.name,
+        studentId: request.student,
+        status: request.status
+      }
+    )
+
+    res.status(200).json(request)
+  } catch (err) {
+    console.error('Decide join request error:', err)
+    res.status(500).json({ err: 'Error deciding join request' })
+  }
+}
+
+/**
+ * Redeems a join code (`{ code, studentIds }`). Students redeem for
+ * themselves; parents name which of their children to enroll. Depending on
+ * the code, each student is enrolled right away or waits for the teacher.
+ */
+async function redeem(req, res) {
+  try {
+    const code = normalizeCode(req.body.code)
+    if (!code) {
+      return res.status(400).json({ err: 'A join code is required' })
+    }
+
+    const actorProfile = await loadActorProfile(req)
+    if (!actorProfile) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    let studentIds
+    if (actorProfile.role === 'student') {
+      studentIds = [String(actorProfile._id)]
+    } else if (actorProfile.role === 'parent') {
+      const children = new Set((actorProfile.students || []).map(String))
+      studentIds = [...new Set((req.body.studentIds || []).map(String))]
+
+      if (!studentIds.length || !studentIds.every((id) => children.has(id))) {
+        return res.status(400).json({
+          err: 'studentIds must list one or more of your own students'
+        })
+      }
+    } else {
+      return res
+        .status(403)
+        .json({ err: 'Only students and parents can redeem join codes' })
+    }
+
+    const joinCode = await JoinCode.findOne({
+      code,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+    if (!joinCode) {
+      return res.status(404).json({ err: 'Invalid or expired join code' })
+    }
+
+    const classroom = await Classroom.findById(joinCode.classroom).select(
+      'name teachers students'
+    )
+    const members = new Set((classroom?.students || []).map(String))
+    const status = joinCode.requiresApproval ? 'pending' : 'approved'
+    const results = []
+
+    // One at a time, so each redemption is checked against the cap
+    for (const studentId of studentIds) {
+      if (members.has(studentId)) {
+        results.push({ studentId, status: 'already_member' })
+        continue
+      }
+
+      const now = new Date()
+      const updated = await JoinCode.findOneAndUpdate(
+        {
+          _id: joinCode._id,
+          revokedAt: null,
+          expiresAt: { $gt: now },
+          'requests.student': { $ne: studentId },
+          $or: [
+            { maxRedemptions: null },
+            { $expr: { $lt: ['$redemptionCount', '$maxRedemptions'] } }
+          ]
+        },
+        {
+          $inc: { redemptionCount: 1 },
+          $push: {
+            requests: {
+              student: studentId,
+              requestedBy: actorProfile._id,
+              status,
+              requestedAt: now,
+              ...(status === 'approved' && { decidedAt: now })
+            }
+          }
+        },
+        { new: true }
+      )
+
+      if (!updated) {
+        const alreadyRequested = joinCode.requests.some(
+          (request) => String(request.student) === studentId
+        )
+        results.push({
+          studentId,
+          status: alreadyRequested ? 'already_requested' : 'unavailable'
+        })
+        continue
+      }
+
+      if (status === 'approved') {
+        await enrollStudent(joinCode, studentId)
+      }
+      results.push({ studentId, status })
+    }
+
+    const pending = results.filter((result) => result.status === 'pending')
+    if (pending.length && classroom) {
+      emitToProfiles(classroom.teachers, 'join_request_created', {
+        classroomId: classroom._id,
+        classroomName: classroom.name,
+        joinCodeId: joinCode._id,
+        studentIds: pending.map((result) => result.studentId)
+      })
+    }
+
+    const statusCode = results.some((result) =>
+      ['pending', 'approved'].includes(result.status)
+    )
+      ? 201
+      : 409
+
+    res.status(statusCode).json({
+      classroom: classroom && { _id: classroom._id, name: classroom.name },
+      results
+    })
+  } catch (err) {
+    console.error('Redeem join code error:', err)
+    res.status(500).json({ err: 'Error redeeming join code' })
+  }
+}
+
+export { index, create, revoke, decide, redeem }
@@ -1,4 +1,79 @@
 import { Profile } from '../models/profile.js'
+import { Assessment } from '../models/assessment.js'
+import { TestSession } from '../models/testSession.js'
+import {
+  applyPracticeResult,
+  buildPracticeQueue
+} from '../services/practice-scheduler.js'
+import {
+  checkLevelAdvancement,
+  getMasteredWords
+} from '../services/level-advancement.js'
+import { loadActorProfile, RELATIONS } from '../middleware/authorize.js'
+import {
+  EXPORT_FORMATS,
+  buildExportRows,
+  toCsv,
+  toXlsx
+} from '../services/assessment-export.js'
+import { renderReportCard } from '../services/report-card.js'
+import { diffFields, recordAudit } from '../services/audit-log.js'
+import {
+  SPEECH_STUDENT_FIELDS,
+  buildActiveSpeechSessions
+} from '../services/speech-monitoring.js'
+import { getTeachableStudentIds } from '../services/teacher-students.js'
+
+// Fields anyone who may edit a profile can change
+const PROFILE_UPDATE_FIELDS = [
+  'name',
+  'avatar',
+  'grade',
+  'pitch',
+  'rate',
+  'voice',
+  'speechRecognitionEnabled',
+  'preferredLanguage'
+]
+
+// Learning settings a student may not change on their own profile
+const LEARNING_UPDATE_FIELDS = [
+  'autoAdvance',
+  'dailyGoal',
+  'currentLevel',
+  'fryGradelevel'
+]
+
+// Account flags only an admin can change
+const ADMIN_UPDATE_FIELDS = ['email', 'role', 'isAdmin']
+
+// Practiced word fields worth a trail; scheduling fields follow from these
+const PRACTICED_WORD_AUDIT_FIELDS = [
+  'word',
+  'mastered',
+  'timesPracticed',
+  'timesCorrect',
+  'timesIncorrect',
+  'streak'
+]
+
+const getUpdatableFields = async (req) => {
+  const actorProfile = await loadActorProfile(req)
+  const fields = [...PROFILE_UPDATE_FIELDS]
+
+  if (
+    req.profileRelation !== RELATIONS.SELF ||
+    actorProfile?.role !== 'student'
+  ) {
+    fields.push(...LEARNING_UPDATE_FIELDS)
+  }
+
+  if (actorProfile?.isAdmin) {
+    fields.push(...ADMIN_UPDATE_FIELDS)
+  }
+
+  return fields
+}
 
 const parseFilterDate = (value, endOfDay = false) => {
   if (!value) return null
@@ -23,9 +98,52 @@ const parseFilterDate = (value, endOfDay = false) => {
   return date
 }
 
+const groupByProfile = (docs) => {
+  const byProfile = new Map()
+  docs.forEach((doc) => {
+    const key = String(doc.profile)
+    if (!byProfile.has(key)) byProfile.set(key, [])
+    byProfile.get(key).push(doc)
+  })
+
+  return byProfile
+}
+
+/**
+ * Adds each profile's `assessments` and `testSessions`, oldest first, so
+ * responses keep the shape they had when both were embedded in Profile.
+ * @param {Object[]} profiles - Profile documents or lean objects.
+ * @returns {Promise<Object[]>} - Plain profiles with both arrays.
+ */
+async function attachTestHistory(profiles) {
+  const profileIds = profiles.map((profile) => profile._id)
+  const [assessments, testSessions] = await Promise.all([
+    Assessment.find({ profile: { $in: profileIds } }).sort({ date: 1 }),
+    TestSession.find({ profile: { $in: profileIds } }).sort({ startTime: 1 })
+  ])
+  const assessmentsByProfile = groupByProfile(assessments)
+  const testSessionsByProfile = groupByProfile(testSessions)
+
+  return profiles.map((profile) => ({
+    ...(profile.toJSON ? profile.toJSON() : profile),
+    assessments: assessmentsByProfile.get(String(profile._id)) || [],
+    testSessions: testSessionsByProfile.get(String(profile._id)) || []
+  }))
+}
+
 async function index(req, res) {
   try {
-    const profiles = await Profile.find({})
+    const actorProfile = await loadActorProfile(req)
+    if (!actorProfile) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    // Admins see every profile, everyone else themselves and their students
+    const filter = actorProfile.isAdmin
+      ? {}
+      : { _id: { $in: [actorProfile._id, ...(actorProfile.students || [])] } }
+
+    const profiles = await Profile.find(filter)
       .populate({
         path: 'students',
         model: 'Profile',
@@ -33,7 +151,7 @@ async function index(req, res) {
       })
       .lean() // Use lean for better performance when we don't need mongoose documents
 
-    res.json(profiles)
+    res.json(await attachTestHistory(profiles))
   } catch (err) {
     console.error('Index profiles error:', err)
     res.status(500).json({ err: 'Error fetching profiles' })
@@ -55,7 +173,8 @@ async function show(req, res) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
-    res.status(200).json(profile)
+    const [profileWithHistory] = await attachTestHistory([profile])
+    res.status(200).json(profileWithHistory)
   } catch (err) {
     console.error('Show profile error:', err)
     res.status(500).json({ err: 'Error fetching profile' })
@@ -68,7 +187,35 @@ async function update(req, res) {
       return res.status(400).json({ err: 'Profile ID is required' })
     }
 
-    const profile = await Profile.findByIdAndUpdate(req.params.id, req.body, {
+    const updatableFields = await getUpdatableFields(req)
+    const rejectedFields = Object.keys(req.body).filter(
+      (field) =>
+        [...LEARNING_UPDATE_FIELDS, ...ADMIN_UPDATE_FIELDS].includes(field) &&
+        !updatableFields.includes(field)
+    )
+
+    if (rejectedFields.length) {
+      return res.status(403).json({
+        err: 'Not authorized to update these fields',
+        details: rejectedFields
+      })
+    }
+
+    // Anything outside the allowlist (ids, embedded arrays, timestamps) is ignored
+    const updates = {}
+    updatableFields.forEach((field) => {
+      if (req.body[field] !== undefined) {
+        updates[field] = req.body[field]
+      }
+    })
+
+    const updatedFields = Object.keys(updates)
+    const before = await Profile.findById(req.params.id).select(updatedFields)
+    if (!before) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    const profile = await Profile.findByIdAndUpdate(req.params.id, updates, {
       new: true,
       runValidators: true
     })
@@ -77,6 +224,15 @@ async function update(req, res) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
+    await recordAudit({
+      user: req.user,
+      action: 'profile.update',
+      targetProfile: profile._id,
+      entity: { kind: 'profile', id: profile._id },
+      changes: diffFields(before, profile, updatedFields),
+      ip: req.ip
+    })
+
     res.status(200).json(profile)
   } catch (err) {
     console.error('Update profile error:', err)
@@ -97,8 +253,9 @@ async function addPracticedWord(req, res) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
-    profile.practicedWords.push(req.body)
+    profile.practicedWords.push(applyPracticeResult(null, req.body))
     await profile.save()
+    await checkLevelAdvancement(profile)
 
     res.status(200).json(profile.practicedWords)
   } catch (err) {
@@ -128,9 +285,24 @@ async function updatePracticedWord(req, res) {
       return res.status(404).json({ err: 'Practiced word not found' })
     }
 
-    profile.practicedWords[wordIndex] = req.body
+    const previousWord = profile.practicedWords[wordIndex]
+    const before = previousWord.toObject
+      ? previousWord.toObject()
+      : previousWord
+    const after = applyPracticeResult(before, req.body)
+    profile.practicedWords[wordIndex] = after
     await profile.save()
 
+    await recordAudit({
+      user: req.user,
+      action: 'practicedWord.update',
+      targetProfile: profile._id,
+      entity: { kind: 'practicedWord', id: before._id },
+      changes: diffFields(before, after, PRACTICED_WORD_AUDIT_FIELDS),
+      ip: req.ip
+    })
+    await checkLevelAdvancement(profile)
+
     res.status(200).json(profile.practicedWords[wordIndex])
   } catch (err) {
     console.error('Update practiced word error:', err)
@@ -138,6 +310,26 @@ async function updatePracticedWord(req, res) {
   }
 }
 
+async function getPracticeQueue(req, res) {
+  try {
+    if (!req.params.id) {
+      return res.status(400).json({ err: 'Profile ID is required' })
+    }
+
+    const profile = await Profile.findById(req.params.id).select(
+      'practicedWords currentLevel dailyGoal'
+    )
+    if (!profile) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    res.status(200).json(buildPracticeQueue(profile))
+  } catch (err) {
+    console.error('Get practice queue error:', err)
+    res.status(500).json({ err: 'Error building practice queue' })
+  }
+}
+
 async function removeStudentFromProfile(req, res) {
   try {
     if (!req.params.id || !req.params.studentId) {
@@ -151,16 +343,30 @@ async function removeStudentFromProfile(req, res) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
-    const initialLength = profile.students.length
+    const studentIds = profile.students.map((student) => String(student._id))
     profile.students = profile.students.filter(
       (student) => student.id !== req.params.studentId
     )
 
-    if (profile.students.length === initialLength) {
+    if (profile.students.length === studentIds.length) {
       return res.status(404).json({ err: 'Student not found in profile' })
     }
 
     await profile.save()
+
+    await recordAudit({
+      user: req.user,
+      action: 'student.remove',
+      targetProfile: req.params.studentId,
+      entity: { kind: 'profile', id: profile._id },
+      changes: diffFields(
+        { students: studentIds },
+        { students: studentIds.filter((id) => id !== req.params.studentId) },
+        ['students']
+      ),
+      ip: req.ip
+    })
+
     res.status(200).json(profile.students)
   } catch (err) {
     console.error('Remove student error:', err)
@@ -168,6 +374,79 @@ async function removeStudentFromProfile(req, res) {
   }
 }
 
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+const buildDateRange = (query) => {
+  const startDate = parseFilterDate(query.startDate)
+  const endDate = parseFilterDate(query.endDate, true)
+  if (!startDate && !endDate) return null
+
+  return {
+    ...(startDate && { $gte: startDate }),
+    ...(endDate && { $lte: endDate })
+  }
+}
+
+/**
+ * Builds the Assessment query for a profile from the supported filters:
+ * `word` (partial, case-insensitive), `testType`, `sessionId`, `startDate`
+ * and `endDate`.
+ * @param {string|string[]} profileId - The assessed profile(s).
+ * @param {Object} query - The request query.
+ * @returns {Object} - A MongoDB filter.
+ */
+function buildAssessmentQuery(profileId, query = {}) {
+  const filter = {
+    profile: Array.isArray(profileId) ? { $in: profileId } : profileId
+  }
+
+  if (query.word) {
+    filter.words = { $regex: escapeRegExp(String(query.word)), $options: 'i' }
+  }
+
+  if (query.testType) {
+    filter.testType = String(query.testType)
+  }
+
+  if (query.sessionId) {
+    filter.sessionId = String(query.sessionId)
+  }
+
+  const dateRange = buildDateRange(query)
+  if (dateRange) {
+    filter.date = dateRange
+  }
+
+  return filter
+}
+
+function buildTestSessionQuery(profileId, query = {}) {
+  const filter = { profile: profileId }
+
+  if (query.teacherId) {
+    filter.teacherId = String(query.teacherId)
+  }
+
+  if (query.testType) {
+    filter.testType = String(query.testType)
+  }
+
+  if (query.sessionType) {
+    filter.sessionType = String(query.sessionType)
+  }
+
+  if (query.status) {
+    filter.status = String(query.status)
+  }
+
+  const dateRange = buildDateRange(query)
+  if (dateRange) {
+    filter.startTime = dateRange
+  }
+
+  return filter
+}
+
 // Assessment-related functions
 async function addAssessment(req, res) {
   try {
@@ -183,13 +462,13 @@ async function addAssessment(req, res) {
     }
 
     // Add assessment with current timestamp
-    const assessment = {
+    const assessment = await Assessment.create({
       ...req.body,
+      profile: profile._id,
       date: new Date()
-    }
+    })
 
-    profile.assessments.push(assessment)
-    await profile.save()
+    await checkLevelAdvancement(profile)
 
     res.status(201).json(assessment)
   } catch (err) {
@@ -206,28 +485,37 @@ async function updateAssessment(req, res) {
       })
     }
 
-    const profile = await Profile.findById(req.params.id)
-    if (!profile) {
+    const profileExists = await Profile.exists({ _id: req.params.id })
+    if (!profileExists) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
-    const assessmentIndex = profile.assessments.findIndex((assessment) =>
-      assessment._id.equals(req.params.assessmentId)
-    )
-
-    if (assessmentIndex === -1) {
+    const { profile, _id, ...updates } = req.body
+    const filter = { _id: req.params.assessmentId, profile: req.params.id }
+    const before = await Assessment.findOne(filter).lean()
+    if (!before) {
       return res.status(404).json({ err: 'Assessment not found' })
     }
 
-    // Update assessment with new data
-    profile.assessments[assessmentIndex] = {
-      ...profile.assessments[assessmentIndex].toObject(),
-      ...req.body,
-      updatedAt: new Date()
+    const assessment = await Assessment.findOneAndUpdate(filter, updates, {
+      new: true,
+      runValidators: true
+    })
+
+    if (!assessment) {
+      return res.status(404).json({ err: 'Assessment not found' })
     }
 
-    await profile.save()
-    res.status(200).json(profile.assessments[assessmentIndex])
+    await recordAudit({
+      user: req.user,
+      action: 'assessment.update',
+      targetProfile: req.params.id,
+      entity: { kind: 'assessment', id: assessment._id },
+      changes: diffFields(before, assessment, Object.keys(updates)),
+      ip: req.ip
+    })
+
+    res.status(200).json(assessment)
   } catch (err) {
     console.error('Update assessment error:', err)
     res.status(500).json({ err: 'Error updating assessment' })
@@ -240,58 +528,76 @@ async function getAssessments(req, res) {
       return res.status(400).json({ err: 'Profile ID is required' })
     }
 
-    const profile = await Profile.findById(req.params.id).select('assessments')
-    if (!profile) {
+    const profileExists = await Profile.exists({ _id: req.params.id })
+    if (!profileExists) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
-    // Optional filtering by query parameters
-    let assessments = profile.assessments
+    // Sort by date (most recent first)
+    const assessments = await Assessment.find(
+      buildAssessmentQuery(req.params.id, req.query)
+    ).sort({ date: -1 })
 
-    if (req.query.word) {
-      assessments = assessments.filter(
-        (a) =>
-          a.words &&
-          a.words.some((word) =>
-            word.toLowerCase().includes(req.query.word.toLowerCase())
-          )
-      )
-    }
+    res.status(200).json(assessments)
+  } catch (err) {
+    console.error('Get assessments error:', err)
+    res.status(500).json({ err: 'Error fetching assessments' })
+  }
+}
 
-    if (req.query.testType) {
-      assessments = assessments.filter((a) => a.testType === req.query.testType)
+/**
+ * Exports assessment results as CSV or XLSX, one row per student per word.
+ * A teacher's export covers their class; any other profile just itself.
+ * Accepts the same filters as getAssessments.
+ */
+async function exportAssessments(req, res) {
+  try {
+    const format = String(req.query.format || 'csv').toLowerCase()
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({ err: 'Format must be csv or xlsx' })
     }
 
-    if (req.query.sessionId) {
-      assessments = assessments.filter(
-        (a) => a.sessionId === req.query.sessionId
-      )
+    const profile = await Profile.findById(req.params.id).select(
+      'name role students'
+    )
+    if (!profile) {
+      return res.status(404).json({ err: 'Profile not found' })
     }
 
-    const startDate = parseFilterDate(req.query.startDate)
-    const endDate = parseFilterDate(req.query.endDate, true)
-
-    if (startDate) {
-      assessments = assessments.filter((assessment) => {
-        const assessmentDate = parseFilterDate(assessment.date)
-        return assessmentDate && assessmentDate >= startDate
-      })
-    }
+    // A teacher exports every student they teach, linked or through a classroom
+    const students =
+      profile.role === 'teacher'
+        ? await Profile.find({
+            _id: { $in: [...(await getTeachableStudentIds(profile))] }
+          })
+            .select('name')
+            .lean()
+        : [profile]
+    const studentNames = new Map(
+      students.map((student) => [String(student._id), student.name])
+    )
 
-    if (endDate) {
-      assessments = assessments.filter((assessment) => {
-        const assessmentDate = parseFilterDate(assessment.date)
-        return assessmentDate && assessmentDate <= endDate
-      })
-    }
+    const assessments = await Assessment.find(
+      buildAssessmentQuery([...studentNames.keys()], req.query)
+    )
+      .select('profile testType responses date sessionId')
+      .sort({ date: 1 })
+      .lean()
 
-    // Sort by date (most recent first)
-    assessments.sort((a, b) => new Date(b.date) - new Date(a.date))
+    const rows = buildExportRows(assessments, studentNames, {
+      word: req.query.word
+    })
+    const { contentType, extension } = EXPORT_FORMATS[format]
+    const fileName = `assessments-${new Date().toISOString().slice(0, 10)}`
 
-    res.status(200).json(assessments)
+    res.set({
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${fileName}.${extension}"`
+    })
+    res.status(200).send(format === 'xlsx' ? await toXlsx(rows) : toCsv(rows))
   } catch (err) {
-    console.error('Get assessments error:', err)
-    res.status(500).json({ err: 'Error fetching assessments' })
+    console.error('Export assessments error:', err)
+    res.status(500).json({ err: 'Error exporting assessments' })
   }
 }
 
@@ -304,20 +610,19 @@ async function addTestSession(req, res) {
         .json({ err: 'Profile ID and test session data are required' })
     }
 
-    const profile = await Profile.findById(req.params.id)
-    if (!profile) {
+    const profileExists = await Profile.exists({ _id: req.params.id })
+    if (!profileExists) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
     // Add test session with current timestamp
-    const testSession = {
+    const testSession = await TestSession.create({
       ...req.body,
+      profile: req.params.id,
+      source: 'api',
       startTime: new Date(),
       status: 'active'
-    }
-
-    profile.testSessions.push(testSession)
-    await profile.save()
+    })
 
     res.status(201).json(testSession)
   } catch (err) {
@@ -334,28 +639,23 @@ async function updateTestSession(req, res) {
         .json({ err: 'Profile ID, session ID, and update data are required' })
     }
 
-    const profile = await Profile.findById(req.params.id)
-    if (!profile) {
+    const profileExists = await Profile.exists({ _id: req.params.id })
+    if (!profileExists) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
-    const sessionIndex = profile.testSessions.findIndex(
-      (session) => session.sessionId === req.params.sessionId
+    const { profile, _id, source, ...updates } = req.body
+    const testSession = await TestSession.findOneAndUpdate(
+      { profile: req.params.id, sessionId: req.params.sessionId },
+      updates,
+      { new: true, runValidators: true }
     )
 
-    if (sessionIndex === -1) {
+    if (!testSession) {
       return res.status(404).json({ err: 'Test session not found' })
     }
 
-    // Update session with new data
-    profile.testSessions[sessionIndex] = {
-      ...profile.testSessions[sessionIndex].toObject(),
-      ...req.body,
-      updatedAt: new Date()
-    }
-
-    await profile.save()
-    res.status(200).json(profile.testSessions[sessionIndex])
+    res.status(200).json(testSession)
   } catch (err) {
     console.error('Update test session error:', err)
     res.status(500).json({ err: 'Error updating test session' })
@@ -368,55 +668,15 @@ async function getTestSessions(req, res) {
       return res.status(400).json({ err: 'Profile ID is required' })
     }
 
-    const profile = await Profile.findById(req.params.id).select('testSessions')
-    if (!profile) {
+    const profileExists = await Profile.exists({ _id: req.params.id })
+    if (!profileExists) {
       return res.status(404).json({ err: 'Profile not found' })
     }
 
-    // Optional filtering by query parameters
-    let testSessions = profile.testSessions
-
-    if (req.query.teacherId) {
-      testSessions = testSessions.filter(
-        (s) => s.teacherId === req.query.teacherId
-      )
-    }
-
-    if (req.query.testType) {
-      testSessions = testSessions.filter(
-        (s) => s.testType === req.query.testType
-      )
-    }
-
-    if (req.query.sessionType) {
-      testSessions = testSessions.filter(
-        (s) => s.sessionType === req.query.sessionType
-      )
-    }
-
-    if (req.query.status) {
-      testSessions = testSessions.filter((s) => s.status === req.query.status)
-    }
-
-    const startDate = parseFilterDate(req.query.startDate)
-    const endDate = parseFilterDate(req.query.endDate, true)
-
-    if (startDate) {
-      testSessions = testSessions.filter((session) => {
-        const sessionStart = parseFilterDate(session.startTime)
-        return sessionStart && sessionStart >= startDate
-      })
-    }
-
-    if (endDate) {
-      testSessions = testSessions.filter((session) => {
-        const sessionStart = parseFilterDate(session.startTime)
-        return sessionStart && sessionStart <= endDate
-      })
-    }
-
     // Sort by start time (most recent first)
-    testSessions.sort((a, b) => new Date(b.startTime) - new Date(a.startTime))
+    const testSessions = await TestSession.find(
+      buildTestSessionQuery(req.params.id, req.query)
+    ).sort({ startTime: -1 })
 
     res.status(200).json(testSessions)
   } catch (err) {
@@ -425,166 +685,224 @@ async function getTestSessions(req, res) {
   }
 }
 
-// Student progress analysis
-async function getStudentProgress(req, res) {
-  try {
-    if (!req.params.id) {
-      return res.status(400).json({ err: 'Profile ID is required' })
+/**
+ * Loads a student's profile and assessments and computes the progress
+ * summary served as JSON by getStudentProgress and rendered by
+ * getReportCard.
+ * @param {string} profileId - The student's profile id.
+ * @returns {Promise<Object|null>} - `{ profile, assessments, progress }`.
+ */
+async function loadStudentProgress(profileId) {
+  const profile = await Profile.findById(profileId).select(
+    'practicedWords currentLevel fryGradelevel name'
+  )
+
+  if (!profile) return null
+
+  // Calculate progress statistics
+  const [assessments, testSessionCount, testSessions] = await Promise.all([
+    Assessment.find({ profile: profile._id }),
+    TestSession.countDocuments({ profile: profile._id }),
+    TestSession.find({ profile: profile._id })
+      .sort({ startTime: -1 })
+      .limit(10)
+  ])
+  const practicedWords = profile.practicedWords || []
+
+  // Flatten responses from all assessments for analysis
+  const allResponses = []
+  assessments.forEach((assessment) => {
+    if (assessment.responses && Array.isArray(assessment.responses)) {
+      assessment.responses.forEach((response) => {
+        allResponses.push({
+          ...response,
+          testType: assessment.testType,
+          date: assessment.date,
+          assessmentId: assessment._id
+        })
+      })
     }
+  })
+
+  const progressData = {
+    student: {
+      name: profile.name,
+      currentLevel: profile.currentLevel || 1,
+      fryGradeLevel: profile.fryGradelevel || 1
+    },
+    totals: {
+      assessments: assessments.length,
+      testSessions: testSessionCount,
+      practicedWords: practicedWords.length,
+      totalWordsTested: 0,
+      recognizedWords: 0
+    },
+    byTestType: {},
+    recentProgress: [],
+    wordMastery: {},
+    sessionHistory: testSessions.slice(0, 10) // Last 10 sessions
+  }
 
-    const profile = await Profile.findById(req.params.id).select(
-      'assessments testSessions practicedWords currentLevel fryGradelevel name'
-    )
+  // Calculate totals directly from assessments to avoid flattening issues
+  let totalResponses = 0
+  let correctResponses = 0
 
-    if (!profile) {
-      return res.status(404).json({ err: 'Profile not found' })
+  assessments.forEach((assessment) => {
+    if (assessment.responses && Array.isArray(assessment.responses)) {
+      assessment.responses.forEach((response) => {
+        totalResponses++
+        if (response.correct) {
+          correctResponses++
+        }
+      })
     }
+  })
 
-    // Calculate progress statistics
-    const assessments = profile.assessments || []
-    const testSessions = profile.testSessions || []
-    const practicedWords = profile.practicedWords || []
-
-    // Flatten responses from all assessments for analysis
-    const allResponses = []
-    assessments.forEach((assessment) => {
-      if (assessment.responses && Array.isArray(assessment.responses)) {
-        assessment.responses.forEach((response) => {
-          allResponses.push({
-            ...response,
-            testType: assessment.testType,
-            date: assessment.date,
-            assessmentId: assessment._id
-          })
-        })
-      }
-    })
+  progressData.totals.totalWordsTested = totalResponses
+  progressData.totals.recognizedWords = correctResponses
 
-    const progressData = {
-      student: {
-        name: profile.name,
-        currentLevel: profile.currentLevel || 1,
-        fryGradeLevel: profile.fryGradelevel || 1
-      },
-      totals: {
-        assessments: assessments.length,
-        testSessions: testSessions.length,
-        practicedWords: practicedWords.length,
-        totalWordsTested: 0,
-        recognizedWords: 0
-      },
-      byTestType: {},
-      recentProgress: [],
-      wordMastery: {},
-      sessionHistory: testSessions.slice(0, 10) // Last 10 sessions
-    }
-
-    // Calculate totals directly from assessments to avoid flattening issues
-    let totalResponses = 0
-    let correctResponses = 0
+  // Group by test type using direct assessment processing
+  const testTypes = ['recognition', 'pronunciation', 'spelling', 'reading']
+  testTypes.forEach((type) => {
+    let typeTotal = 0
+    let typeRecognized = 0
+    let typeTimeTotal = 0
+    let typeTimeCount = 0
 
     assessments.forEach((assessment) => {
-      if (assessment.responses && Array.isArray(assessment.responses)) {
+      if (
+        assessment.testType === type &&
+        assessment.responses &&
+        Array.isArray(assessment.responses)
+      ) {
         assessment.responses.forEach((response) => {
-          totalResponses++
+          typeTotal++
           if (response.correct) {
-            correctResponses++
+            typeRecognized++
+          }
+          if (response.timeSpent) {
+            typeTimeTotal += response.timeSpent
+            typeTimeCount++
           }
         })
       }
     })
 
-    progressData.totals.totalWordsTested = totalResponses
-    progressData.totals.recognizedWords = correctResponses
-
-    // Group by test type using direct assessment processing
-    const testTypes = ['recognition', 'pronunciation', 'spelling', 'reading']
-    testTypes.forEach((type) => {
-      let typeTotal = 0
-      let typeRecognized = 0
-      let typeTimeTotal = 0
-      let typeTimeCount = 0
-
-      assessments.forEach((assessment) => {
+    progressData.byTestType[type] = {
+      total: typeTotal,
+      recognized: typeRecognized,
+      averageResponseTime:
+        typeTimeCount > 0 ? typeTimeTotal / typeTimeCount : 0
+    }
+  })
+
+  // Word mastery analysis
+  const wordStats = {}
+
+  // Use the same approach as recentProgress to avoid flattening issues
+  assessments.forEach((assessment) => {
+    if (assessment.responses && Array.isArray(assessment.responses)) {
+      assessment.responses.forEach((response) => {
+        const word = response.word
+        if (!wordStats[word]) {
+          wordStats[word] = {
+            attempts: 0,
+            successes: 0,
+            lastTested: null,
+            totalAttempts: 0
+          }
+        }
+        wordStats[word].attempts++
+        wordStats[word].totalAttempts += response.attempts || 1
+        if (response.correct) {
+          wordStats[word].successes++
+        }
         if (
-          assessment.testType === type &&
-          assessment.responses &&
-          Array.isArray(assessment.responses)
+          !wordStats[word].lastTested ||
+          new Date(assessment.date) > new Date(wordStats[word].lastTested)
         ) {
-          assessment.responses.forEach((response) => {
-            typeTotal++
-            if (response.correct) {
-              typeRecognized++
-            }
-            if (response.timeSpent) {
-              typeTimeTotal += response.timeSpent
-              typeTimeCount++
-            }
-          })
+          wordStats[word].lastTested = assessment.date
         }
       })
+    }
+  })
+
+  progressData.wordMastery = Object.entries(wordStats)
+    .map(([word, stats]) => ({
+      word,
+      masteryRate: stats.successes / stats.attempts,
+      attempts: stats.attempts,
+      successes: stats.successes,
+      totalAttempts: stats.totalAttempts,
+      lastTested: stats.lastTested
+    }))
+    .sort((a, b) => b.attempts - a.attempts)
+
+  // Recent progress (last 30 days)
+  const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
+  progressData.recentProgress = assessments
+    .filter((a) => new Date(a.date) >= thirtyDaysAgo)
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, 20)
+
+  return { profile, assessments, progress: progressData }
+}
 
-      progressData.byTestType[type] = {
-        total: typeTotal,
-        recognized: typeRecognized,
-        averageResponseTime:
-          typeTimeCount > 0 ? typeTimeTotal / typeTimeCount : 0
-      }
-    })
+// Student progress analysis
+async function getStudentProgress(req, res) {
+  try {
+    if (!req.params.id) {
+      return res.status(400).json({ err: 'Profile ID is required' })
+    }
 
-    // Word mastery analysis
-    const wordStats = {}
+    const studentProgress = await loadStudentProgress(req.params.id)
+    if (!studentProgress) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
 
-    // Use the same approach as recentProgress to avoid flattening issues
-    assessments.forEach((assessment) => {
-      if (assessment.responses && Array.isArray(assessment.responses)) {
-        assessment.responses.forEach((response) => {
-          const word = response.word
-          if (!wordStats[word]) {
-            wordStats[word] = {
-              attempts: 0,
-              successes: 0,
-              lastTested: null,
-              totalAttempts: 0
-            }
-          }
-          wordStats[word].attempts++
-          wordStats[word].totalAttempts += response.attempts || 1
-          if (response.correct) {
-            wordStats[word].successes++
-          }
-          if (
-            !wordStats[word].lastTested ||
-            new Date(assessment.date) > new Date(wordStats[word].lastTested)
-          ) {
-            wordStats[word].lastTested = assessment.date
-          }
-        })
-      }
-    })
+    res.status(200).json(studentProgress.progress)
+  } catch (err) {
+    console.error('Get student progress error:', err)
+    res.status(500).json({ err: 'Error fetching student progress' })
+  }
+}
 
-    progressData.wordMastery = Object.entries(wordStats)
-      .map(([word, stats]) => ({
-        word,
-        masteryRate: stats.successes / stats.attempts,
-        attempts: stats.attempts,
-        successes: stats.successes,
-        totalAttempts: stats.totalAttempts,
-        lastTested: stats.lastTested
-      }))
-      .sort((a, b) => b.attempts - a.attempts)
+// Printable PDF report card for parent conferences
+async function getReportCard(req, res) {
+  try {
+    const studentProgress = await loadStudentProgress(req.params.id)
+    if (!studentProgress) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
 
-    // Recent progress (last 30 days)
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000)
-    progressData.recentProgress = assessments
-      .filter((a) => new Date(a.date) >= thirtyDaysAgo)
+    const { profile, assessments, progress } = studentProgress
+    const teacherNotes = assessments
+      .filter((assessment) => assessment.teacherNotes?.trim())
       .sort((a, b) => new Date(b.date) - new Date(a.date))
-      .slice(0, 20)
+      .map((assessment) => ({
+        date: assessment.date,
+        testType: assessment.testType,
+        text: assessment.teacherNotes.trim()
+      }))
 
-    res.status(200).json(progressData)
+    const pdf = await renderReportCard({
+      progress,
+      masteredWords: getMasteredWords(profile, assessments),
+      teacherNotes
+    })
+    const fileName = (profile.name || 'student')
+      .replace(/[^a-z0-9]+/gi, '-')
+      .replace(/^-+|-+$/g, '')
+      .toLowerCase()
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="${fileName}-report-card.pdf"`
+    })
+    res.status(200).send(pdf)
   } catch (err) {
-    console.error('Get student progress error:', err)
-    res.status(500).json({ err: 'Error fetching student progress' })
+    console.error('Get report card error:', err)
+    res.status(500).json({ err: 'Error generating report card' })
   }
 }
 
@@ -595,101 +913,25 @@ async function getActiveSpeechSessions(req, res) {
       return res.status(400).json({ err: 'Profile ID is required' })
     }
 
-    const teacherProfile = await Profile.findById(req.params.id).populate({
-      path: 'students',
-      select: ['name', 'avatar', 'practicedWords', 'testSessions'],
-      match: { role: 'student' }
-    })
+    const teacherProfile = await Profile.findById(req.params.id).select(
+      'students'
+    )
 
     if (!teacherProfile) {
       return res.status(404).json({ err: 'Teacher profile not found' })
     }
 
-    // Get active speech recognition sessions from students
-    const activeSessions = []
-    const currentTime = new Date()
-    const sessionTimeoutMs = 5 * 60 * 1000 // 5 minutes timeout
-
-    if (teacherProfile.students && teacherProfile.students.length > 0) {
-      teacherProfile.students.forEach((student) => {
-        // Check for recent pronunciation practice activity
-        const recentPracticedWords = student.practicedWords
-          ?.filter((word) => {
-            const lastPracticed = new Date(word.lastPracticed)
-            return currentTime - lastPracticed < sessionTimeoutMs
-          })
-          ?.sort(
-            (a, b) => new Date(b.lastPracticed) - new Date(a.lastPracticed)
-          )
-
-        // Check for active test sessions
-        const activeTestSessions = student.testSessions?.filter((session) => {
-          if (session.status !== 'active') return false
-          const startTime = new Date(session.startTime)
-          return currentTime - startTime < sessionTimeoutMs
-        })
+    // Linked students and the students of every classroom the teacher teaches
+    const students = await Profile.find({
+      _id: { $in: [...(await getTeachableStudentIds(teacherProfile))] },
+      role: 'student'
+    }).select(SPEECH_STUDENT_FIELDS)
 
-        if (
-          (recentPracticedWords && recentPracticedWords.length > 0) ||
-          (activeTestSessions && activeTestSessions.length > 0)
-        ) {
-          const currentWord = recentPracticedWords?.[0]?.word || 'N/A'
-          const confidence =
-            recentPracticedWords?.[0]?.speechRecognitionScore || 0
-          const responseTime = recentPracticedWords?.[0]?.responseTime || 0
-          const wordsCompleted = recentPracticedWords?.length || 0
-          const startTime =
-            recentPracticedWords?.[0]?.lastPracticed ||
-            activeTestSessions?.[0]?.startTime ||
-            new Date()
-
-          // Calculate struggling indicators
-          const strugglingWords =
-            recentPracticedWords
-              ?.filter(
-                (word) =>
-                  word.speechRecognitionScore < 60 ||
-                  word.timesIncorrect > word.timesCorrect
-              )
-              ?.map((word) => word.word)
-              ?.slice(0, 3) || []
-
-          const recentAttempts =
-            recentPracticedWords?.slice(0, 5)?.map((word) => ({
-              word: word.word,
-              success: word.speechRecognitionScore >= 70,
-              confidence: word.speechRecognitionScore,
-              responseTime: word.responseTime
-            })) || []
-
-          const errors =
-            recentPracticedWords
-              ?.filter(
-                (word) => word.recordOfWrongs && word.recordOfWrongs.length > 0
-              )
-              ?.flatMap((word) => word.recordOfWrongs)
-              ?.slice(-2) || []
-
-          activeSessions.push({
-            studentId: student._id,
-            studentName: student.name,
-            avatar: student.avatar,
-            currentWord,
-            confidence,
-            responseTime,
-            wordsCompleted,
-            startTime,
-            strugglingWords,
-            recentAttempts,
-            errors,
-            needsHelp:
-              confidence < 60 ||
-              responseTime > 10000 ||
-              strugglingWords.length > 1
-          })
-        }
-      })
-    }
+    const currentTime = new Date()
+    const activeSessions = await buildActiveSpeechSessions(
+      students,
+      currentTime
+    )
 
     res.status(200).json({
       sessions: activeSessions,
@@ -708,13 +950,16 @@ export {
   update,
   addPracticedWord,
   updatePracticedWord,
+  getPracticeQueue,
   removeStudentFromProfile,
   addAssessment,
   updateAssessment,
   getAssessments,
+  exportAssessments,
   addTestSession,
   updateTestSession,
   getTestSessions,
   getStudentProgress,
+  getReportCard,
   getActiveSpeechSessions
 }
@@ -0,0 +1,295 @@
+import { randomInt } from 'crypto'
+import mongoose from 'mongoose'
+import { Profile } from '../models/profile.js'
+import { User } from '../models/user.js'
+import { isValidEmail, parseRoster } from '../services/roster-import.js'
+
+// Lowercase letters and digits that can't be misread on a printed sheet
+const TEMPORARY_PASSWORD_CHARACTERS = 'abcdefghjkmnpqrstuvwxyz23456789'
+const TEMPORARY_PASSWORD_LENGTH = 10
+
+const generateTemporaryPassword = () =>
+  Array.from(
+    { length: TEMPORARY_PASSWORD_LENGTH },
+    () =>
+      TEMPORARY_PASSWORD_CHARACTERS[
+        randomInt(TEMPORARY_PASSWORD_CHARACTERS.length)
+      ]
+  ).join('')
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+
+/**
+ * Picks each student's login name. Login looks users up by name, so a name
+ * another account already uses gets the lowest free number appended
+ * ("Ava Smith 2").
+ * @param {Object[]} students - Roster rows with a name.
+ * @param {Set<string>} takenNames - Login names already in use.
+ */
+function assignLoginNames(students, takenNames) {
+  students.forEach((student) => {
+    let loginName = student.name
+    for (let suffix = 2; takenNames.has(loginName); suffix++) {
+      loginName = `${student.name} ${suffix}`
+    }
+
+    student.loginName = loginName
+    takenNames.add(loginName)
+  })
+}
+
+/**
+ * Checks roster rows against the database: names already in this class and
+ * parent emails without an account. Adds the parent user and a free login
+ * name to valid rows.
+ */
+async function checkRosterAgainstDatabase(teacher, students) {
+  const emails = [
+    ...new Set(
+      students.map((student) => student.parentEmail).filter(isValidEmail)
+    )
+  ]
+  const names = students.map((student) => student.name).filter(Boolean)
+
+  const [classmates, parentUsers, namesakes] = await Promise.all([
+    Profile.find({ _id: { $in: teacher.students || [] } })
+      .select('name')
+      .lean(),
+    User.find({ email: { $in: emails }, role: { $ne: 'student' } })
+      .select('email profile')
+      .lean(),
+    // Every name the login names could collide with: "Ava" and "Ava 2", ...
+    User.find({
+      name: {
+        $in: names.map((name) => new RegExp(`^${escapeRegExp(name)}( \\d+)?$`))
+      }
+    })
+      .select('name')
+      .lean()
+  ])
+
+  const classNames = new Set(
+    classmates.map((student) => student.name.toLowerCase())
+  )
+  const parentsByEmail = new Map(
+    parentUsers.map((parentUser) => [parentUser.email, parentUser])
+  )
+
+  students.forEach((student) => {
+    if (student.name && classNames.has(student.name.toLowerCase())) {
+      student.errors.push(`${student.name} is already in this class`)
+    }
+
+    student.parentUser = parentsByEmail.get(student.parentEmail)
+    if (isValidEmail(student.parentEmail) && !student.parentUser) {
+      student.errors.push(
+        `No parent account found for ${student.parentEmail}`
+      )
+    }
+  })
+
+  assignLoginNames(
+    students.filter((student) => student.name),
+    new Set(namesakes.map((user) => user.name))
+  )
+}
+
+const toRowResult = (student) => ({
+  row: student.row,
+  name: student.name,
+  loginName: student.loginName,
+  grade: student.grade ?? 1,
+  avatar: student.avatar,
+  parentEmail: student.parentEmail,
+  currentLevel: student.currentLevel ?? 1,
+  errors: student.errors
+})
+
+/**
+ * Creates every student profile and user and links them to the teacher and
+ * their parents. Each student gets their own temporary password, set on the
+ * row. Created profiles are recorded on `created` as soon as they exist.
+ * @param {Object} teacher - The teacher profile.
+ * @param {Object[]} students - Valid roster rows.
+ * @param {Object} options - Query options (`{ session }` in a transaction).
+ * @param {Object} created - Receives `profiles`.
+ */
+async function writeRosterAccounts(teacher, students, options, created) {
+  created.profiles = await Profile.insertMany(
+    students.map((student) => ({
+      name: student.name,
+      email: student.parentEmail,
+      avatar: student.avatar,
+      grade: student.grade ?? 1,
+      currentLevel: student.currentLevel ?? 1,
+      role: 'student'
+    })),
+    options
+  )
+  const { profiles } = created
+
+  // create, unlike insertMany, runs the pre-save hook that hashes passwords
+  students.forEach((student) => {
+    student.temporaryPassword = generateTemporaryPassword()
+  })
+  await User.create(
+    students.map((student, index) => ({
+      name: student.loginName,
+      email: student.parentEmail,
+      password: student.temporaryPassword,
+      profile: profiles[index]._id,
+      role: 'student'
+    })),
+    options
+  )
+
+  const linkUpdates = [
+    {
+      updateOne: {
+        filter: { _id: teacher._id },
+        update: {
+          $addToSet: {
+            students: { $each: profiles.map((profile) => profile._id) }
+          }
+        }
+      }
+    },
+    ...students
+      .map((student, index) => ({
+        updateOne: {
+          filter: { _id: student.parentUser.profile },
+          update: { $addToSet: { students: profiles[index]._id } }
+        }
+      }))
+      .filter(({ updateOne }) => updateOne.filter._id)
+  ]
+  await Profile.bulkWrite(linkUpdates, options)
+}
+
+// A standalone mongod rejects transactions with IllegalOperation
+const isTransactionUnsupported = (err) =>
+  err?.code === 20 || /replica set/i.test(err?.message || '')
+
+/**
+ * Without transactions the writes run in order, and a failure part-way
+ * removes whatever was already created so a retry starts clean.
+ */
+async function writeRosterAccountsWithCleanup(teacher, students) {
+  const created = { profiles: [] }
+
+  try {
+    await writeRosterAccounts(teacher, students, {}, created)
+    return created.profiles
+  } catch (err) {
+    const profileIds = created.profiles.map((profile) => profile._id)
+    if (profileIds.length) {
+      await Promise.all([
+        User.deleteMany({ profile: { $in: profileIds } }),
+        Profile.deleteMany({ _id: { $in: profileIds } }),
+        Profile.updateMany(
+          { students: { $in: profileIds } },
+          { $pull: { students: { $in: profileIds } } }
+        )
+      ])
+    }
+    throw err
+  }
+}
+
+/**
+ * Creates the roster's accounts in one transaction, or with cleanup on
+ * failure where MongoDB isn't running as a replica set.
+ * @returns {Promise<Object[]>} - The student profiles, in roster order.
+ */
+async function createRosterAccounts(teacher, students) {
+  const session = await mongoose.startSession()
+
+  try {
+    const created = { profiles: [] }
+    await session.withTransaction(() =>
+      writeRosterAccounts(teacher, students, { session }, created)
+    )
+
+    return created.profiles
+  } catch (err) {
+    if (!isTransactionUnsupported(err)) throw err
+
+    return writeRosterAccountsWithCleanup(teacher, students)
+  } finally {
+    await session.endSession()
+  }
+}
+
+/**
+ * Imports a class roster CSV (name, grade, avatar, parent email, Fry level)
+ * for a teacher. Every row is validated first; nothing is created unless the
+ * whole roster is valid. `?dryRun=true` only validates.
+ *
+ * @param {Object} req - The request object.
+ * @param {Object} res - The response object.
+ */
+async function importRoster(req, res) {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv
+    if (!csv || typeof csv !== 'string' || !csv.trim()) {
+      return res.status(400).json({ err: 'A roster CSV is required' })
+    }
+
+    const teacher = await Profile.findById(req.params.id).select(
+      'role students'
+    )
+    if (!teacher) {
+      return res.status(404).json({ err: 'Profile not found' })
+    }
+
+    if (teacher.role !== 'teacher') {
+      return res
+        .status(400)
+        .json({ err: 'Rosters can only be imported into a teacher profile' })
+    }
+
+    const { errors, students } = parseRoster(csv)
+    if (errors.length) {
+      return res.status(400).json({ err: 'Invalid roster', details: errors })
+    }
+
+    await checkRosterAgainstDatabase(teacher, students)
+
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun))
+    const invalidCount = students.filter((s) => s.errors.length).length
+    const result = {
+      dryRun,
+      valid: invalidCount === 0,
+      total: students.length,
+      invalid: invalidCount,
+      rows: students.map(toRowResult)
+    }
+
+    if (invalidCount) {
+      return res
+        .status(422)
+        .json({ err: 'Roster has invalid rows', ...result })
+    }
+
+    if (dryRun) {
+      return res.status(200).json(result)
+    }
+
+    const profiles = await createRosterAccounts(teacher, students)
+
+    res.status(201).json({
+      ...result,
+      imported: profiles.length,
+      rows: result.rows.map((row, index) => ({
+        ...row,
+        profileId: profiles[index]._id,
+        temporaryPassword: students[index].temporaryPassword
+      }))
+    })
+  } catch (err) {
+    console.error('Import roster error:', err)
+    res.status(500).json({ err: 'Error importing roster' })
+  }
+}
+
+export { importRoster }
@@ -0,0 +1,57 @@
+import * as fryCatalog from '../services/fry-catalog.js'
+
+async function index(req, res) {
+  try {
+    res.status(200).json(fryCatalog.getCatalogSummary())
+  } catch (err) {
+    console.error('Index words error:', err)
+    res.status(500).json({ err: 'Error fetching word catalog' })
+  }
+}
+
+async function showLevel(req, res) {
+  try {
+    const level = fryCatalog.getLevel(Number(req.params.level))
+    if (!level) {
+      return res.status(404).json({ err: 'Fry level not found' })
+    }
+
+    res.status(200).json(level)
+  } catch (err) {
+    console.error('Show level error:', err)
+    res.status(500).json({ err: 'Error fetching Fry level' })
+  }
+}
+
+async function showList(req, res) {
+  try {
+    const level = Number(req.params.level)
+    const list = Number(req.params.list)
+    const words = fryCatalog.getListWords(level, list)
+
+    if (!words) {
+      return res.status(404).json({ err: 'Fry list not found' })
+    }
+
+    res.status(200).json({ level, list, words })
+  } catch (err) {
+    console.error('Show list error:', err)
+    res.status(500).json({ err: 'Error fetching Fry list' })
+  }
+}
+
+async function lookup(req, res) {
+  try {
+    const entry = fryCatalog.lookupWord(req.params.word)
+    if (!entry) {
+      return res.status(404).json({ err: 'Word is not in the Fry catalog' })
+    }
+
+    res.status(200).json(entry)
+  } catch (err) {
+    console.error('Lookup word error:', err)
+    res.status(500).json({ err: 'Error looking up word' })
+  }
+}
+
+export { index, showLevel, showList, lookup }
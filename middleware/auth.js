@@ -1,28 +1,77 @@
 import jwt from 'jsonwebtoken'
+import { isSessionActive } from '../services/auth-sessions.js'
 
 const unauthorized = (res, message) => res.status(401).json({ err: message })
 
+const TOKEN_ERROR_MESSAGES = {
+  TokenExpiredError: 'Token expired',
+  SessionRevokedError: 'Session revoked',
+  SessionRequiredError: 'Session required, please sign in again'
+}
+
+const tokenErrorMessage = (err) =>
+  TOKEN_ERROR_MESSAGES[err.name] || 'Invalid token'
+
+/**
+ * Verifies an access token and checks that its session is still live.
+ * Tokens issued before sessions existed carry no session id and can't be
+ * revoked, so they are refused.
+ * @param {string} token - The raw token, with or without a "Bearer " prefix.
+ * @returns {Promise<Object>} - `{ user, sessionId }`.
+ */
+async function verifyAccessToken(token) {
+  const secret = process.env.SECRET
+  if (!secret) {
+    throw new Error('Server configuration error')
+  }
+
+  const decoded = await new Promise((resolve, reject) => {
+    jwt.verify(token.replace('Bearer ', ''), secret, (err, payload) => {
+      if (err) reject(err)
+      else resolve(payload)
+    })
+  })
+
+  if (!decoded.sid) {
+    const err = new Error('Session required')
+    err.name = 'SessionRequiredError'
+    throw err
+  }
+
+  if (!(await isSessionActive(decoded.sid))) {
+    const err = new Error('Session revoked')
+    err.name = 'SessionRevokedError'
+    throw err
+  }
+
+  return { user: decoded.user, sessionId: decoded.sid }
+}
+
+/**
+ * Verifies an access token and resolves with its decoded user.
+ * Shared by the HTTP middleware and the Socket.IO handshake.
+ * @param {string} token - The raw token, with or without a "Bearer " prefix.
+ * @returns {Promise<Object>} - The decoded user.
+ */
+async function verifyToken(token) {
+  const { user } = await verifyAccessToken(token)
+  return user
+}
+
 const decodeUserFromToken = (req, res, next) => {
-  let token = req.get('Authorization') || req.query.token || req.body.token
+  const token = req.get('Authorization') || req.query.token || req.body.token
   if (token) {
-    token = token.replace('Bearer ', '')
-    const secret = process.env.SECRET
-
-    if (!secret) {
+    if (!process.env.SECRET) {
       return res.status(500).json({ err: 'Server configuration error' })
     }
 
-    jwt.verify(token, secret, (err, decoded) => {
-      if (err) {
-        return unauthorized(
-          res,
-          err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token'
-        )
-      } else {
-        req.user = decoded.user
+    verifyAccessToken(token)
+      .then(({ user, sessionId }) => {
+        req.user = user
+        req.authSessionId = sessionId
         next()
-      }
-    })
+      })
+      .catch((err) => unauthorized(res, tokenErrorMessage(err)))
   } else {
     next()
   }
@@ -37,4 +86,11 @@ function passUserToView(req, res, next) {
   next()
 }
 
-export { decodeUserFromToken, checkAuth, passUserToView }
+export {
+  verifyAccessToken,
+  verifyToken,
+  tokenErrorMessage,
+  decodeUserFromToken,
+  checkAuth,
+  passUserToView
+}
@@ -0,0 +1,178 @@
+/**
+ * Resource-level authorization for profile and classroom routes
+ * Each route declares which relationships to the target may act on it
+ */
+
+import { Profile } from '../models/profile.js'
+import { Classroom } from '../models/classroom.js'
+
+const RELATIONS = {
+  SELF: 'self',
+  TEACHER: 'teacher',
+  PARENT: 'parent',
+  STUDENT: 'student',
+  ADMIN: 'admin'
+}
+
+const forbidden = (res, message) => res.status(403).json({ err: message })
+
+const getActorProfileId = (user) =>
+  user?.profile ? String(user.profile._id || user.profile) : null
+
+/**
+ * Loads (once per request) the profile of the authenticated user.
+ * @param {Object} req - The request object.
+ * @returns {Promise<Object|null>} - The actor's profile.
+ */
+async function loadActorProfile(req) {
+  if (req.actorProfile === undefined) {
+    const actorProfileId = getActorProfileId(req.user)
+    req.actorProfile = actorProfileId
+      ? await Profile.findById(actorProfileId).select('role isAdmin students')
+      : null
+  }
+
+  return req.actorProfile
+}
+
+const isLinked = (actorProfile, targetProfileId) =>
+  (actorProfile?.students || []).some(
+    (studentId) => String(studentId) === String(targetProfileId)
+  )
+
+const includesProfile = (profileIds, profileId) =>
+  (profileIds || []).some((id) => String(id) === String(profileId))
+
+// Teaches the student directly or through any shared classroom. Teachers
+// can only put their own linked students in a classroom, so membership never
+// grants access to a student nobody vetted.
+const teachesStudent = async (actorProfile, targetProfileId) =>
+  isLinked(actorProfile, targetProfileId) ||
+  Boolean(
+    await Classroom.exists({
+      teachers: actorProfile._id,
+      students: targetProfileId
+    })
+  )
+
+/**
+ * Works out how the authenticated user relates to a profile, checking only
+ * the relations that are allowed so self-access needs no database lookup.
+ * @param {Object} req - The request object.
+ * @param {string} targetProfileId - The profile being acted on.
+ * @param {string[]} allowed - Allowed relations.
+ * @returns {Promise<string|null>} - The first matching relation, or null.
+ */
+async function resolveRelation(req, targetProfileId, allowed) {
+  if (
+    allowed.includes(RELATIONS.SELF) &&
+    getActorProfileId(req.user) === String(targetProfileId)
+  ) {
+    return RELATIONS.SELF
+  }
+
+  const actorProfile = await loadActorProfile(req)
+  if (!actorProfile) return null
+
+  if (allowed.includes(RELATIONS.ADMIN) && actorProfile.isAdmin) {
+    return RELATIONS.ADMIN
+  }
+
+  if (
+    allowed.includes(RELATIONS.TEACHER) &&
+    actorProfile.role === 'teacher' &&
+    (await teachesStudent(actorProfile, targetProfileId))
+  ) {
+    return RELATIONS.TEACHER
+  }
+
+  if (
+    allowed.includes(RELATIONS.PARENT) &&
+    actorProfile.role === 'parent' &&
+    isLinked(actorProfile, targetProfileId)
+  ) {
+    return RELATIONS.PARENT
+  }
+
+  return null
+}
+
+/**
+ * Route middleware restricting a profile route to the given relations.
+ * Sets `req.profileRelation` for the controller.
+ * @param {...string} allowed - Relations from RELATIONS that may act.
+ * @returns {Function} - Express middleware.
+ */
+function authorizeProfile(...allowed) {
+  return async (req, res, next) => {
+    try {
+      const relation = await resolveRelation(req, req.params.id, allowed)
+
+      if (!relation) {
+        return forbidden(res, 'Not authorized to access this profile')
+      }
+
+      req.profileRelation = relation
+      next()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+/**
+ * Route middleware restricting a classroom route to the given relations:
+ * TEACHER (teaches the class), STUDENT (is in it) or ADMIN.
+ * Sets `req.classroom` and `req.classroomRelation` for the controller.
+ * @param {...string} allowed - Relations from RELATIONS that may act.
+ * @returns {Function} - Express middleware.
+ */
+function authorizeClassroom(...allowed) {
+  return async (req, res, next) => {
+    try {
+      const classroom = await Classroom.findById(req.params.id)
+      if (!classroom) {
+        return res.status(404).json({ err: 'Classroom not found' })
+      }
+
+      const actorProfileId = getActorProfileId(req.user)
+      let relation = null
+
+      if (
+        allowed.includes(RELATIONS.TEACHER) &&
+        includesProfile(classroom.teachers, actorProfileId)
+      ) {
+        relation = RELATIONS.TEACHER
+      } else if (
+        allowed.includes(RELATIONS.STUDENT) &&
+        includesProfile(classroom.students, actorProfileId)
+      ) {
+        relation = RELATIONS.STUDENT
+      } else if (
+        allowed.includes(RELATIONS.ADMIN) &&
+        (await loadActorProfile(req))?.isAdmin
+      ) {
+        relation = RELATIONS.ADMIN
+      }
+
+      if (!relation) {
+        return forbidden(res, 'Not authorized to access this classroom')
+      }
+
+      req.classroom = classroom
+      req.classroomRelation = relation
+      next()
+    } catch (err) {
+      next(err)
+    }
+  }
+}
+
+export {
+  RELATIONS,
+  loadActorProfile,
+  isLinked,
+  resolveRelation,
+  authorizeProfile,
+  authorizeClassroom
+}
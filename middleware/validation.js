@@ -2,6 +2,12 @@
  * Input validation middleware using express-validator equivalent logic
  */
 
+import {
+  LEVEL_COUNT,
+  isFryWord,
+  isValidLevel
+} from '../services/fry-catalog.js'
+
 export function validateSignup(req, res, next) {
   const { email, password, name, role } = req.body
   const errors = []
@@ -96,12 +102,28 @@ export function validateObjectId(paramName) {
   }
 }
 
+export function validateFryLevel(paramName) {
+  return (req, res, next) => {
+    const level = Number(req.params[paramName])
+
+    if (!isValidLevel(level)) {
+      return res.status(400).json({
+        err: `Invalid ${paramName}. Must be an integer from 1 to ${LEVEL_COUNT}`
+      })
+    }
+
+    next()
+  }
+}
+
 export function validatePracticedWord(req, res, next) {
   const { word, timesPracticed, timesCorrect, timesIncorrect } = req.body
   const errors = []
 
   if (!word || typeof word !== 'string' || !word.trim()) {
     errors.push('Word is required and must be a non-empty string')
+  } else if (!isFryWord(word)) {
+    errors.push(`"${word.trim()}" is not a word in the Fry catalog`)
   }
 
   if (
@@ -249,7 +271,14 @@ export function validateAssessment(req, res, next) {
 }
 
 export function validateTestSession(req, res, next) {
-  const { sessionType, testType, wordsUsed, sessionSettings, results } = req.body
+  const {
+    sessionType,
+    testType,
+    wordsUsed,
+    sessionSettings,
+    results,
+    fryLevel
+  } = req.body
   const errors = []
 
   // Required fields
@@ -279,10 +308,16 @@ export function validateTestSession(req, res, next) {
     wordsUsed.forEach((word, index) => {
       if (!word || typeof word !== 'string' || !word.trim()) {
         errors.push(`Word at index ${index} must be a non-empty string`)
+      } else if (!isFryWord(word)) {
+        errors.push(`Word at index ${index} is not in the Fry catalog`)
       }
     })
   }
 
+  if (fryLevel !== undefined && !isValidLevel(fryLevel)) {
+    errors.push(`Fry level must be an integer from 1 to ${LEVEL_COUNT}`)
+  }
+
   // Validate session settings
   if (sessionSettings && typeof sessionSettings !== 'object') {
     errors.push('Session settings must be an object')
@@ -372,3 +407,80 @@ export function validateTestSession(req, res, next) {
 
   next()
 }
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/
+
+/**
+ * Validates classroom create/update bodies. `name` is only required when
+ * creating (POST).
+ */
+export function validateClassroom(req, res, next) {
+  const { name, schoolYear, defaultFryLevel, schedule, settings, students } =
+    req.body
+  const errors = []
+
+  if (req.method === 'POST' || name !== undefined) {
+    if (!name || typeof name !== 'string' || !name.trim()) {
+      errors.push('Classroom name is required and must be a non-empty string')
+    } else if (name.trim().length > 100) {
+      errors.push('Classroom name must be 100 characters or fewer')
+    }
+  }
+
+  if (schoolYear !== undefined) {
+    const [start, end] = String(schoolYear).split('-').map(Number)
+    if (!/^\d{4}-\d{4}$/.test(schoolYear) || end !== start + 1) {
+      errors.push('School year must look like 2024-2025')
+    }
+  }
+
+  if (defaultFryLevel !== undefined && !isValidLevel(defaultFryLevel)) {
+    errors.push(`Default Fry level must be an integer from 1 to ${LEVEL_COUNT}`)
+  }
+
+  if (schedule !== undefined) {
+    if (!Array.isArray(schedule)) {
+      errors.push('Schedule must be an array')
+    } else {
+      schedule.forEach((slot, index) => {
+        if (
+          !Number.isInteger(slot?.dayOfWeek) ||
+          slot.dayOfWeek < 0 ||
+          slot.dayOfWeek > 6 ||
+          !TIME_PATTERN.test(slot.startTime) ||
+          !TIME_PATTERN.test(slot.endTime) ||
+          slot.startTime >= slot.endTime
+        ) {
+          errors.push(
+            `Schedule slot ${index} needs a dayOfWeek (0-6) and HH:MM start and end times`
+          )
+        }
+      })
+    }
+  }
+
+  if (
+    settings !== undefined &&
+    (typeof settings !== 'object' || Array.isArray(settings))
+  ) {
+    errors.push('Settings must be an object')
+  }
+
+  if (
+    students !== undefined &&
+    (!Array.isArray(students) ||
+      !students.every((id) => OBJECT_ID_PATTERN.test(id)))
+  ) {
+    errors.push('Students must be an array of profile IDs')
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({
+      err: 'Validation failed',
+      details: errors
+    })
+  }
+
+  next()
+}
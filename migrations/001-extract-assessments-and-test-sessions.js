@@ -0,0 +1,114 @@
+/**
+ * Moves the embedded Profile.assessments and Profile.testSessions arrays into
+ * the standalone `assessments` and `testsessions` collections.
+ *
+ * Works on the raw collections so it does not depend on the current schemas.
+ * Idempotent: documents keep their original _id and are upserted, and the
+ * embedded arrays are only removed once copied.
+ */
+
+const BATCH_SIZE = 100
+
+const EMBEDDED_COLLECTIONS = [
+  { field: 'assessments', collection: 'assessments' },
+  { field: 'testSessions', collection: 'testsessions' }
+]
+
+const copyEmbeddedRecords = async (db, profile, field, collection) => {
+  const records = profile[field] || []
+  if (!records.length) return 0
+
+  const now = new Date()
+  await db.collection(collection).bulkWrite(
+    records.map((record) => ({
+      updateOne: {
+        filter: { _id: record._id },
+        update: {
+          $setOnInsert: {
+            createdAt: record.date || record.startTime || now,
+            updatedAt: record.updatedAt || now,
+            ...record,
+            profile: profile._id
+          }
+        },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  )
+
+  return records.length
+}
+
+async function up(db) {
+  const profiles = db.collection('profiles')
+  const counts = { assessments: 0, testSessions: 0 }
+
+  const cursor = profiles
+    .find({
+      $or: [
+        { 'assessments.0': { $exists: true } },
+        { 'testSessions.0': { $exists: true } }
+      ]
+    })
+    .project({ assessments: 1, testSessions: 1 })
+    .batchSize(BATCH_SIZE)
+
+  for await (const profile of cursor) {
+    for (const { field, collection } of EMBEDDED_COLLECTIONS) {
+      counts[field] += await copyEmbeddedRecords(
+        db,
+        profile,
+        field,
+        collection
+      )
+    }
+
+    await profiles.updateOne(
+      { _id: profile._id },
+      { $unset: { assessments: '', testSessions: '' } }
+    )
+  }
+
+  // Profiles that only had empty arrays
+  await profiles.updateMany(
+    {
+      $or: [
+        { assessments: { $exists: true } },
+        { testSessions: { $exists: true } }
+      ]
+    },
+    { $unset: { assessments: '', testSessions: '' } }
+  )
+
+  return counts
+}
+
+async function down(db) {
+  const profiles = db.collection('profiles')
+  const counts = { assessments: 0, testSessions: 0 }
+
+  for (const { field, collection } of EMBEDDED_COLLECTIONS) {
+    const cursor = db
+      .collection(collection)
+      .find({})
+      .sort({ profile: 1, _id: 1 })
+      .batchSize(BATCH_SIZE)
+
+    for await (const record of cursor) {
+      const { profile, createdAt, updatedAt, __v, ...embedded } = record
+
+      await profiles.updateOne(
+        { _id: profile, [`${field}._id`]: { $ne: record._id } },
+        { $push: { [field]: embedded } }
+      )
+      counts[field]++
+    }
+
+    await db.collection(collection).deleteMany({})
+  }
+
+  return counts
+}
+
+export { up, down }
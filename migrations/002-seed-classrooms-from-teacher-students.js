@@ -0,0 +1,65 @@
+/**
+ * Creates one classroom per teacher from their Profile.students array, so
+ * existing classes keep working with the Classroom model. Profile.students
+ * is left in place (parents still use it).
+ *
+ * Idempotent: seeded classrooms record `seededFromProfile`, and a teacher
+ * who already has a seeded classroom is skipped.
+ */
+
+const BATCH_SIZE = 100
+
+// School years run August to July, e.g. 2024-2025
+const currentSchoolYear = (now = new Date()) => {
+  const startYear =
+    now.getMonth() >= 7 ? now.getFullYear() : now.getFullYear() - 1
+  return `${startYear}-${startYear + 1}`
+}
+
+async function up(db) {
+  const classrooms = db.collection('classrooms')
+  const schoolYear = currentSchoolYear()
+  let created = 0
+
+  const cursor = db
+    .collection('profiles')
+    .find({ role: 'teacher', 'students.0': { $exists: true } })
+    .project({ name: 1, students: 1 })
+    .batchSize(BATCH_SIZE)
+
+  for await (const teacher of cursor) {
+    const now = new Date()
+    const result = await classrooms.updateOne(
+      { seededFromProfile: teacher._id },
+      {
+        $setOnInsert: {
+          name: `${teacher.name || 'Teacher'}'s class`,
+          schoolYear,
+          teachers: [teacher._id],
+          students: teacher.students,
+          defaultFryLevel: 1,
+          schedule: [],
+          settings: { autoAdvance: false, dailyGoal: 10, testTypes: [] },
+          archived: false,
+          seededFromProfile: teacher._id,
+          createdAt: now,
+          updatedAt: now
+        }
+      },
+      { upsert: true }
+    )
+    created += result.upsertedCount
+  }
+
+  return { created }
+}
+
+async function down(db) {
+  const result = await db
+    .collection('classrooms')
+    .deleteMany({ seededFromProfile: { $exists: true } })
+
+  return { deleted: result.deletedCount }
+}
+
+export { up, down }
@@ -0,0 +1,39 @@
+/**
+ * Tags test sessions created by live (Socket.IO) tests with
+ * `source: 'live'` and everything else with `source: 'api'`, so the
+ * abandoned-session sweeper only cancels sessions it owns. Live sessions
+ * are recognised by their sessionId and the note they were created with.
+ *
+ * Idempotent: only sessions without a `source` are tagged.
+ */
+
+const LIVE_SESSION_NOTE = 'Teacher-led live session'
+
+async function up(db) {
+  const testSessions = db.collection('testsessions')
+
+  const live = await testSessions.updateMany(
+    {
+      source: { $exists: false },
+      sessionId: { $exists: true },
+      teacherNotes: LIVE_SESSION_NOTE
+    },
+    { $set: { source: 'live' } }
+  )
+  const api = await testSessions.updateMany(
+    { source: { $exists: false } },
+    { $set: { source: 'api' } }
+  )
+
+  return { live: live.modifiedCount, api: api.modifiedCount }
+}
+
+async function down(db) {
+  const result = await db
+    .collection('testsessions')
+    .updateMany({ source: { $exists: true } }, { $unset: { source: '' } })
+
+  return { untagged: result.modifiedCount }
+}
+
+export { up, down }
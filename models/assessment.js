@@ -0,0 +1,64 @@
+import mongoose from 'mongoose'
+
+const Schema = mongoose.Schema
+
+/**
+ * Assessment Schema
+ * Teacher-conducted word assessments, one document per assessment. Previously
+ * embedded in Profile.assessments; `profile` is the student assessed.
+ */
+const assessmentSchema = new Schema(
+  {
+    profile: {
+      type: Schema.Types.ObjectId,
+      ref: 'Profile',
+      required: true
+    },
+    testType: {
+      type: String,
+      enum: ['recognition', 'spelling', 'pronunciation', 'reading'],
+      default: 'recognition'
+    },
+    words: [{ type: String, required: true }], // Array of words tested in this assessment
+    responses: [
+      {
+        word: { type: String, required: true },
+        correct: { type: Boolean, required: true },
+        timeSpent: { type: Number }, // Time spent on this word in ms
+        attempts: { type: Number, default: 1 }
+      }
+    ],
+    score: { type: Number, min: 0, max: 100 }, // Overall score for the assessment
+    duration: { type: Number }, // Total duration of assessment in ms
+    teacherNotes: { type: String }, // In-person observation notes
+    assessmentData: { type: Schema.Types.Mixed }, // Additional data storage
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard'],
+      default: 'medium'
+    },
+    date: { type: Date, default: Date.now },
+    sessionId: { type: String } // To group assessments by session
+  },
+  {
+    timestamps: true
+  }
+)
+
+assessmentSchema.index({ profile: 1, date: -1 })
+assessmentSchema.index({ profile: 1, testType: 1, date: -1 })
+assessmentSchema.index({ profile: 1, sessionId: 1 })
+assessmentSchema.index({ profile: 1, 'responses.word': 1 })
+
+// Keep the API shape of the old embedded subdocuments
+assessmentSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.profile
+    delete ret.__v
+    return ret
+  }
+})
+
+const Assessment = mongoose.model('Assessment', assessmentSchema)
+
+export { Assessment }
@@ -0,0 +1,83 @@
+import mongoose from 'mongoose'
+
+const Schema = mongoose.Schema
+
+const AUDIT_ACTIONS = [
+  'profile.update',
+  'practicedWord.update',
+  'assessment.update',
+  'assessment.note',
+  'student.remove',
+  'password.change',
+  'picturePassword.set',
+  'picturePassword.remove',
+  'account.unlock'
+]
+
+/**
+ * Audit Log Schema
+ * Who changed a grade or an account, and how. Append-only: entries can be
+ * created but never updated or deleted through the model.
+ */
+const auditLogSchema = new Schema(
+  {
+    actor: {
+      user: { type: Schema.Types.ObjectId, ref: 'User' },
+      profile: { type: Schema.Types.ObjectId, ref: 'Profile' },
+      role: { type: String }
+    },
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    targetProfile: { type: Schema.Types.ObjectId, ref: 'Profile' }, // The student whose record changed
+    entity: {
+      kind: { type: String }, // 'profile', 'user', 'practicedWord' or 'assessment'
+      id: { type: Schema.Types.ObjectId }
+    },
+    changes: [
+      {
+        _id: false,
+        path: { type: String, required: true },
+        before: { type: Schema.Types.Mixed },
+        after: { type: Schema.Types.Mixed }
+      }
+    ],
+    ip: { type: String }
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false }
+  }
+)
+
+auditLogSchema.index({ createdAt: -1 })
+auditLogSchema.index({ targetProfile: 1, createdAt: -1 })
+auditLogSchema.index({ 'actor.profile': 1, createdAt: -1 })
+auditLogSchema.index({ action: 1, createdAt: -1 })
+
+const rejectChange = (next) =>
+  next(new Error('Audit log entries cannot be changed'))
+
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next)
+  next()
+})
+
+auditLogSchema.pre(
+  [
+    'updateOne',
+    'updateMany',
+    'replaceOne',
+    'findOneAndUpdate',
+    'findOneAndReplace',
+    'deleteOne',
+    'deleteMany',
+    'findOneAndDelete',
+    'findOneAndRemove',
+    'remove'
+  ],
+  function (next) {
+    rejectChange(next)
+  }
+)
+
+const AuditLog = mongoose.model('AuditLog', auditLogSchema)
+
+export { AuditLog, AUDIT_ACTIONS }
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose'
+
+const Schema = mongoose.Schema
+
+/**
+ * Auth Session Schema
+ * One signed-in device. Access tokens carry the session id; the refresh
+ * token is stored only as a hash and rotates on every refresh. Expired
+ * sessions are removed by the TTL index.
+ */
+const authSessionSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    refreshTokenHash: { type: String, required: true },
+    previousRefreshTokenHash: { type: String }, // Detects refresh token reuse
+    expiresAt: { type: Date, required: true },
+    lastUsedAt: { type: Date, default: Date.now },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String },
+    userAgent: { type: String },
+    ip: { type: String }
+  },
+  {
+    timestamps: true
+  }
+)
+
+authSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const AuthSession = mongoose.model('AuthSession', authSessionSchema)
+
+export { AuthSession }
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose'
+import { LEVEL_COUNT } from '../services/fry-catalog.js'
+
+const Schema = mongoose.Schema
+
+const TEST_TYPES = ['recognition', 'pronunciation', 'spelling', 'reading']
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/ // HH:MM, 24-hour
+
+// A recurring weekly class period
+const scheduleSlot = new Schema(
+  {
+    dayOfWeek: { type: Number, min: 0, max: 6, required: true }, // 0 = Sunday
+    startTime: { type: String, match: TIME_PATTERN, required: true },
+    endTime: { type: String, match: TIME_PATTERN, required: true }
+  },
+  { _id: false }
+)
+
+/**
+ * Classroom Schema
+ * A class with any number of teachers and students. A student can belong to
+ * several classrooms.
+ */
+const classroomSchema = new Schema(
+  {
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    schoolYear: { type: String, trim: true, match: /^\d{4}-\d{4}$/ }, // e.g. 2024-2025
+    teachers: [{ type: Schema.Types.ObjectId, ref: 'Profile' }],
+    students: [{ type: Schema.Types.ObjectId, ref: 'Profile' }],
+    defaultFryLevel: { type: Number, default: 1, min: 1, max: LEVEL_COUNT },
+    schedule: [scheduleSlot],
+    settings: {
+      autoAdvance: { type: Boolean, default: false },
+      dailyGoal: { type: Number, default: 10, min: 1 },
+      testTypes: [{ type: String, enum: TEST_TYPES }],
+      pictureLogin: { type: Boolean, default: false } // Public picture-password login page
+    },
+    archived: { type: Boolean, default: false }
+  },
+  {
+    timestamps: true
+  }
+)
+
+classroomSchema.index({ teachers: 1, archived: 1 })
+classroomSchema.index({ students: 1 })
+
+const Classroom = mongoose.model('Classroom', classroomSchema)
+
+export { Classroom }
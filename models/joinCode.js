@@ -0,0 +1,46 @@
+import mongoose from 'mongoose'
+
+const Schema = mongoose.Schema
+
+const JOIN_REQUEST_STATUSES = ['pending', 'approved', 'denied']
+
+// A student asking to join through a code, possibly sent by their parent
+const joinRequest = new Schema({
+  student: { type: Schema.Types.ObjectId, ref: 'Profile', required: true },
+  requestedBy: { type: Schema.Types.ObjectId, ref: 'Profile', required: true },
+  status: { type: String, enum: JOIN_REQUEST_STATUSES, default: 'pending' },
+  requestedAt: { type: Date, default: Date.now },
+  decidedAt: { type: Date },
+  decidedBy: { type: Schema.Types.ObjectId, ref: 'Profile' }
+})
+
+/**
+ * Join Code Schema
+ * A time-limited code a teacher shares so students can enroll themselves in
+ * a classroom. Pending and approved requests count towards maxRedemptions.
+ */
+const joinCodeSchema = new Schema(
+  {
+    code: { type: String, required: true, unique: true },
+    classroom: {
+      type: Schema.Types.ObjectId,
+      ref: 'Classroom',
+      required: true,
+      index: true
+    },
+    teacher: { type: Schema.Types.ObjectId, ref: 'Profile', required: true },
+    expiresAt: { type: Date, required: true },
+    maxRedemptions: { type: Number, min: 1, default: null }, // null = no cap
+    redemptionCount: { type: Number, default: 0 },
+    requiresApproval: { type: Boolean, default: true },
+    revokedAt: { type: Date, default: null },
+    requests: [joinRequest]
+  },
+  {
+    timestamps: true
+  }
+)
+
+const JoinCode = mongoose.model('JoinCode', joinCodeSchema)
+
+export { JoinCode, JOIN_REQUEST_STATUSES }
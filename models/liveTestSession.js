@@ -0,0 +1,77 @@
+import mongoose from 'mongoose'
+import { WORD_ORDERS } from '../services/word-queue.js'
+
+const Schema = mongoose.Schema
+
+// One student's latest response to one word in a live session
+const liveResponse = new Schema(
+  {
+    studentId: { type: Schema.Types.ObjectId, ref: 'Profile', required: true },
+    word: { type: String, required: true },
+    studentName: { type: String },
+    response: { type: String },
+    responseTime: { type: Number, default: 0 },
+    testType: { type: String },
+    recognized: { type: Boolean, default: false },
+    confidence: { type: Number, default: 0 },
+    submittedAt: { type: Date },
+    teacherNotes: { type: String },
+    teacherRecognized: { type: Boolean },
+    score: { type: Number, min: 0, max: 100 },
+    assessedAt: { type: Date },
+    noResponse: { type: Boolean }, // The word's time limit ran out
+    responseId: { type: String } // Client idempotency key of the submission
+  },
+  { _id: false }
+)
+
+/**
+ * Live Test Session Schema
+ * Durable copy of a running teacher-led test so it survives server restarts.
+ * Removed from the active set once the session completes or is cancelled.
+ */
+const liveTestSessionSchema = new Schema(
+  {
+    sessionId: { type: String, required: true, unique: true },
+    room: { type: String, required: true },
+    teacherProfileId: { type: Schema.Types.ObjectId, ref: 'Profile' },
+    groupId: { type: Schema.Types.ObjectId }, // Small group the session is for
+    testType: { type: String },
+    fryLevel: { type: Number },
+    wordsToTest: [{ type: String }],
+    currentWord: { type: String }, // Word cursor: last word sent
+    currentSequence: { type: Number, default: 0 },
+    wordOrder: { type: String, enum: WORD_ORDERS, default: 'ordered' },
+    wordQueue: [{ type: String }], // wordsToTest in play order, plus re-queued misses
+    queueCursor: { type: Number, default: -1 }, // Index of the word on screen
+    requeuedWords: [{ type: String }],
+    skippedWords: [{ type: String }],
+    settings: { type: Schema.Types.Mixed }, // Latest update_test_settings payload
+    timeLimit: { type: Number }, // Seconds allowed per word
+    autoAdvance: { type: Boolean, default: false }, // Send the next word when time runs out
+    wordStartedAt: { type: Date }, // When the current word was sent
+    wordPausedMs: { type: Number, default: 0 }, // Paused time since then
+    pausedAt: { type: Date }, // Set while the session is paused
+    pausedMs: { type: Number, default: 0 }, // Total time spent paused
+    participantProfileIds: [{ type: Schema.Types.ObjectId, ref: 'Profile' }],
+    persistedParticipants: [{ type: Schema.Types.ObjectId, ref: 'Profile' }],
+    responses: [liveResponse],
+    startTime: { type: Date, default: Date.now },
+    endTime: { type: Date },
+    lastActivity: { type: Date, default: Date.now },
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled'],
+      default: 'active'
+    }
+  },
+  {
+    timestamps: true
+  }
+)
+
+liveTestSessionSchema.index({ status: 1, lastActivity: 1 })
+
+const LiveTestSession = mongoose.model('LiveTestSession', liveTestSessionSchema)
+
+export { LiveTestSession }
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose'
+
+const Schema = mongoose.Schema
+
+/**
+ * Password Reset Schema
+ * A single-use reset token. Only its hash is stored; the token itself is
+ * emailed. Expired tokens are removed by the TTL index.
+ */
+const passwordResetSchema = new Schema(
+  {
+    user: {
+      type: Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true
+    },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    requestedIp: { type: String }
+  },
+  {
+    timestamps: true
+  }
+)
+
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 })
+
+const PasswordReset = mongoose.model('PasswordReset', passwordResetSchema)
+
+export { PasswordReset }
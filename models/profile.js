@@ -1,4 +1,5 @@
 import mongoose from 'mongoose'
+import { LEVEL_COUNT } from '../services/fry-catalog.js'
 
 const Schema = mongoose.Schema
 
@@ -12,84 +13,38 @@ const practicedWords = new Schema({
   recordOfWrongs: [{ type: String }], // Track wrong attempts
   lastPracticed: { type: Date, default: Date.now },
   speechRecognitionScore: { type: Number, default: 0 }, // 0-100 score for speech recognition
-  responseTime: { type: Number, default: 0 } // Average response time in ms
+  responseTime: { type: Number, default: 0 }, // Average response time in ms
+  // Spaced repetition schedule (see services/practice-scheduler.js)
+  easeFactor: { type: Number, default: 2.5, min: 1.3 },
+  interval: { type: Number, default: 0 }, // Days until the next review
+  repetitions: { type: Number, default: 0 }, // Consecutive correct reviews
+  dueDate: { type: Date, default: Date.now }
 })
 
-// Assessment schema for teacher-conducted tests
-const assessment = new Schema({
-  testType: {
-    type: String,
-    enum: ['recognition', 'spelling', 'pronunciation', 'reading'],
-    default: 'recognition'
-  },
-  words: [{ type: String, required: true }], // Array of words tested in this assessment
-  responses: [
-    {
-      word: { type: String, required: true },
-      correct: { type: Boolean, required: true },
-      timeSpent: { type: Number }, // Time spent on this word in ms
-      attempts: { type: Number, default: 1 }
-    }
-  ],
-  score: { type: Number, min: 0, max: 100 }, // Overall score for the assessment
-  duration: { type: Number }, // Total duration of assessment in ms
-  teacherNotes: { type: String }, // In-person observation notes
-  assessmentData: { type: mongoose.Schema.Types.Mixed }, // Additional data storage
-  difficulty: {
-    type: String,
-    enum: ['easy', 'medium', 'hard'],
-    default: 'medium'
-  },
-  date: { type: Date, default: Date.now },
-  sessionId: { type: String } // To group assessments by session
+// Level promotion history (written by services/level-advancement.js)
+const levelEvent = new Schema({
+  fromLevel: { type: Number, required: true },
+  toLevel: { type: Number, required: true },
+  masteredCount: { type: Number },
+  levelWordCount: { type: Number },
+  threshold: { type: Number },
+  reason: { type: String, default: 'auto-advance' },
+  date: { type: Date, default: Date.now }
 })
 
-// Test session schema
-const testSession = new Schema({
-  sessionId: { type: String },
-  sessionType: {
-    type: String,
-    enum: ['individual', 'group', 'practice', 'assessment'],
-    required: true
-  },
-  testType: {
-    type: String,
-    enum: ['recognition', 'pronunciation', 'spelling', 'reading']
-  },
-  wordsUsed: [{ type: String }], // Words used in this session
-  sessionSettings: {
-    timeLimit: { type: Number }, // Time limit in seconds
-    wordCount: { type: Number }, // Number of words to test
-    testTypes: [
-      {
-        type: String,
-        enum: ['recognition', 'pronunciation', 'spelling', 'reading']
-      }
-    ]
-  },
-  results: {
-    totalWords: { type: Number, default: 0 },
-    correctWords: { type: Number, default: 0 },
-    averageResponseTime: { type: Number }, // Average response time in ms
-    averageConfidence: { type: Number, min: 0, max: 1 } // Confidence score 0-1
-  },
-  teacherId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
-  studentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
-  startTime: { type: Date, default: Date.now },
-  endTime: { type: Date },
-  status: {
-    type: String,
-    enum: ['active', 'completed', 'cancelled'],
-    default: 'active'
+// Small guided reading groups (see services/small-groups.js); array order is
+// the display order
+const groups = new Schema(
+  {
+    name: { type: String, trim: true, maxlength: 60, default: 'New group' },
+    students: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }],
+    commonWords: [practicedWords], // Words every member struggles with
+    commonWordsUpdatedAt: { type: Date }
   },
-  teacherNotes: { type: String }, // Overall session notes
-  fryLevel: { type: Number, default: 1 } // Which FRY list level (1-10)
-})
-
-const groups = new Schema({
-  students: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Profile' }],
-  commonWords: [practicedWords]
-})
+  {
+    timestamps: true
+  }
+)
 
 const profileSchema = new Schema(
   {
@@ -104,8 +59,8 @@ const profileSchema = new Schema(
     rate: { type: Number, default: 1 },
     voice: { type: Number, default: 0 },
     practicedWords: [practicedWords],
-    assessments: [assessment], // Individual word assessments
-    testSessions: [testSession], // Complete test sessions
+    // Assessments and test sessions live in their own collections
+    // (models/assessment.js, models/testSession.js), keyed by `profile`
     fryGradelevel: { type: String },
     tested: { type: Number, default: 0 },
     isAdmin: { type: Boolean, default: false },
@@ -115,7 +70,8 @@ const profileSchema = new Schema(
     // Learning preferences
     autoAdvance: { type: Boolean, default: false }, // Auto advance to next level when mastered
     dailyGoal: { type: Number, default: 10 }, // Daily practice goal
-    currentLevel: { type: Number, default: 1 } // Current FRY level (1-10)
+    currentLevel: { type: Number, default: 1, min: 1, max: LEVEL_COUNT }, // Current FRY level (1-10)
+    levelHistory: [levelEvent] // Level promotions, oldest first
   },
   {
     timestamps: true
@@ -0,0 +1,74 @@
+import mongoose from 'mongoose'
+import { LEVEL_COUNT } from '../services/fry-catalog.js'
+
+const Schema = mongoose.Schema
+
+const TEST_TYPES = ['recognition', 'pronunciation', 'spelling', 'reading']
+
+/**
+ * Test Session Schema
+ * One document per profile per session. Previously embedded in
+ * Profile.testSessions; `profile` is the profile the session belongs to.
+ */
+const testSessionSchema = new Schema(
+  {
+    profile: {
+      type: Schema.Types.ObjectId,
+      ref: 'Profile',
+      required: true
+    },
+    sessionId: { type: String },
+    source: { type: String, enum: ['live', 'api'], default: 'api' }, // 'live' sessions are run over Socket.IO
+    sessionType: {
+      type: String,
+      enum: ['individual', 'group', 'practice', 'assessment'],
+      required: true
+    },
+    testType: { type: String, enum: TEST_TYPES },
+    wordsUsed: [{ type: String }], // Words used in this session
+    sessionSettings: {
+      timeLimit: { type: Number }, // Time limit in seconds
+      wordCount: { type: Number }, // Number of words to test
+      testTypes: [{ type: String, enum: TEST_TYPES }]
+    },
+    results: {
+      totalWords: { type: Number, default: 0 },
+      correctWords: { type: Number, default: 0 },
+      averageResponseTime: { type: Number }, // Average response time in ms
+      averageConfidence: { type: Number, min: 0, max: 1 } // Confidence score 0-1
+    },
+    teacherId: { type: Schema.Types.ObjectId, ref: 'Profile' },
+    studentId: { type: Schema.Types.ObjectId, ref: 'Profile' },
+    startTime: { type: Date, default: Date.now },
+    endTime: { type: Date },
+    duration: { type: Number }, // Active time in ms, not counting pauses
+    status: {
+      type: String,
+      enum: ['active', 'completed', 'cancelled'],
+      default: 'active'
+    },
+    teacherNotes: { type: String }, // Overall session notes
+    fryLevel: { type: Number, default: 1, min: 1, max: LEVEL_COUNT } // Which FRY list level (1-10)
+  },
+  {
+    timestamps: true
+  }
+)
+
+testSessionSchema.index({ profile: 1, startTime: -1 })
+testSessionSchema.index({ profile: 1, sessionId: 1 })
+testSessionSchema.index({ status: 1, startTime: 1 })
+testSessionSchema.index({ teacherId: 1, startTime: -1 })
+
+// Keep the API shape of the old embedded subdocuments
+testSessionSchema.set('toJSON', {
+  transform: function (doc, ret) {
+    delete ret.profile
+    delete ret.__v
+    return ret
+  }
+})
+
+const TestSession = mongoose.model('TestSession', testSessionSchema)
+
+export { TestSession, TEST_TYPES }
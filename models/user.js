@@ -8,6 +8,10 @@ const SALT_ROUNDS = 6
  * @property {string} name - The name of the user.
  * @property {string} email - The email of the user.
  * @property {string} password - The password of the user.
+ * @property {string} picturePassword - Hashed icon sequence for picture login.
+ * @property {number} failedLoginAttempts - Failed logins since the last success.
+ * @property {Date} lockedUntil - Logins are refused until this time.
+ * @property {Date} loginBackoffUntil - Earliest next try after a failed login.
  * @property {mongoose.Schema.Types.ObjectId} profile - The profile of the user.
  * @property {string} role - The role of the user.
  * @property {Date} createdAt - The date when the user was created.
@@ -18,6 +22,7 @@ const userSchema = new mongoose.Schema(
     name: String,
     email: { type: String, required: true, lowercase: true },
     password: String,
+    picturePassword: String, // Icon names joined by spaces, hashed like password
     profile: { type: mongoose.Schema.Types.ObjectId, ref: 'Profile' },
     role: {
       type: String,
@@ -26,7 +31,10 @@ const userSchema = new mongoose.Schema(
     isPasswordUpdate: {
       type: Boolean,
       default: false
-    }
+    },
+    failedLoginAttempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    loginBackoffUntil: { type: Date, default: null }
   },
   {
     timestamps: true
@@ -36,23 +44,36 @@ const userSchema = new mongoose.Schema(
 userSchema.set('toJSON', {
   transform: function (doc, ret) {
     delete ret.password
+    delete ret.picturePassword
     return ret
   }
 })
 
 userSchema.pre('save', function (next) {
   const user = this
+  const passwordModified = user.isModified('password')
+  const picturePasswordModified =
+    user.isModified('picturePassword') && Boolean(user.picturePassword)
 
-  // Only hash password if it has been modified
-  if (!user.isModified('password')) {
+  // Only hash passwords that have been modified
+  if (!passwordModified && !picturePasswordModified) {
     return next()
   }
 
-  bcrypt
-    .hash(user.password, SALT_ROUNDS)
-    .then((hash) => {
-      user.password = hash
-      user.isPasswordUpdate = false
+  Promise.all([
+    passwordModified ? bcrypt.hash(user.password, SALT_ROUNDS) : null,
+    picturePasswordModified
+      ? bcrypt.hash(user.picturePassword, SALT_ROUNDS)
+      : null
+  ])
+    .then(([passwordHash, picturePasswordHash]) => {
+      if (passwordHash) {
+        user.password = passwordHash
+        user.isPasswordUpdate = false
+      }
+      if (picturePasswordHash) {
+        user.picturePassword = picturePasswordHash
+      }
       next()
     })
     .catch((err) => {
@@ -65,6 +86,11 @@ userSchema.methods.comparePassword = function (tryPassword, cb) {
   bcrypt.compare(tryPassword, this.password, cb)
 }
 
+userSchema.methods.comparePicturePassword = function (tryPicturePassword, cb) {
+  if (!this.picturePassword) return cb(null, false)
+  bcrypt.compare(tryPicturePassword, this.picturePassword, cb)
+}
+
 const User = mongoose.model('User', userSchema)
 
 export { User }
@@ -0,0 +1,13 @@
+import { Router } from 'express'
+import * as auditCtrl from '../controllers/audit.js'
+import { decodeUserFromToken, checkAuth } from '../middleware/auth.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+
+const router = Router()
+
+/*------- Protected Routes -------*/
+
+router.use(decodeUserFromToken)
+router.get('/', checkAuth, asyncHandler(auditCtrl.index))
+
+export { router }
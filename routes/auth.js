@@ -4,7 +4,8 @@ import { decodeUserFromToken, checkAuth } from '../middleware/auth.js'
 import {
   validateSignup,
   validateLogin,
-  validateAddStudent
+  validateAddStudent,
+  validateObjectId
 } from '../middleware/validation.js'
 import { asyncHandler } from '../middleware/errorHandler.js'
 
@@ -13,6 +14,19 @@ const router = Router()
 /*--------- Public Routes ---------*/
 router.post('/signup', validateSignup, asyncHandler(authCtrl.signup))
 router.post('/login', validateLogin, asyncHandler(authCtrl.login))
+router.post('/refresh', asyncHandler(authCtrl.refresh))
+router.post('/forgot-password', asyncHandler(authCtrl.forgotPassword))
+router.post('/reset-password', asyncHandler(authCtrl.resetPasswordWithToken))
+router.get(
+  '/picture-login/:classroomId',
+  validateObjectId('classroomId'),
+  asyncHandler(authCtrl.pictureLoginRoster)
+)
+router.post(
+  '/picture-login/:classroomId',
+  validateObjectId('classroomId'),
+  asyncHandler(authCtrl.pictureLogin)
+)
 
 /*------- Protected Routes -------*/
 router.use(decodeUserFromToken)
@@ -26,6 +40,8 @@ router.get('/debug-token', checkAuth, (req, res) => {
   })
 })
 
+router.post('/logout', checkAuth, asyncHandler(authCtrl.logout))
+router.post('/logout-all', checkAuth, asyncHandler(authCtrl.logoutAll))
 router.post('/changePassword', checkAuth, asyncHandler(authCtrl.changePassword))
 router.post(
   '/addStudent',
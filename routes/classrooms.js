@@ -0,0 +1,131 @@
+import { Router } from 'express'
+import * as classroomsCtrl from '../controllers/classrooms.js'
+import * as joinCodesCtrl from '../controllers/joinCodes.js'
+import { decodeUserFromToken, checkAuth } from '../middleware/auth.js'
+import { authorizeClassroom, RELATIONS } from '../middleware/authorize.js'
+import {
+  validateObjectId,
+  validateClassroom
+} from '../middleware/validation.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+
+const router = Router()
+
+const { TEACHER, STUDENT, ADMIN } = RELATIONS
+
+/*------- Protected Routes -------*/
+
+router.use(decodeUserFromToken)
+router.get('/', checkAuth, asyncHandler(classroomsCtrl.index))
+router.post(
+  '/',
+  checkAuth,
+  validateClassroom,
+  asyncHandler(classroomsCtrl.create)
+)
+router.post('/join', checkAuth, asyncHandler(joinCodesCtrl.redeem))
+router.get(
+  '/:id',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, STUDENT, ADMIN),
+  asyncHandler(classroomsCtrl.show)
+)
+router.put(
+  '/:id',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, ADMIN),
+  validateClassroom,
+  asyncHandler(classroomsCtrl.update)
+)
+router.delete(
+  '/:id',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(classroomsCtrl.remove)
+)
+
+// Membership routes
+router.post(
+  '/:id/students',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(classroomsCtrl.addStudents)
+)
+router.delete(
+  '/:id/students/:studentId',
+  checkAuth,
+  validateObjectId('id'),
+  validateObjectId('studentId'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(classroomsCtrl.removeStudent)
+)
+router.post(
+  '/:id/teachers',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(classroomsCtrl.addTeacher)
+)
+router.delete(
+  '/:id/teachers/:teacherId',
+  checkAuth,
+  validateObjectId('id'),
+  validateObjectId('teacherId'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(classroomsCtrl.removeTeacher)
+)
+
+// Join code routes
+router.get(
+  '/:id/join-codes',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(joinCodesCtrl.index)
+)
+router.post(
+  '/:id/join-codes',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER),
+  asyncHandler(joinCodesCtrl.create)
+)
+router.delete(
+  '/:id/join-codes/:codeId',
+  checkAuth,
+  validateObjectId('id'),
+  validateObjectId('codeId'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(joinCodesCtrl.revoke)
+)
+router.put(
+  '/:id/join-codes/:codeId/requests/:requestId',
+  checkAuth,
+  validateObjectId('id'),
+  validateObjectId('codeId'),
+  validateObjectId('requestId'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(joinCodesCtrl.decide)
+)
+
+// Reporting and monitoring routes
+router.get(
+  '/:id/progress',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(classroomsCtrl.getProgress)
+)
+router.get(
+  '/:id/speech-sessions',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeClassroom(TEACHER, ADMIN),
+  asyncHandler(classroomsCtrl.getSpeechSessions)
+)
+
+export { router }
@@ -1,6 +1,10 @@
-import { Router } from 'express'
+import express, { Router } from 'express'
 import * as profilesCtrl from '../controllers/profiles.js'
+import * as rosterCtrl from '../controllers/roster.js'
+import * as authCtrl from '../controllers/auth.js'
+import * as groupsCtrl from '../controllers/groups.js'
 import { decodeUserFromToken, checkAuth } from '../middleware/auth.js'
+import { authorizeProfile, RELATIONS } from '../middleware/authorize.js'
 import {
   validateObjectId,
   validatePracticedWord,
@@ -11,6 +15,8 @@ import { asyncHandler } from '../middleware/errorHandler.js'
 
 const router = Router()
 
+const { SELF, TEACHER, PARENT, ADMIN } = RELATIONS
+
 /*------- Protected Routes -------*/
 
 router.use(decodeUserFromToken)
@@ -19,18 +25,21 @@ router.get(
   '/:id',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
   asyncHandler(profilesCtrl.show)
 )
 router.put(
   '/:id',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
   asyncHandler(profilesCtrl.update)
 )
 router.post(
   '/:id/practicedWords',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
   validatePracticedWord,
   asyncHandler(profilesCtrl.addPracticedWord)
 )
@@ -38,23 +47,129 @@ router.put(
   '/:id/practicedWords/:practicedWordId',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
   validateObjectId('practicedWordId'),
   validatePracticedWord,
   asyncHandler(profilesCtrl.updatePracticedWord)
 )
+router.get(
+  '/:id/practice-queue',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
+  asyncHandler(profilesCtrl.getPracticeQueue)
+)
 router.put(
   '/:id/removeStudent/:studentId',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
   validateObjectId('studentId'),
   asyncHandler(profilesCtrl.removeStudentFromProfile)
 )
 
+router.put(
+  '/:id/picture-password',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(TEACHER, ADMIN),
+  asyncHandler(authCtrl.setPicturePassword)
+)
+router.delete(
+  '/:id/picture-password',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(TEACHER, ADMIN),
+  asyncHandler(authCtrl.removePicturePassword)
+)
+router.post(
+  '/:id/unlock',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(TEACHER, ADMIN),
+  asyncHandler(authCtrl.unlockAccount)
+)
+
+// Roster routes
+router.post(
+  '/:id/roster/import',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  asyncHandler(rosterCtrl.importRoster)
+)
+
+// Small group routes
+router.get(
+  '/:id/groups',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  asyncHandler(groupsCtrl.index)
+)
+router.post(
+  '/:id/groups',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  asyncHandler(groupsCtrl.create)
+)
+router.put(
+  '/:id/groups/order',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  asyncHandler(groupsCtrl.reorder)
+)
+router.put(
+  '/:id/groups/:groupId',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  validateObjectId('groupId'),
+  asyncHandler(groupsCtrl.rename)
+)
+router.delete(
+  '/:id/groups/:groupId',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  validateObjectId('groupId'),
+  asyncHandler(groupsCtrl.remove)
+)
+router.post(
+  '/:id/groups/:groupId/students',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  validateObjectId('groupId'),
+  asyncHandler(groupsCtrl.addStudents)
+)
+router.delete(
+  '/:id/groups/:groupId/students/:studentId',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  validateObjectId('groupId'),
+  validateObjectId('studentId'),
+  asyncHandler(groupsCtrl.removeStudent)
+)
+router.post(
+  '/:id/groups/:groupId/common-words',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
+  validateObjectId('groupId'),
+  asyncHandler(groupsCtrl.refreshCommonWords)
+)
+
 // Assessment routes
 router.post(
   '/:id/assessments',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(TEACHER, ADMIN),
   validateAssessment,
   asyncHandler(profilesCtrl.addAssessment)
 )
@@ -62,6 +177,7 @@ router.put(
   '/:id/assessments/:assessmentId',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(TEACHER, ADMIN),
   validateObjectId('assessmentId'),
   validateAssessment,
   asyncHandler(profilesCtrl.updateAssessment)
@@ -70,14 +186,23 @@ router.get(
   '/:id/assessments',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
   asyncHandler(profilesCtrl.getAssessments)
 )
+router.get(
+  '/:id/export',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, ADMIN),
+  asyncHandler(profilesCtrl.exportAssessments)
+)
 
 // Test session routes
 router.post(
   '/:id/testSessions',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(TEACHER, ADMIN),
   validateTestSession,
   asyncHandler(profilesCtrl.addTestSession)
 )
@@ -85,6 +210,7 @@ router.put(
   '/:id/testSessions/:sessionId',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(TEACHER, ADMIN),
   validateTestSession,
   asyncHandler(profilesCtrl.updateTestSession)
 )
@@ -92,6 +218,7 @@ router.get(
   '/:id/testSessions',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
   asyncHandler(profilesCtrl.getTestSessions)
 )
 
@@ -100,14 +227,23 @@ router.get(
   '/:id/progress',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
   asyncHandler(profilesCtrl.getStudentProgress)
 )
+router.get(
+  '/:id/report.pdf',
+  checkAuth,
+  validateObjectId('id'),
+  authorizeProfile(SELF, TEACHER, PARENT, ADMIN),
+  asyncHandler(profilesCtrl.getReportCard)
+)
 
 // Speech recognition monitoring routes
 router.get(
   '/:id/speech-sessions',
   checkAuth,
   validateObjectId('id'),
+  authorizeProfile(SELF, ADMIN),
   asyncHandler(profilesCtrl.getActiveSpeechSessions)
 )
 
@@ -0,0 +1,22 @@
+import { Router } from 'express'
+import * as wordsCtrl from '../controllers/words.js'
+import { validateFryLevel } from '../middleware/validation.js'
+import { asyncHandler } from '../middleware/errorHandler.js'
+
+const router = Router()
+
+/*--------- Public Routes ---------*/
+router.get('/', asyncHandler(wordsCtrl.index))
+router.get('/lookup/:word', asyncHandler(wordsCtrl.lookup))
+router.get(
+  '/levels/:level',
+  validateFryLevel('level'),
+  asyncHandler(wordsCtrl.showLevel)
+)
+router.get(
+  '/levels/:level/lists/:list',
+  validateFryLevel('level'),
+  asyncHandler(wordsCtrl.showList)
+)
+
+export { router }
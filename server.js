@@ -10,6 +10,9 @@ import { router as profilesRouter } from './routes/profiles.js'
 import { router as performanceRouter } from './routes/performance.js'
 import { router as databaseRouter } from './routes/database.js'
 import { router as uxRouter } from './routes/ux.js'
+import { router as wordsRouter } from './routes/words.js'
+import { router as classroomsRouter } from './routes/classrooms.js'
+import { router as auditRouter } from './routes/audit.js'
 
 // import middleware
 import { errorHandler, notFoundHandler } from './middleware/errorHandler.js'
@@ -59,9 +62,12 @@ app.get('/health', (req, res) => {
 // routes
 app.use('/api/auth', authRouter)
 app.use('/api/profiles', profilesRouter)
+app.use('/api/classrooms', classroomsRouter)
 app.use('/api/performance', performanceRouter)
 app.use('/api/database', databaseRouter)
 app.use('/api/ux', uxRouter)
+app.use('/api/words', wordsRouter)
+app.use('/api/audit', auditRouter)
 
 // Error tracking middleware (before error handlers)
 app.use(errorTrackingMiddleware)
@@ -0,0 +1,107 @@
+/**
+ * Assessment Export
+ * Flattens assessments into one row per student per word and writes them
+ * as CSV or XLSX
+ */
+
+import ExcelJS from 'exceljs'
+
+const EXPORT_FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType:
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+}
+
+const EXPORT_COLUMNS = [
+  { key: 'student', header: 'Student', width: 24 },
+  { key: 'word', header: 'Word', width: 14 },
+  { key: 'testType', header: 'Test Type', width: 14 },
+  { key: 'correct', header: 'Correct', width: 10 },
+  { key: 'timeSpent', header: 'Time Spent (ms)', width: 16 },
+  { key: 'attempts', header: 'Attempts', width: 10 },
+  { key: 'date', header: 'Date', width: 22 },
+  { key: 'sessionId', header: 'Session', width: 28 }
+]
+
+/**
+ * Builds one export row per assessed word.
+ * @param {Object[]} assessments - Lean assessments with `profile`.
+ * @param {Map<string, string>} studentNames - Student name by profile id.
+ * @param {Object} [options]
+ * @param {string} [options.word] - Only keep words containing this text.
+ * @returns {Object[]} - Rows keyed by EXPORT_COLUMNS, by student then date.
+ */
+function buildExportRows(assessments, studentNames, { word } = {}) {
+  const wordFilter = word ? String(word).toLowerCase() : null
+  const rows = []
+
+  assessments.forEach((assessment) => {
+    const student = studentNames.get(String(assessment.profile)) || ''
+    const responses = assessment.responses || []
+
+    responses.forEach((response) => {
+      if (wordFilter && !response.word.toLowerCase().includes(wordFilter)) {
+        return
+      }
+
+      rows.push({
+        student,
+        word: response.word,
+        testType: assessment.testType || '',
+        correct: Boolean(response.correct),
+        timeSpent: response.timeSpent ?? null,
+        attempts: response.attempts ?? null,
+        date: assessment.date ? new Date(assessment.date) : null,
+        sessionId: assessment.sessionId || ''
+      })
+    })
+  })
+
+  return rows.sort(
+    (a, b) =>
+      a.student.localeCompare(b.student) || (a.date || 0) - (b.date || 0)
+  )
+}
+
+// Quote fields and stop spreadsheet apps from running cells as formulas
+const toCsvField = (value) => {
+  if (value === null || value === undefined) return ''
+
+  let text = value instanceof Date ? value.toISOString() : String(value)
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+function toCsv(rows) {
+  const lines = [EXPORT_COLUMNS.map(({ header }) => toCsvField(header))]
+
+  rows.forEach((row) => {
+    lines.push(EXPORT_COLUMNS.map(({ key }) => toCsvField(row[key])))
+  })
+
+  return lines.map((fields) => fields.join(',')).join('\r\n') + '\r\n'
+}
+
+async function toXlsx(rows) {
+  const workbook = new ExcelJS.Workbook()
+  const sheet = workbook.addWorksheet('Assessments')
+
+  sheet.columns = EXPORT_COLUMNS
+  sheet.getRow(1).font = { bold: true }
+  sheet.views = [{ state: 'frozen', ySplit: 1 }]
+  sheet.getColumn('date').numFmt = 'yyyy-mm-dd hh:mm'
+  sheet.addRows(rows)
+
+  return Buffer.from(await workbook.xlsx.writeBuffer())
+}
+
+export { EXPORT_FORMATS, EXPORT_COLUMNS, buildExportRows, toCsv, toXlsx }
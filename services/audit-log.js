@@ -0,0 +1,86 @@
+/**
+ * Audit Log
+ * Records who changed a student's grades or account, with a before/after
+ * diff of the fields that changed. Recording never fails the change itself;
+ * errors are logged instead.
+ */
+
+import { AuditLog } from '../models/auditLog.js'
+
+// Never written to the log, only the fact that they changed
+const REDACTED_PATHS = ['password', 'picturePassword']
+const REDACTED = '[redacted]'
+
+const toPlain = (value) => {
+  if (value === undefined) return null
+  return value?.toObject ? value.toObject() : value
+}
+
+const isSameValue = (a, b) =>
+  JSON.stringify(toPlain(a)) === JSON.stringify(toPlain(b))
+
+const redact = (change) =>
+  REDACTED_PATHS.includes(change.path)
+    ? { path: change.path, before: REDACTED, after: REDACTED }
+    : change
+
+/**
+ * Lists the fields that differ between two versions of a record.
+ * @param {Object|null} before - The record before the change.
+ * @param {Object|null} after - The record after the change.
+ * @param {string[]} paths - The fields to compare.
+ * @returns {Object[]} - `{ path, before, after }` for each changed field.
+ */
+function diffFields(before, after, paths) {
+  return paths
+    .filter((path) => !isSameValue(before?.[path], after?.[path]))
+    .map((path) => ({
+      path,
+      before: toPlain(before?.[path]),
+      after: toPlain(after?.[path])
+    }))
+}
+
+/**
+ * The actor fields for an entry, from `req.user` or a socket's user.
+ * @param {Object} user - The authenticated user.
+ * @returns {Object} - `{ user, profile, role }`.
+ */
+const toAuditActor = (user) => ({
+  user: user?._id,
+  profile: user?.profile?._id || user?.profile,
+  role: user?.role
+})
+
+/**
+ * Appends an entry to the audit log. Entries without changes are skipped.
+ * @param {Object} entry - `{ user, action, targetProfile, entity, changes,
+ *   ip }`, where user is the authenticated user making the change.
+ * @returns {Promise<Object|null>} - The entry, or null if none was written.
+ */
+async function recordAudit({
+  user,
+  action,
+  targetProfile,
+  entity,
+  changes,
+  ip
+}) {
+  if (!changes?.length) return null
+
+  try {
+    return await AuditLog.create({
+      actor: toAuditActor(user),
+      action,
+      targetProfile,
+      entity,
+      changes: changes.map(redact),
+      ip
+    })
+  } catch (err) {
+    console.error(`Error recording audit entry ${action}:`, err)
+    return null
+  }
+}
+
+export { diffFields, recordAudit }
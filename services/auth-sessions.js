@@ -0,0 +1,191 @@
+/**
+ * Auth Sessions
+ * Short-lived access tokens backed by revocable sessions with rotating
+ * refresh tokens
+ */
+
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+import { AuthSession } from '../models/authSession.js'
+import {
+  disconnectAuthSession,
+  disconnectUserSockets
+} from '../socket/notifier.js'
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRATION || '15m'
+const REFRESH_TOKEN_TTL_MS =
+  parsePositiveInt(process.env.REFRESH_TOKEN_TTL_DAYS, 30) * 24 * 60 * 60 * 1000
+
+const hashToken = (secret) =>
+  crypto.createHash('sha256').update(secret).digest('hex')
+
+const hashesMatch = (a, b) =>
+  Boolean(a && b) &&
+  a.length === b.length &&
+  crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b))
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const newRefreshSecret = () => crypto.randomBytes(32).toString('base64url')
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || '').split('.')
+  return /^[a-f\d]{24}$/i.test(sessionId) && secret
+    ? { sessionId, secret }
+    : null
+}
+
+// Only what handlers need goes into the token, never the whole user document
+const toTokenUser = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  profile: user.profile,
+  role: user.role
+})
+
+/**
+ * Signs an access token for a session.
+ * @param {Object} user - The user.
+ * @param {string} sessionId - The AuthSession id.
+ * @returns {string} - The JWT.
+ */
+function createAccessToken(user, sessionId) {
+  return jwt.sign(
+    { user: toTokenUser(user), sid: String(sessionId) },
+    process.env.SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  )
+}
+
+/**
+ * Starts a session for a user who just signed in.
+ * @param {Object} user - The user.
+ * @param {Object} [req] - The request, for the device's user agent and ip.
+ * @returns {Promise<Object>} - `{ token, refreshToken }`.
+ */
+async function createSession(user, req) {
+  const secret = newRefreshSecret()
+  const session = await AuthSession.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+    userAgent: req?.get?.('User-Agent'),
+    ip: req?.ip
+  })
+
+  return {
+    token: createAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  }
+}
+
+/**
+ * Exchanges a refresh token for a new access and refresh token. Presenting
+ * an already rotated refresh token revokes the session, since it means the
+ * token was copied.
+ * @param {string} refreshToken - The refresh token.
+ * @param {Function} loadUser - Resolves the session's user by id.
+ * @returns {Promise<Object|null>} - `{ token, refreshToken }`, or null.
+ */
+async function rotateSession(refreshToken, loadUser) {
+  const parsed = parseRefreshToken(refreshToken)
+  if (!parsed) return null
+
+  const session = await AuthSession.findById(parsed.sessionId)
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null
+  }
+
+  const presentedHash = hashToken(parsed.secret)
+  if (!hashesMatch(presentedHash, session.refreshTokenHash)) {
+    if (hashesMatch(presentedHash, session.previousRefreshTokenHash)) {
+      await revokeSession(session._id, 'refresh_token_reused')
+    }
+    return null
+  }
+
+  const user = await loadUser(session.user)
+  if (!user) {
+    await revokeSession(session._id, 'user_deleted')
+    return null
+  }
+
+  // Conditional on the current hash so two concurrent refreshes can't both win
+  const secret = newRefreshSecret()
+  const rotated = await AuthSession.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        previousRefreshTokenHash: presentedHash,
+        expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS),
+        lastUsedAt: new Date()
+      }
+    }
+  )
+  if (!rotated) return null
+
+  return {
+    token: createAccessToken(user, session._id),
+    refreshToken: `${session._id}.${secret}`
+  }
+}
+
+/**
+ * Whether an access token's session is still live: not revoked and not past
+ * its refresh window.
+ * @param {string} sessionId - The AuthSession id from the token.
+ * @returns {Promise<boolean>}
+ */
+async function isSessionActive(sessionId) {
+  return Boolean(
+    await AuthSession.exists({
+      _id: sessionId,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    })
+  )
+}
+
+/**
+ * Revokes one session and drops the sockets it opened.
+ * @param {string} sessionId - The AuthSession id.
+ * @param {string} [reason] - Why, for auditing.
+ */
+async function revokeSession(sessionId, reason = 'logout') {
+  await AuthSession.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  )
+  disconnectAuthSession(sessionId)
+}
+
+/**
+ * Revokes every live session of a user and drops their sockets.
+ * @param {string} userId - The user's id.
+ * @param {string} [reason] - Why, for auditing.
+ * @returns {Promise<number>} - Number of sessions revoked.
+ */
+async function revokeUserSessions(userId, reason = 'logout_all') {
+  const result = await AuthSession.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  )
+  disconnectUserSockets(userId)
+
+  return result.modifiedCount
+}
+
+export {
+  createAccessToken,
+  createSession,
+  rotateSession,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions
+}
@@ -0,0 +1,115 @@
+/**
+ * Fry Word Catalog
+ * Canonical lookup for the 1,000 Fry words by level, 25-word list and rank
+ */
+
+import { FRY_LEVELS } from '../data/fry-words.js'
+
+const LEVEL_COUNT = FRY_LEVELS.length
+const WORDS_PER_LEVEL = 100
+const WORDS_PER_LIST = 25
+const LISTS_PER_LEVEL = WORDS_PER_LEVEL / WORDS_PER_LIST
+
+// Curly apostrophes from mobile keyboards and speech engines map to "'"
+const normalizeWord = (word) =>
+  typeof word === 'string'
+    ? word.trim().replace(/[‘’]/g, "'").toLowerCase()
+    : ''
+
+const buildEntry = (word, levelIndex, wordIndex) => ({
+  word,
+  rank: levelIndex * WORDS_PER_LEVEL + wordIndex + 1,
+  level: levelIndex + 1,
+  list: Math.floor(wordIndex / WORDS_PER_LIST) + 1
+})
+
+const wordIndex = new Map()
+FRY_LEVELS.forEach((levelWords, levelIndex) => {
+  levelWords.forEach((word, index) => {
+    wordIndex.set(normalizeWord(word), buildEntry(word, levelIndex, index))
+  })
+})
+
+const isValidLevel = (level) =>
+  Number.isInteger(level) && level >= 1 && level <= LEVEL_COUNT
+
+const isValidList = (list) =>
+  Number.isInteger(list) && list >= 1 && list <= LISTS_PER_LEVEL
+
+/**
+ * Look up a word in the catalog.
+ * @param {string} word - The word to look up (case-insensitive).
+ * @returns {Object|null} - `{ word, rank, level, list }` or null when not a Fry word.
+ */
+function lookupWord(word) {
+  return wordIndex.get(normalizeWord(word)) || null
+}
+
+function isFryWord(word) {
+  return wordIndex.has(normalizeWord(word))
+}
+
+/**
+ * Returns the words in the given list that are not part of the catalog.
+ * @param {string[]} words - Words to check.
+ * @returns {string[]} - Unknown words, in input order.
+ */
+function findUnknownWords(words = []) {
+  return words.filter((word) => !isFryWord(word))
+}
+
+function getLevelWords(level) {
+  return isValidLevel(level) ? [...FRY_LEVELS[level - 1]] : null
+}
+
+function getListWords(level, list) {
+  if (!isValidLevel(level) || !isValidList(list)) return null
+
+  const start = (list - 1) * WORDS_PER_LIST
+  return FRY_LEVELS[level - 1].slice(start, start + WORDS_PER_LIST)
+}
+
+function getLevel(level) {
+  if (!isValidLevel(level)) return null
+
+  return {
+    level,
+    firstRank: (level - 1) * WORDS_PER_LEVEL + 1,
+    lastRank: level * WORDS_PER_LEVEL,
+    words: getLevelWords(level),
+    lists: Array.from({ length: LISTS_PER_LEVEL }, (_, index) => ({
+      list: index + 1,
+      words: getListWords(level, index + 1)
+    }))
+  }
+}
+
+function getCatalogSummary() {
+  return {
+    totalWords: wordIndex.size,
+    wordsPerLevel: WORDS_PER_LEVEL,
+    wordsPerList: WORDS_PER_LIST,
+    levels: FRY_LEVELS.map((levelWords, index) => ({
+      level: index + 1,
+      wordCount: levelWords.length,
+      listCount: LISTS_PER_LEVEL
+    }))
+  }
+}
+
+export {
+  LEVEL_COUNT,
+  WORDS_PER_LEVEL,
+  WORDS_PER_LIST,
+  LISTS_PER_LEVEL,
+  normalizeWord,
+  isValidLevel,
+  isValidList,
+  lookupWord,
+  isFryWord,
+  findUnknownWords,
+  getLevelWords,
+  getListWords,
+  getLevel,
+  getCatalogSummary
+}
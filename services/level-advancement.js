@@ -0,0 +1,176 @@
+/**
+ * Level Advancement
+ * Mastery rules that promote autoAdvance students to the next Fry level
+ */
+
+import { Profile } from '../models/profile.js'
+import { Assessment } from '../models/assessment.js'
+import { LEVEL_COUNT, getLevelWords, normalizeWord } from './fry-catalog.js'
+import { emitToProfiles } from '../socket/notifier.js'
+import { findTeacherProfileIds } from './teacher-students.js'
+
+const parseNumber = (value, fallback) => {
+  const parsed = Number(value)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback
+}
+
+// Defaults can be tuned per deployment without code changes
+const MASTERY_RULES = {
+  // Share of the current level's words that must be mastered (0-1)
+  levelThreshold: Math.min(
+    1,
+    parseNumber(process.env.AUTO_ADVANCE_THRESHOLD, 0.8)
+  ),
+  // Consecutive correct practice answers that count as mastery
+  masteryStreak: parseNumber(process.env.AUTO_ADVANCE_MASTERY_STREAK, 3),
+  // Assessment accuracy and minimum attempts that count as mastery
+  assessmentAccuracy: Math.min(
+    1,
+    parseNumber(process.env.AUTO_ADVANCE_ASSESSMENT_ACCURACY, 0.8)
+  ),
+  assessmentMinAttempts: parseNumber(
+    process.env.AUTO_ADVANCE_ASSESSMENT_MIN_ATTEMPTS,
+    2
+  )
+}
+
+const PROFILE_FIELDS = 'name role autoAdvance currentLevel practicedWords'
+
+/**
+ * Returns the set of (normalized) words the student has mastered.
+ * @param {Object} profile - Profile with practicedWords.
+ * @param {Object[]} assessments - The student's assessments.
+ * @param {Object} [rules] - Mastery rules.
+ * @returns {Set<string>} - Mastered words.
+ */
+function getMasteredWords(profile, assessments = [], rules = MASTERY_RULES) {
+  const mastered = new Set()
+  const practicedWords = profile.practicedWords || []
+
+  practicedWords.forEach((practicedWord) => {
+    if (
+      practicedWord.mastered ||
+      (practicedWord.streak || 0) >= rules.masteryStreak
+    ) {
+      mastered.add(normalizeWord(practicedWord.word))
+    }
+  })
+
+  const assessmentStats = new Map()
+  assessments.forEach((assessment) => {
+    const responses = assessment.responses || []
+    responses.forEach((response) => {
+      const word = normalizeWord(response.word)
+      const stats = assessmentStats.get(word) || { attempts: 0, correct: 0 }
+      stats.attempts++
+      if (response.correct) stats.correct++
+      assessmentStats.set(word, stats)
+    })
+  })
+
+  assessmentStats.forEach((stats, word) => {
+    if (
+      stats.attempts >= rules.assessmentMinAttempts &&
+      stats.correct / stats.attempts >= rules.assessmentAccuracy
+    ) {
+      mastered.add(word)
+    }
+  })
+
+  return mastered
+}
+
+/**
+ * Summarizes the student's mastery of their current level.
+ * @param {Object} profile - Student profile.
+ * @param {Object[]} assessments - The student's assessments.
+ * @param {Object} [rules] - Mastery rules.
+ * @returns {Object} - `{ level, masteredCount, levelWordCount, ratio, eligible }`.
+ */
+function getLevelMastery(profile, assessments = [], rules = MASTERY_RULES) {
+  const level = profile.currentLevel || 1
+  const levelWords = getLevelWords(level) || []
+  const mastered = getMasteredWords(profile, assessments, rules)
+  const masteredCount = levelWords.filter((word) =>
+    mastered.has(normalizeWord(word))
+  ).length
+  const ratio = levelWords.length ? masteredCount / levelWords.length : 0
+
+  return {
+    level,
+    masteredCount,
+    levelWordCount: levelWords.length,
+    ratio,
+    eligible: level < LEVEL_COUNT && ratio >= rules.levelThreshold
+  }
+}
+
+const notifyLevelAdvanced = async (profile, event) => {
+  const teacherIds = await findTeacherProfileIds(profile._id)
+
+  emitToProfiles([profile._id, ...teacherIds], 'level_advanced', {
+    profileId: profile._id,
+    studentName: profile.name,
+    ...event
+  })
+}
+
+/**
+ * Promotes an autoAdvance student when they have mastered enough of their
+ * current level. Safe to call after any write that affects mastery; errors
+ * are logged rather than thrown so the caller's response is unaffected.
+ * @param {Object|string} profileOrId - Profile document or profile id.
+ * @returns {Promise<Object|null>} - The promotion event, or null.
+ */
+async function checkLevelAdvancement(profileOrId) {
+  try {
+    const profile =
+      typeof profileOrId === 'object' && profileOrId?.practicedWords
+        ? profileOrId
+        : await Profile.findById(profileOrId).select(PROFILE_FIELDS)
+
+    if (!profile?.autoAdvance || profile.role !== 'student') return null
+
+    const assessments = await Assessment.find({ profile: profile._id })
+      .select('responses')
+      .lean()
+
+    const mastery = getLevelMastery(profile, assessments)
+    if (!mastery.eligible) return null
+
+    const event = {
+      fromLevel: mastery.level,
+      toLevel: mastery.level + 1,
+      masteredCount: mastery.masteredCount,
+      levelWordCount: mastery.levelWordCount,
+      threshold: MASTERY_RULES.levelThreshold,
+      reason: 'auto-advance',
+      date: new Date()
+    }
+
+    // Guard on the current level so concurrent writes promote only once
+    const promoted = await Profile.findOneAndUpdate(
+      { _id: profile._id, currentLevel: mastery.level },
+      {
+        $set: { currentLevel: event.toLevel },
+        $push: { levelHistory: event }
+      },
+      { new: true }
+    )
+
+    if (!promoted) return null
+
+    await notifyLevelAdvanced(profile, event)
+    return event
+  } catch (err) {
+    console.error('Level advancement error:', err)
+    return null
+  }
+}
+
+export {
+  MASTERY_RULES,
+  getMasteredWords,
+  getLevelMastery,
+  checkLevelAdvancement
+}
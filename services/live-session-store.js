@@ -0,0 +1,148 @@
+/**
+ * Live Session Store
+ * Persists in-memory live test sessions to the LiveTestSession collection
+ */
+
+import { LiveTestSession } from '../models/liveTestSession.js'
+
+const toIdStrings = (ids) => [...ids].filter(Boolean).map(String)
+
+/**
+ * Converts an in-memory session (Sets and Maps) into a LiveTestSession doc.
+ * @param {Object} session - The in-memory session.
+ * @returns {Object} - Plain document fields.
+ */
+function serializeSession(session) {
+  const responses = []
+  session.participants.forEach((participantState, studentId) => {
+    participantState.responsesByWord.forEach((response, word) => {
+      responses.push({ ...response, studentId, word })
+    })
+  })
+
+  return {
+    sessionId: session.sessionId,
+    room: session.room,
+    teacherProfileId: session.teacherProfileId,
+    groupId: session.groupId || null,
+    testType: session.testType,
+    fryLevel: session.fryLevel,
+    wordsToTest: session.wordsToTest,
+    currentWord: session.currentWord || null,
+    currentSequence: session.currentSequence || 0,
+    settings: session.settings || null,
+    timeLimit: session.timeLimit || null,
+    autoAdvance: Boolean(session.autoAdvance),
+    wordStartedAt: session.wordStartedAt || null,
+    wordPausedMs: session.wordPausedMs || 0,
+    pausedAt: session.pausedAt || null,
+    pausedMs: session.pausedMs || 0,
+    wordOrder: session.wordOrder || 'ordered',
+    wordQueue: session.wordQueue || [],
+    queueCursor: session.queueCursor ?? -1,
+    requeuedWords: session.requeuedWords || [],
+    skippedWords: session.skippedWords || [],
+    participantProfileIds: toIdStrings(session.participantProfileIds),
+    persistedParticipants: toIdStrings(session.persistedParticipants),
+    responses,
+    startTime: session.startTime,
+    lastActivity: session.lastActivity || new Date(),
+    status: 'active'
+  }
+}
+
+/**
+ * Rebuilds an in-memory session from a stored LiveTestSession document.
+ * @param {Object} doc - The stored document (lean).
+ * @returns {Object} - The in-memory session.
+ */
+function deserializeSession(doc) {
+  const participants = new Map()
+  const participantProfileIds = toIdStrings(doc.participantProfileIds || [])
+
+  participantProfileIds.forEach((profileId) => {
+    participants.set(profileId, { responsesByWord: new Map() })
+  })
+
+  const responses = doc.responses || []
+  responses.forEach((response) => {
+    const studentId = String(response.studentId)
+    if (!participants.has(studentId)) {
+      participants.set(studentId, { responsesByWord: new Map() })
+    }
+
+    participants
+      .get(studentId)
+      .responsesByWord.set(response.word, { ...response, studentId })
+  })
+
+  return {
+    sessionId: doc.sessionId,
+    room: doc.room,
+    teacherProfileId: doc.teacherProfileId
+      ? String(doc.teacherProfileId)
+      : null,
+    groupId: doc.groupId ? String(doc.groupId) : null,
+    testType: doc.testType,
+    fryLevel: doc.fryLevel,
+    wordsToTest: [...(doc.wordsToTest || [])],
+    currentWord: doc.currentWord || null,
+    currentSequence: doc.currentSequence || 0,
+    settings: doc.settings || null,
+    timeLimit: doc.timeLimit || null,
+    autoAdvance: Boolean(doc.autoAdvance),
+    wordStartedAt: doc.wordStartedAt || null,
+    wordPausedMs: doc.wordPausedMs || 0,
+    pausedAt: doc.pausedAt || null,
+    pausedMs: doc.pausedMs || 0,
+    // Sessions stored before the queue existed start it from the word list
+    wordOrder: doc.wordOrder || 'ordered',
+    wordQueue: [
+      ...(doc.wordQueue?.length ? doc.wordQueue : doc.wordsToTest || [])
+    ],
+    queueCursor: doc.queueCursor ?? -1,
+    requeuedWords: [...(doc.requeuedWords || [])],
+    skippedWords: [...(doc.skippedWords || [])],
+    startTime: doc.startTime,
+    lastActivity: doc.lastActivity,
+    participantProfileIds: new Set(participantProfileIds),
+    persistedParticipants: new Set(
+      toIdStrings(doc.persistedParticipants || [])
+    ),
+    participants
+  }
+}
+
+/**
+ * Writes the current state of a live session. Marks activity as now.
+ * @param {Object} session - The in-memory session.
+ */
+async function saveLiveSession(session) {
+  session.lastActivity = new Date()
+
+  await LiveTestSession.findOneAndUpdate(
+    { sessionId: session.sessionId },
+    serializeSession(session),
+    { upsert: true, setDefaultsOnInsert: true }
+  )
+}
+
+async function closeLiveSession(sessionId, status, endTime = new Date()) {
+  await LiveTestSession.findOneAndUpdate(
+    { sessionId },
+    { $set: { status, endTime } }
+  )
+}
+
+async function loadActiveLiveSessions() {
+  const docs = await LiveTestSession.find({ status: 'active' }).lean()
+  return docs.map(deserializeSession)
+}
+
+export {
+  serializeSession,
+  deserializeSession,
+  saveLiveSession,
+  closeLiveSession,
+  loadActiveLiveSessions
+}
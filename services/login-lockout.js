@@ -0,0 +1,238 @@
+/**
+ * Login Lockout
+ * Brute-force protection for every way of signing in (text or picture
+ * password). Each failed login makes the account wait exponentially longer
+ * before the next try, and too many in a row lock it for a while. Failures
+ * are also counted per IP address, in memory, to slow down guessing across
+ * many accounts.
+ */
+
+import { User } from '../models/user.js'
+import { findTeacherProfileIds } from './teacher-students.js'
+import { emitToProfiles } from '../socket/notifier.js'
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+const MAX_FAILED_LOGINS = parsePositiveInt(process.env.LOGIN_MAX_ATTEMPTS, 5)
+const LOCKOUT_MS = parsePositiveInt(
+  process.env.LOGIN_LOCKOUT_MS,
+  15 * 60 * 1000
+)
+const BACKOFF_BASE_MS = parsePositiveInt(
+  process.env.LOGIN_BACKOFF_BASE_MS,
+  1000
+)
+
+// A whole school often shares one address, so the per-IP limits are loose
+const IP_MAX_FAILURES = parsePositiveInt(process.env.LOGIN_IP_MAX_ATTEMPTS, 50)
+const IP_BACKOFF_AFTER = parsePositiveInt(
+  process.env.LOGIN_IP_BACKOFF_AFTER,
+  20
+)
+const IP_WINDOW_MS = parsePositiveInt(
+  process.env.LOGIN_IP_WINDOW_MS,
+  15 * 60 * 1000
+)
+const MAX_TRACKED_IPS = 10000
+
+// Fields that clear every failure and lock on a user
+const LOGIN_FAILURES_CLEARED = {
+  failedLoginAttempts: 0,
+  lockedUntil: null,
+  loginBackoffUntil: null
+}
+
+// ip -> { count, windowStart, lastFailureAt }
+const ipFailures = new Map()
+
+// Delay after the nth failure in a row: base, 2 x base, 4 x base...
+const backoffMs = (failures) =>
+  failures > 0 ? Math.min(BACKOFF_BASE_MS * 2 ** (failures - 1), LOCKOUT_MS) : 0
+
+const secondsUntil = (date, now) =>
+  date && new Date(date) > now ? Math.ceil((new Date(date) - now) / 1000) : 0
+
+const getIpEntry = (ip, now) => {
+  const entry = ipFailures.get(ip)
+  if (entry && now - entry.windowStart > IP_WINDOW_MS) {
+    ipFailures.delete(ip)
+    return null
+  }
+
+  return entry || null
+}
+
+const pruneIpFailures = (now) => {
+  ipFailures.forEach((entry, ip) => {
+    if (now - entry.windowStart > IP_WINDOW_MS) ipFailures.delete(ip)
+  })
+
+  // Still too many: drop the oldest windows first
+  const excess = ipFailures.size - MAX_TRACKED_IPS
+  if (excess > 0) {
+    const oldest = [...ipFailures.keys()].slice(0, excess)
+    oldest.forEach((ip) => ipFailures.delete(ip))
+  }
+}
+
+function recordIpFailure(ip, now = Date.now()) {
+  if (!ip) return
+
+  const entry = getIpEntry(ip, now) || { count: 0, windowStart: now }
+  entry.count++
+  entry.lastFailureAt = now
+  ipFailures.set(ip, entry)
+
+  if (ipFailures.size > MAX_TRACKED_IPS) pruneIpFailures(now)
+}
+
+/**
+ * Whether an IP address must wait before trying to log in again.
+ * @param {string} ip - The client's address.
+ * @param {number} [now] - The current time in ms.
+ * @returns {Object|null} - `{ status, err, retryAfter }`, or null.
+ */
+function getIpBlock(ip, now = Date.now()) {
+  const entry = ip ? getIpEntry(ip, now) : null
+  if (!entry) return null
+
+  if (entry.count >= IP_MAX_FAILURES) {
+    return {
+      status: 429,
+      err: 'Too many failed logins from this network, try again later',
+      retryAfter: Math.ceil((entry.windowStart + IP_WINDOW_MS - now) / 1000)
+    }
+  }
+
+  const waitUntil =
+    entry.lastFailureAt + backoffMs(entry.count - IP_BACKOFF_AFTER + 1)
+  if (entry.count >= IP_BACKOFF_AFTER && waitUntil > now) {
+    return {
+      status: 429,
+      err: 'Too many failed logins, wait before trying again',
+      retryAfter: Math.ceil((waitUntil - now) / 1000)
+    }
+  }
+
+  return null
+}
+
+/**
+ * Whether an account is locked or still backing off.
+ * @param {Object} user - The user.
+ * @param {Date} [now] - The current time.
+ * @returns {Object|null} - `{ status, err, retryAfter }`, or null.
+ */
+function getAccountBlock(user, now = new Date()) {
+  const lockedFor = secondsUntil(user?.lockedUntil, now)
+  if (lockedFor) {
+    return {
+      status: 423,
+      err: 'Too many failed attempts, try again later',
+      retryAfter: lockedFor
+    }
+  }
+
+  const backoffFor = secondsUntil(user?.loginBackoffUntil, now)
+  if (backoffFor) {
+    return {
+      status: 429,
+      err: 'Too many failed logins, wait before trying again',
+      retryAfter: backoffFor
+    }
+  }
+
+  return null
+}
+
+// Tells a student's teachers on the presence socket
+async function notifyStudentLocked(user, lockedUntil) {
+  if (user.role !== 'student' || !user.profile) return
+
+  const teacherIds = await findTeacherProfileIds(user.profile)
+  emitToProfiles(teacherIds, 'student_account_locked', {
+    profileId: user.profile,
+    studentName: user.name,
+    lockedUntil
+  })
+}
+
+/**
+ * Counts a failed login against the IP address and, when the account is
+ * known, against the account. Locks the account once the limit is reached.
+ * @param {Object|null} user - The user, or null for an unknown name.
+ * @param {string} ip - The client's address.
+ * @returns {Promise<Object|null>} - The block the account is now under.
+ */
+async function recordFailedLogin(user, ip) {
+  recordIpFailure(ip)
+  if (!user) return null
+
+  const now = new Date()
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  )
+  if (!updated) return null
+
+  if (updated.failedLoginAttempts >= MAX_FAILED_LOGINS) {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS)
+    await User.findByIdAndUpdate(user._id, {
+      $set: { ...LOGIN_FAILURES_CLEARED, lockedUntil }
+    })
+    await notifyStudentLocked(user, lockedUntil)
+
+    return getAccountBlock({ lockedUntil }, now)
+  }
+
+  const loginBackoffUntil = new Date(
+    now.getTime() + backoffMs(updated.failedLoginAttempts)
+  )
+  await User.findByIdAndUpdate(user._id, { $set: { loginBackoffUntil } })
+
+  return null
+}
+
+/**
+ * Clears the failure count after a successful login. IP failures are kept,
+ * so one good login can't reset a guessing run.
+ * @param {Object} user - The user.
+ */
+async function recordSuccessfulLogin(user) {
+  if (
+    !user.failedLoginAttempts &&
+    !user.lockedUntil &&
+    !user.loginBackoffUntil
+  ) {
+    return
+  }
+
+  await User.findByIdAndUpdate(user._id, { $set: LOGIN_FAILURES_CLEARED })
+}
+
+/**
+ * Sends the response for a blocked login, with a Retry-After header.
+ * @param {Object} res - The response object.
+ * @param {Object} block - From getIpBlock, getAccountBlock or
+ *   recordFailedLogin.
+ */
+function sendLoginBlocked(res, { status, err, retryAfter }) {
+  res
+    .status(status)
+    .set('Retry-After', String(retryAfter))
+    .json({ err, retryAfter })
+}
+
+export {
+  MAX_FAILED_LOGINS,
+  LOGIN_FAILURES_CLEARED,
+  getIpBlock,
+  getAccountBlock,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  sendLoginBlocked
+}
@@ -0,0 +1,119 @@
+/**
+ * Mailer
+ * Sends email through a pluggable transport. Built in: `console` (logs the
+ * message) and `file` (writes one JSON file per message), so mail can be
+ * read locally without an SMTP server. Other transports (SMTP, an email API)
+ * plug in with registerMailTransport or setMailTransport.
+ *
+ * A transport is any object with `async send(message)`, where message is
+ * `{ from, to, subject, text, html }`.
+ */
+
+import fs from 'fs/promises'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+
+const DEFAULT_FROM = 'Fry Diagnosis Tool <no-reply@localhost>'
+
+const transportFactories = new Map([
+  [
+    'console',
+    () => ({
+      async send(message) {
+        console.log(
+          `📧 Mail to ${message.to}: ${message.subject}\n${message.text}`
+        )
+        return { transport: 'console' }
+      }
+    })
+  ],
+  [
+    'file',
+    (options = {}) => {
+      const dir =
+        options.dir ||
+        process.env.MAIL_FILE_DIR ||
+        path.join(os.tmpdir(), 'fry-mail')
+
+      return {
+        async send(message) {
+          await fs.mkdir(dir, { recursive: true })
+          const file = path.join(
+            dir,
+            `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`
+          )
+          await fs.writeFile(file, JSON.stringify(message, null, 2))
+          return { transport: 'file', file }
+        }
+      }
+    }
+  ]
+])
+
+let activeTransport = null
+
+/**
+ * Adds a named transport that MAIL_TRANSPORT can select.
+ * @param {string} name - The transport name.
+ * @param {Function} factory - Builds the transport from options.
+ */
+function registerMailTransport(name, factory) {
+  transportFactories.set(name, factory)
+  activeTransport = null
+}
+
+/**
+ * Builds a transport by name.
+ * @param {string} name - A registered transport name.
+ * @param {Object} [options] - Passed to the transport factory.
+ * @returns {Object} - The transport.
+ */
+function createMailTransport(name, options) {
+  const factory = transportFactories.get(name)
+  if (!factory) {
+    throw new Error(`Unknown mail transport: ${name}`)
+  }
+
+  return factory(options)
+}
+
+/**
+ * Uses the given transport for every message from now on (null restores
+ * the MAIL_TRANSPORT default).
+ * @param {Object|null} transport - An object with `send(message)`.
+ */
+function setMailTransport(transport) {
+  activeTransport = transport
+}
+
+function getMailTransport() {
+  if (!activeTransport) {
+    activeTransport = createMailTransport(
+      process.env.MAIL_TRANSPORT || 'console'
+    )
+  }
+
+  return activeTransport
+}
+
+/**
+ * Sends one email.
+ * @param {Object} message - `{ to, subject, text, html }`; `from` defaults
+ *   to MAIL_FROM.
+ * @returns {Promise<Object>} - Whatever the transport reports.
+ */
+async function sendMail(message) {
+  return getMailTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message
+  })
+}
+
+export {
+  registerMailTransport,
+  createMailTransport,
+  setMailTransport,
+  getMailTransport,
+  sendMail
+}
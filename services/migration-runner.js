@@ -0,0 +1,196 @@
+/**
+ * Migration Runner
+ * Applies the ordered scripts in migrations/ and records them in the
+ * `migrations` collection
+ */
+
+import fs from 'fs/promises'
+import path from 'path'
+import { fileURLToPath, pathToFileURL } from 'url'
+
+const MIGRATIONS_DIR = fileURLToPath(new URL('../migrations/', import.meta.url))
+const MIGRATIONS_COLLECTION = 'migrations'
+
+// e.g. 001-extract-assessments-and-test-sessions.js
+const MIGRATION_FILE_PATTERN = /^(\d{3})-[a-z0-9-]+\.js$/
+
+// The new script's doc comment starts from its description, e.g.
+// 'add-school-settings' -> 'Add school settings.'
+const buildMigrationTemplate = (slug) => {
+  const summary = slug.replace(/-/g, ' ')
+
+  return `/**
+ * ${summary.charAt(0).toUpperCase()}${summary.slice(1)}.
+ * Must be safe to re-run: check before writing.
+ */
+
+async function up(db) {}
+
+async function down(db) {}
+
+export { up, down }
+`
+}
+
+const getAppliedCollection = (db) => db.collection(MIGRATIONS_COLLECTION)
+
+/**
+ * Loads every migration script, ordered by its numeric prefix.
+ * @param {string} [dir] - Directory holding the migration scripts.
+ * @returns {Promise<Object[]>} - `{ name, up, down }` for each script.
+ */
+async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const files = (await fs.readdir(dir))
+    .filter((file) => MIGRATION_FILE_PATTERN.test(file))
+    .sort()
+
+  const migrations = []
+  for (const file of files) {
+    const module = await import(pathToFileURL(path.join(dir, file)).href)
+
+    if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+      throw new Error(`Migration ${file} must export up and down functions`)
+    }
+
+    migrations.push({
+      name: path.basename(file, '.js'),
+      up: module.up,
+      down: module.down
+    })
+  }
+
+  return migrations
+}
+
+/**
+ * Lists every migration with whether it has been applied.
+ * @param {Object} db - Native MongoDB database handle.
+ * @param {Object[]} migrations - Loaded migrations.
+ * @returns {Promise<Object[]>} - `{ name, applied, appliedAt }` in order.
+ */
+async function getMigrationStatus(db, migrations) {
+  const applied = await getAppliedCollection(db).find({}).toArray()
+  const appliedByName = new Map(applied.map((record) => [record._id, record]))
+
+  return migrations.map(({ name }) => ({
+    name,
+    applied: appliedByName.has(name),
+    appliedAt: appliedByName.get(name)?.appliedAt || null
+  }))
+}
+
+async function getPendingMigrations(db, migrations) {
+  const status = await getMigrationStatus(db, migrations)
+  const pending = new Set(
+    status.filter((entry) => !entry.applied).map((entry) => entry.name)
+  )
+
+  return migrations.filter(({ name }) => pending.has(name))
+}
+
+/**
+ * Applies pending migrations in order, stopping at the first failure.
+ * @param {Object} db - Native MongoDB database handle.
+ * @param {Object[]} migrations - Loaded migrations.
+ * @param {Object} [options]
+ * @param {string} [options.to] - Last migration to apply (inclusive).
+ * @returns {Promise<string[]>} - Names of the migrations applied.
+ */
+async function migrateUp(db, migrations, { to } = {}) {
+  const targetIndex = to
+    ? migrations.findIndex(({ name }) => name === to)
+    : migrations.length - 1
+  if (targetIndex === -1) {
+    throw new Error(`Unknown migration: ${to}`)
+  }
+
+  // Nothing after the target runs, even when the target is already applied
+  const upToTarget = new Set(
+    migrations.slice(0, targetIndex + 1).map(({ name }) => name)
+  )
+  const pending = (await getPendingMigrations(db, migrations)).filter(
+    ({ name }) => upToTarget.has(name)
+  )
+  const applied = []
+
+  for (const migration of pending) {
+    const startedAt = Date.now()
+    const result = await migration.up(db)
+
+    await getAppliedCollection(db).insertOne({
+      _id: migration.name,
+      appliedAt: new Date(),
+      durationMs: Date.now() - startedAt,
+      result: result ?? null
+    })
+    applied.push(migration.name)
+  }
+
+  return applied
+}
+
+/**
+ * Reverts the most recently applied migrations, newest first.
+ * @param {Object} db - Native MongoDB database handle.
+ * @param {Object[]} migrations - Loaded migrations.
+ * @param {Object} [options]
+ * @param {number} [options.steps=1] - How many migrations to revert.
+ * @returns {Promise<string[]>} - Names of the migrations reverted.
+ */
+async function migrateDown(db, migrations, { steps = 1 } = {}) {
+  const status = await getMigrationStatus(db, migrations)
+  const appliedNames = new Set(
+    status.filter((entry) => entry.applied).map((entry) => entry.name)
+  )
+  const toRevert = migrations
+    .filter(({ name }) => appliedNames.has(name))
+    .reverse()
+    .slice(0, steps)
+
+  const reverted = []
+  for (const migration of toRevert) {
+    await migration.down(db)
+    await getAppliedCollection(db).deleteOne({ _id: migration.name })
+    reverted.push(migration.name)
+  }
+
+  return reverted
+}
+
+/**
+ * Writes an empty migration script numbered after the existing ones.
+ * @param {string} description - Short description used in the file name.
+ * @param {string} [dir] - Directory holding the migration scripts.
+ * @returns {Promise<string>} - Path of the new file.
+ */
+async function createMigration(description, dir = MIGRATIONS_DIR) {
+  const slug = String(description || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+
+  if (!slug) {
+    throw new Error('A migration description is required')
+  }
+
+  const numbers = (await fs.readdir(dir))
+    .map((file) => MIGRATION_FILE_PATTERN.exec(file)?.[1])
+    .filter(Boolean)
+    .map(Number)
+  const next = String(Math.max(0, ...numbers) + 1).padStart(3, '0')
+
+  const filePath = path.join(dir, `${next}-${slug}.js`)
+  await fs.writeFile(filePath, buildMigrationTemplate(slug), { flag: 'wx' })
+  return filePath
+}
+
+export {
+  MIGRATIONS_DIR,
+  MIGRATIONS_COLLECTION,
+  loadMigrations,
+  getMigrationStatus,
+  getPendingMigrations,
+  migrateUp,
+  migrateDown,
+  createMigration
+}
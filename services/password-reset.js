@@ -0,0 +1,123 @@
+/**
+ * Password Reset
+ * Single-use, expiring reset tokens for teachers and parents, delivered by
+ * email
+ */
+
+import crypto from 'crypto'
+import { User } from '../models/user.js'
+import { PasswordReset } from '../models/passwordReset.js'
+import { sendMail } from './mailer.js'
+import { revokeUserSessions } from './auth-sessions.js'
+import { LOGIN_FAILURES_CLEARED } from './login-lockout.js'
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+const RESET_TOKEN_TTL_MINUTES = parsePositiveInt(
+  process.env.PASSWORD_RESET_TTL_MINUTES,
+  60
+)
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex')
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        '&': '&amp;',
+        '<': '&lt;',
+        '>': '&gt;',
+        '"': '&quot;',
+        "'": '&#39;'
+      }[char])
+  )
+
+const buildResetLink = (token) =>
+  `${
+    process.env.CLIENT_URL || 'http://localhost:3001'
+  }/reset-password?token=${token}`
+
+/**
+ * Emails a reset link if a teacher or parent account uses this address.
+ * Student accounts share their parent's email and are reset by a teacher,
+ * so they are never matched. Earlier unused tokens stop working.
+ * @param {string} email - The address the user typed.
+ * @param {Object} [req] - The request, for the requesting ip.
+ * @returns {Promise<boolean>} - Whether an email was sent.
+ */
+async function requestPasswordReset(email, req) {
+  const user = await User.findOne({
+    email: String(email).trim().toLowerCase(),
+    role: { $ne: 'student' }
+  })
+  if (!user) return false
+
+  await PasswordReset.deleteMany({ user: user._id, usedAt: null })
+
+  const token = crypto.randomBytes(32).toString('base64url')
+  await PasswordReset.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + RESET_TOKEN_TTL_MINUTES * 60 * 1000),
+    requestedIp: req?.ip
+  })
+
+  const link = buildResetLink(token)
+  const greeting = `Hi ${user.name || 'there'},`
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your Fry Diagnosis Tool password',
+    text: [
+      greeting,
+      '',
+      'Someone asked to reset the password for your account. To choose a new',
+      `password, open this link within ${RESET_TOKEN_TTL_MINUTES} minutes:`,
+      '',
+      link,
+      '',
+      "If you didn't ask for this, you can ignore this email."
+    ].join('\n'),
+    html: `<p>${escapeHtml(
+      greeting
+    )}</p><p>To choose a new password, open <a href="${link}">this link</a> within ${RESET_TOKEN_TTL_MINUTES} minutes.</p><p>If you didn't ask for this, you can ignore this email.</p>`
+  })
+
+  return true
+}
+
+/**
+ * Uses a reset token to set a new password. The token is spent first, so
+ * it can't be used twice even by concurrent requests. Signs the user out
+ * everywhere and clears any lockout.
+ * @param {string} token - The emailed token.
+ * @param {string} newPassword - The new password.
+ * @returns {Promise<Object|null>} - The user, or null for a bad token.
+ */
+async function resetPassword(token, newPassword) {
+  const reset = await PasswordReset.findOneAndUpdate(
+    {
+      tokenHash: hashToken(String(token)),
+      usedAt: null,
+      expiresAt: { $gt: new Date() }
+    },
+    { $set: { usedAt: new Date() } }
+  )
+  if (!reset) return null
+
+  const user = await User.findById(reset.user)
+  if (!user) return null
+
+  user.password = newPassword
+  Object.assign(user, LOGIN_FAILURES_CLEARED)
+  await user.save()
+  await revokeUserSessions(user._id, 'password_reset')
+
+  return user
+}
+
+export { requestPasswordReset, resetPassword }
@@ -0,0 +1,59 @@
+/**
+ * Picture Passwords
+ * Icon-sequence passwords for students too young to type one
+ */
+
+// The fixed icon set a teacher picks from; the client maps names to images
+const PICTURE_PASSWORD_ICONS = [
+  'apple',
+  'ball',
+  'bird',
+  'car',
+  'cat',
+  'dog',
+  'fish',
+  'flower',
+  'house',
+  'moon',
+  'star',
+  'sun'
+]
+
+const MIN_PICTURE_PASSWORD_LENGTH = 2
+const MAX_PICTURE_PASSWORD_LENGTH = 3
+
+/**
+ * Checks an icon sequence.
+ * @param {string[]} icons - Icon names, in order.
+ * @returns {string|null} - An error message, or null when valid.
+ */
+function validatePictureSequence(icons) {
+  if (
+    !Array.isArray(icons) ||
+    icons.length < MIN_PICTURE_PASSWORD_LENGTH ||
+    icons.length > MAX_PICTURE_PASSWORD_LENGTH
+  ) {
+    return `A picture password is ${MIN_PICTURE_PASSWORD_LENGTH} to ${MAX_PICTURE_PASSWORD_LENGTH} icons`
+  }
+
+  if (!icons.every((icon) => PICTURE_PASSWORD_ICONS.includes(icon))) {
+    return `Icons must be one of: ${PICTURE_PASSWORD_ICONS.join(', ')}`
+  }
+
+  return null
+}
+
+/**
+ * The string that is hashed and compared for an icon sequence.
+ * @param {string[]} icons - A valid icon sequence.
+ * @returns {string}
+ */
+const toPictureSecret = (icons) => icons.join(' ')
+
+export {
+  PICTURE_PASSWORD_ICONS,
+  MIN_PICTURE_PASSWORD_LENGTH,
+  MAX_PICTURE_PASSWORD_LENGTH,
+  validatePictureSequence,
+  toPictureSecret
+}
@@ -0,0 +1,156 @@
+/**
+ * Practice Scheduler
+ * SM-2 style spaced repetition for practicedWords and the daily practice queue
+ */
+
+import { getLevelWords, lookupWord, normalizeWord } from './fry-catalog.js'
+
+const DAY_MS = 24 * 60 * 60 * 1000
+const DEFAULT_EASE_FACTOR = 2.5
+const MIN_EASE_FACTOR = 1.3
+const CORRECT_QUALITY = 4
+const INCORRECT_QUALITY = 2
+
+const endOfDay = (date) => {
+  const end = new Date(date)
+  end.setHours(23, 59, 59, 999)
+  return end
+}
+
+/**
+ * Applies one SM-2 review to a word's schedule.
+ * @param {Object} schedule - `{ easeFactor, interval, repetitions }` of the word.
+ * @param {boolean} correct - Whether the student read the word correctly.
+ * @param {Date} [now] - Review time.
+ * @returns {Object} - Updated `{ easeFactor, interval, repetitions, dueDate }`.
+ */
+function scheduleReview(schedule = {}, correct, now = new Date()) {
+  const quality = correct ? CORRECT_QUALITY : INCORRECT_QUALITY
+  const previousEase = schedule.easeFactor || DEFAULT_EASE_FACTOR
+  let repetitions = schedule.repetitions || 0
+  let interval = schedule.interval || 0
+
+  if (correct) {
+    repetitions += 1
+    if (repetitions === 1) {
+      interval = 1
+    } else if (repetitions === 2) {
+      interval = 6
+    } else {
+      interval = Math.round(interval * previousEase)
+    }
+  } else {
+    // A miss restarts the word; it comes back tomorrow
+    repetitions = 0
+    interval = 1
+  }
+
+  const easeFactor = Math.max(
+    MIN_EASE_FACTOR,
+    previousEase + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+  )
+
+  return {
+    easeFactor: Math.round(easeFactor * 100) / 100,
+    interval,
+    repetitions,
+    dueDate: new Date(now.getTime() + interval * DAY_MS)
+  }
+}
+
+/**
+ * Works out which review a practiced-word write represents by comparing the
+ * correct/incorrect counters before and after, and reschedules it.
+ * @param {Object|null} previous - The stored word before the write.
+ * @param {Object} next - The incoming word data.
+ * @param {Date} [now] - Review time.
+ * @returns {Object} - `next` merged with its updated schedule.
+ */
+function applyPracticeResult(previous, next, now = new Date()) {
+  const carried = {
+    easeFactor: previous?.easeFactor,
+    interval: previous?.interval,
+    repetitions: previous?.repetitions,
+    dueDate: previous?.dueDate
+  }
+
+  const correctDelta = (next.timesCorrect || 0) - (previous?.timesCorrect || 0)
+  const incorrectDelta =
+    (next.timesIncorrect || 0) - (previous?.timesIncorrect || 0)
+
+  if (incorrectDelta > 0) {
+    return { ...next, ...scheduleReview(carried, false, now) }
+  }
+
+  if (correctDelta > 0) {
+    return { ...next, ...scheduleReview(carried, true, now) }
+  }
+
+  return {
+    ...next,
+    easeFactor: carried.easeFactor || DEFAULT_EASE_FACTOR,
+    interval: carried.interval || 0,
+    repetitions: carried.repetitions || 0,
+    dueDate: carried.dueDate || now
+  }
+}
+
+/**
+ * Builds today's practice queue: due reviews first (most overdue first), then
+ * unseen words from the student's current level, capped at the daily goal.
+ * @param {Object} profile - Profile with practicedWords, currentLevel and dailyGoal.
+ * @param {Date} [now] - Reference time.
+ * @returns {Object} - The practice queue.
+ */
+function buildPracticeQueue(profile, now = new Date()) {
+  const dailyGoal = profile.dailyGoal > 0 ? profile.dailyGoal : 10
+  const currentLevel = profile.currentLevel || 1
+  const practicedWords = profile.practicedWords || []
+  const cutoff = endOfDay(now)
+
+  const reviews = practicedWords
+    .filter((word) => !word.dueDate || new Date(word.dueDate) <= cutoff)
+    .sort(
+      (a, b) =>
+        new Date(a.dueDate || 0).getTime() - new Date(b.dueDate || 0).getTime()
+    )
+    .slice(0, dailyGoal)
+    .map((word) => ({
+      practicedWordId: word._id,
+      word: word.word,
+      dueDate: word.dueDate || null,
+      easeFactor: word.easeFactor || DEFAULT_EASE_FACTOR,
+      interval: word.interval || 0,
+      repetitions: word.repetitions || 0,
+      streak: word.streak || 0
+    }))
+
+  const practiced = new Set(
+    practicedWords.map((word) => normalizeWord(word.word))
+  )
+
+  const newWords = (getLevelWords(currentLevel) || [])
+    .filter((word) => !practiced.has(normalizeWord(word)))
+    .slice(0, dailyGoal - reviews.length)
+    .map((word) => {
+      const { rank, list } = lookupWord(word)
+      return { word, rank, list }
+    })
+
+  return {
+    date: now,
+    dailyGoal,
+    currentLevel,
+    reviews,
+    newWords,
+    total: reviews.length + newWords.length
+  }
+}
+
+export {
+  DEFAULT_EASE_FACTOR,
+  MIN_EASE_FACTOR,
+  scheduleReview,
+  applyPracticeResult,
+  buildPracticeQueue
+}
@@ -0,0 +1,377 @@
+/**
+ * Report Card
+ * Renders a student's progress as a printable PDF for parent conferences
+ */
+
+import PDFDocument from 'pdfkit'
+import { getLevelWords, normalizeWord } from './fry-catalog.js'
+
+const BRAND = {
+  name: process.env.REPORT_BRAND_NAME || 'FRY Diagnosis Tool',
+  primary: '#2b5797',
+  mastered: '#2e8b57',
+  muted: '#6b7280',
+  light: '#eef2f7'
+}
+
+const PAGE_MARGIN = 50
+const FOOTER_HEIGHT = 30
+const GRID_COLUMNS = 10
+const MASTERY_TABLE_LIMIT = 25
+
+const formatDate = (value) =>
+  value ? new Date(value).toISOString().slice(0, 10) : '-'
+
+const formatPercent = (part, total) =>
+  total ? `${Math.round((part / total) * 100)}%` : '-'
+
+const formatSeconds = (ms) => (ms ? `${(ms / 1000).toFixed(1)}s` : '-')
+
+const contentWidth = (doc) => doc.page.width - PAGE_MARGIN * 2
+
+const hasSpace = (doc, height) =>
+  doc.y + height <= doc.page.height - PAGE_MARGIN - FOOTER_HEIGHT
+
+// Starts a new page when the next block would run into the footer
+const ensureSpace = (doc, height) => {
+  if (!hasSpace(doc, height)) {
+    doc.addPage()
+  }
+}
+
+function drawHeader(doc, student, generatedAt) {
+  doc.rect(0, 0, doc.page.width, 90).fill(BRAND.primary)
+  doc
+    .fillColor('white')
+    .font('Helvetica-Bold')
+    .fontSize(20)
+    .text(BRAND.name, PAGE_MARGIN, 28)
+    .font('Helvetica')
+    .fontSize(12)
+    .text('Progress Report Card', PAGE_MARGIN, 56)
+
+  doc
+    .fillColor('black')
+    .font('Helvetica-Bold')
+    .fontSize(16)
+    .text(student.name || 'Student', PAGE_MARGIN, 110)
+    .font('Helvetica')
+    .fontSize(10)
+    .fillColor(BRAND.muted)
+    .text(
+      `Fry level ${student.currentLevel}  |  ` +
+        `Grade level ${student.fryGradeLevel}  |  ` +
+        `Report date ${formatDate(generatedAt)}`
+    )
+    .moveDown(1.5)
+}
+
+function drawSectionTitle(doc, title) {
+  ensureSpace(doc, 40)
+  doc
+    .fillColor(BRAND.primary)
+    .font('Helvetica-Bold')
+    .fontSize(13)
+    .text(title, PAGE_MARGIN, doc.y)
+    .moveDown(0.4)
+    .fillColor('black')
+    .font('Helvetica')
+    .fontSize(10)
+}
+
+/**
+ * Draws a simple striped table, repeating the header after page breaks.
+ * @param {Object} doc - The PDF document.
+ * @param {Object[]} columns - `{ header, width }` with widths as fractions.
+ * @param {Array[]} rows - Cell text per row.
+ */
+function drawTable(doc, columns, rows) {
+  const rowHeight = 18
+  const width = contentWidth(doc)
+
+  const drawRow = (cells, { bold = false, fill = null } = {}) => {
+    const y = doc.y
+
+    if (fill) {
+      doc.rect(PAGE_MARGIN, y, width, rowHeight).fill(fill)
+    }
+
+    let x = PAGE_MARGIN
+    doc.fillColor('black').font(bold ? 'Helvetica-Bold' : 'Helvetica')
+    cells.forEach((cell, index) => {
+      const cellWidth = columns[index].width * width
+      doc.text(String(cell), x + 4, y + 5, {
+        width: cellWidth - 8,
+        height: rowHeight,
+        ellipsis: true,
+        lineBreak: false
+      })
+      x += cellWidth
+    })
+
+    doc.y = y + rowHeight
+  }
+
+  const drawHeaderRow = () =>
+    drawRow(
+      columns.map(({ header }) => header),
+      { bold: true, fill: BRAND.light }
+    )
+
+  ensureSpace(doc, rowHeight * 2)
+  drawHeaderRow()
+  rows.forEach((cells, index) => {
+    if (!hasSpace(doc, rowHeight)) {
+      doc.addPage()
+      drawHeaderRow()
+    }
+    drawRow(cells, { fill: index % 2 ? '#f9fafb' : null })
+  })
+
+  doc.moveDown(1)
+}
+
+function drawTotals(doc, totals) {
+  drawSectionTitle(doc, 'Summary')
+  drawTable(
+    doc,
+    [
+      { header: 'Assessments', width: 1 / 6 },
+      { header: 'Test sessions', width: 1 / 6 },
+      { header: 'Practiced', width: 1 / 6 },
+      { header: 'Words tested', width: 1 / 6 },
+      { header: 'Recognized', width: 1 / 6 },
+      { header: 'Accuracy', width: 1 / 6 }
+    ],
+    [
+      [
+        totals.assessments,
+        totals.testSessions,
+        totals.practicedWords,
+        totals.totalWordsTested,
+        totals.recognizedWords,
+        formatPercent(totals.recognizedWords, totals.totalWordsTested)
+      ]
+    ]
+  )
+}
+
+function drawTestTypes(doc, byTestType) {
+  drawSectionTitle(doc, 'Accuracy by test type')
+  drawTable(
+    doc,
+    [
+      { header: 'Test type', width: 0.3 },
+      { header: 'Words tested', width: 0.2 },
+      { header: 'Recognized', width: 0.15 },
+      { header: 'Accuracy', width: 0.15 },
+      { header: 'Avg. response', width: 0.2 }
+    ],
+    Object.entries(byTestType).map(([type, stats]) => [
+      type,
+      stats.total,
+      stats.recognized,
+      formatPercent(stats.recognized, stats.total),
+      formatSeconds(stats.averageResponseTime)
+    ])
+  )
+}
+
+/**
+ * Draws the current Fry level as a grid, shading the words already mastered.
+ */
+function drawLevelGrid(doc, level, masteredWords) {
+  const words = getLevelWords(level) || []
+  const masteredCount = words.filter((word) =>
+    masteredWords.has(normalizeWord(word))
+  ).length
+
+  drawSectionTitle(doc, `Fry level ${level} words`)
+  doc
+    .fillColor(BRAND.muted)
+    .text(
+      `${masteredCount} of ${words.length} mastered. ` +
+        'Shaded words are mastered; outlined words are not yet mastered.'
+    )
+    .moveDown(0.5)
+
+  const cellWidth = contentWidth(doc) / GRID_COLUMNS
+  const cellHeight = 20
+
+  for (let start = 0; start < words.length; start += GRID_COLUMNS) {
+    ensureSpace(doc, cellHeight)
+    const y = doc.y
+
+    words.slice(start, start + GRID_COLUMNS).forEach((word, index) => {
+      const x = PAGE_MARGIN + index * cellWidth
+      const mastered = masteredWords.has(normalizeWord(word))
+
+      if (mastered) {
+        doc.rect(x, y, cellWidth, cellHeight).fill(BRAND.mastered)
+      }
+      doc
+        .rect(x, y, cellWidth, cellHeight)
+        .lineWidth(0.5)
+        .stroke(mastered ? BRAND.mastered : '#cbd5e1')
+      doc
+        .fillColor(mastered ? 'white' : 'black')
+        .font(mastered ? 'Helvetica-Bold' : 'Helvetica')
+        .fontSize(9)
+        .text(word, x, y + 6, {
+          width: cellWidth,
+          align: 'center',
+          lineBreak: false
+        })
+    })
+
+    doc.y = y + cellHeight
+  }
+
+  doc.fillColor('black').font('Helvetica').fontSize(10).moveDown(1)
+}
+
+function drawWordMastery(doc, wordMastery) {
+  drawSectionTitle(doc, 'Word mastery')
+
+  if (!wordMastery.length) {
+    doc.fillColor(BRAND.muted).text('No words assessed yet.').moveDown(1)
+    return
+  }
+
+  drawTable(
+    doc,
+    [
+      { header: 'Word', width: 0.25 },
+      { header: 'Assessed', width: 0.15 },
+      { header: 'Correct', width: 0.15 },
+      { header: 'Mastery', width: 0.2 },
+      { header: 'Last tested', width: 0.25 }
+    ],
+    wordMastery
+      .slice(0, MASTERY_TABLE_LIMIT)
+      .map((entry) => [
+        entry.word,
+        entry.attempts,
+        entry.successes,
+        formatPercent(entry.successes, entry.attempts),
+        formatDate(entry.lastTested)
+      ])
+  )
+}
+
+function drawSessions(doc, sessionHistory) {
+  drawSectionTitle(doc, 'Recent sessions')
+
+  if (!sessionHistory.length) {
+    doc.fillColor(BRAND.muted).text('No sessions yet.').moveDown(1)
+    return
+  }
+
+  drawTable(
+    doc,
+    [
+      { header: 'Date', width: 0.2 },
+      { header: 'Session', width: 0.2 },
+      { header: 'Test type', width: 0.2 },
+      { header: 'Words', width: 0.15 },
+      { header: 'Correct', width: 0.25 }
+    ],
+    sessionHistory.map((session) => [
+      formatDate(session.startTime),
+      session.sessionType || '-',
+      session.testType || '-',
+      session.results?.totalWords ?? session.wordsUsed?.length ?? 0,
+      formatPercent(
+        session.results?.correctWords || 0,
+        session.results?.totalWords || 0
+      )
+    ])
+  )
+}
+
+function drawTeacherNotes(doc, teacherNotes) {
+  drawSectionTitle(doc, 'Teacher notes')
+
+  if (!teacherNotes.length) {
+    doc.fillColor(BRAND.muted).text('No notes recorded.').moveDown(1)
+    return
+  }
+
+  teacherNotes.forEach((note) => {
+    ensureSpace(doc, 40)
+    doc
+      .fillColor(BRAND.muted)
+      .font('Helvetica-Bold')
+      .text(`${formatDate(note.date)}  ${note.testType || ''}`, PAGE_MARGIN)
+      .fillColor('black')
+      .font('Helvetica')
+      .text(note.text, { width: contentWidth(doc) })
+      .moveDown(0.5)
+  })
+}
+
+function drawFooters(doc, generatedAt) {
+  const range = doc.bufferedPageRange()
+
+  for (let index = 0; index < range.count; index++) {
+    doc.switchToPage(range.start + index)
+    // Writing inside the bottom margin would otherwise add a page
+    doc.page.margins.bottom = 0
+    doc
+      .fillColor(BRAND.muted)
+      .fontSize(8)
+      .text(
+        `${BRAND.name}  |  Generated ${formatDate(generatedAt)}  |  ` +
+          `Page ${index + 1} of ${range.count}`,
+        PAGE_MARGIN,
+        doc.page.height - PAGE_MARGIN,
+        { width: contentWidth(doc), align: 'center', lineBreak: false }
+      )
+  }
+}
+
+/**
+ * Renders a progress report card.
+ * @param {Object} report
+ * @param {Object} report.progress - The getStudentProgress payload.
+ * @param {Set<string>} report.masteredWords - Normalized mastered words.
+ * @param {Object[]} report.teacherNotes - `{ date, testType, text }`.
+ * @param {Date} [report.generatedAt]
+ * @returns {Promise<Buffer>} - The PDF file.
+ */
+function renderReportCard({
+  progress,
+  masteredWords,
+  teacherNotes,
+  generatedAt = new Date()
+}) {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: PAGE_MARGIN,
+      bufferPages: true,
+      info: {
+        Title: `${progress.student.name} - Progress Report`,
+        Author: BRAND.name
+      }
+    })
+    const chunks = []
+
+    doc.on('data', (chunk) => chunks.push(chunk))
+    doc.on('end', () => resolve(Buffer.concat(chunks)))
+    doc.on('error', reject)
+
+    drawHeader(doc, progress.student, generatedAt)
+    drawTotals(doc, progress.totals)
+    drawTestTypes(doc, progress.byTestType)
+    drawLevelGrid(doc, progress.student.currentLevel, masteredWords)
+    drawWordMastery(doc, progress.wordMastery)
+    drawSessions(doc, progress.sessionHistory)
+    drawTeacherNotes(doc, teacherNotes)
+    drawFooters(doc, generatedAt)
+
+    doc.end()
+  })
+}
+
+export { renderReportCard }
@@ -0,0 +1,193 @@
+/**
+ * Roster Import
+ * Parses and validates a class roster CSV before any accounts are created
+ */
+
+import { LEVEL_COUNT, isValidLevel } from './fry-catalog.js'
+
+const MAX_ROSTER_ROWS = 200
+const DEFAULT_AVATAR = '😊'
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+
+// Accepted header spellings, compared lowercase without spaces or punctuation
+const ROSTER_COLUMNS = {
+  name: ['name', 'studentname', 'student'],
+  grade: ['grade'],
+  avatar: ['avatar'],
+  parentEmail: ['parentemail', 'email', 'parent'],
+  currentLevel: ['frylevel', 'startingfrylevel', 'startinglevel', 'level']
+}
+
+const REQUIRED_COLUMNS = ['name', 'parentEmail']
+
+const isValidEmail = (email) => EMAIL_PATTERN.test(email)
+
+const normalizeHeader = (header) =>
+  header.toLowerCase().replace(/[^a-z0-9]/g, '')
+
+/**
+ * Splits CSV text into records, honouring quoted fields (RFC 4180).
+ * @param {string} text - CSV text.
+ * @returns {string[][]} - Fields per record, blank lines dropped.
+ */
+function parseCsv(text) {
+  const records = []
+  let record = []
+  let field = ''
+  let quoted = false
+
+  const endField = () => {
+    record.push(field)
+    field = ''
+  }
+  const endRecord = () => {
+    endField()
+    if (record.some((value) => value.trim())) {
+      records.push(record)
+    }
+    record = []
+  }
+
+  const input = text.replace(/^\uFEFF/, '')
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        quoted = false
+      } else {
+        field += char
+      }
+    } else if (char === '"') {
+      quoted = true
+    } else if (char === ',') {
+      endField()
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++
+      endRecord()
+    } else {
+      field += char
+    }
+  }
+  endRecord()
+
+  return records
+}
+
+const mapHeaders = (headers) => {
+  const columns = {}
+
+  headers.forEach((header, index) => {
+    const normalized = normalizeHeader(header)
+    const key = Object.keys(ROSTER_COLUMNS).find((column) =>
+      ROSTER_COLUMNS[column].includes(normalized)
+    )
+    if (key && columns[key] === undefined) {
+      columns[key] = index
+    }
+  })
+
+  return columns
+}
+
+const parseOptionalInteger = (value) =>
+  value === '' ? undefined : /^\d+$/.test(value) ? Number(value) : NaN
+
+function validateStudentRow(student) {
+  const errors = []
+
+  if (!student.name) {
+    errors.push('Student name is required')
+  } else if (student.name.length > 100) {
+    errors.push('Student name must be 100 characters or fewer')
+  }
+
+  if (!student.parentEmail) {
+    errors.push('Parent email is required')
+  } else if (!isValidEmail(student.parentEmail)) {
+    errors.push('Parent email must be a valid email address')
+  }
+
+  if (Number.isNaN(student.grade) || student.grade > 12) {
+    errors.push('Grade must be a whole number from 0 to 12')
+  }
+
+  if (
+    student.currentLevel !== undefined &&
+    !isValidLevel(student.currentLevel)
+  ) {
+    errors.push(`Fry level must be between 1 and ${LEVEL_COUNT}`)
+  }
+
+  return errors
+}
+
+/**
+ * Parses a roster CSV and checks each row on its own and against the others.
+ * @param {string} text - CSV with a header row.
+ * @returns {Object} - `{ errors, students }`. `errors` holds file-level
+ *   problems; each student carries its CSV `row` number and row `errors`.
+ */
+function parseRoster(text) {
+  const [headers = [], ...records] = parseCsv(String(text || ''))
+  const columns = mapHeaders(headers)
+
+  const missing = REQUIRED_COLUMNS.filter((key) => columns[key] === undefined)
+  if (missing.length) {
+    return {
+      errors: [`Missing required column(s): ${missing.join(', ')}`],
+      students: []
+    }
+  }
+
+  if (!records.length) {
+    return { errors: ['The roster has no student rows'], students: [] }
+  }
+
+  if (records.length > MAX_ROSTER_ROWS) {
+    return {
+      errors: [`A roster can have at most ${MAX_ROSTER_ROWS} students`],
+      students: []
+    }
+  }
+
+  const cell = (record, key) =>
+    columns[key] === undefined ? '' : (record[columns[key]] || '').trim()
+
+  const seenNames = new Map()
+  const students = records.map((record, index) => {
+    const student = {
+      row: index + 2, // Spreadsheet row, after the header
+      name: cell(record, 'name'),
+      grade: parseOptionalInteger(cell(record, 'grade')),
+      avatar: cell(record, 'avatar') || DEFAULT_AVATAR,
+      parentEmail: cell(record, 'parentEmail').toLowerCase(),
+      currentLevel: parseOptionalInteger(cell(record, 'currentLevel'))
+    }
+    student.errors = validateStudentRow(student)
+
+    const nameKey = student.name.toLowerCase()
+    if (nameKey && seenNames.has(nameKey)) {
+      student.errors.push(
+        `Duplicate of row ${seenNames.get(nameKey)} in this roster`
+      )
+    } else if (nameKey) {
+      seenNames.set(nameKey, student.row)
+    }
+
+    return student
+  })
+
+  return { errors: [], students }
+}
+
+export {
+  MAX_ROSTER_ROWS,
+  ROSTER_COLUMNS,
+  isValidEmail,
+  parseCsv,
+  parseRoster
+}
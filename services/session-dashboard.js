@@ -0,0 +1,88 @@
+/**
+ * Session Dashboard
+ * The teacher's running summary of a live test session, rebuilt from the
+ * session's recorded responses: how each student is doing, how far the
+ * current word has got and which words most of the room missed.
+ */
+
+import { isMissedResponse } from './word-queue.js'
+
+const average = (values) =>
+  values.length
+    ? Math.round(values.reduce((sum, value) => sum + value, 0) / values.length)
+    : null
+
+const timedResponses = (responses) =>
+  responses
+    .filter((response) => !response.noResponse)
+    .map((response) => response.responseTime)
+    .filter((value) => typeof value === 'number' && value >= 0)
+
+/**
+ * Builds the `session_dashboard` payload.
+ * @param {Object} session - The in-memory session.
+ * @returns {Object} - The dashboard.
+ */
+function buildSessionDashboard(session) {
+  const participants = Array.from(session.participants.entries())
+  const allResponses = []
+  const wordStats = new Map()
+
+  const students = participants.map(([studentId, participantState]) => {
+    const responses = Array.from(participantState.responsesByWord.values())
+    const correct = responses.filter(
+      (response) => !isMissedResponse(response)
+    ).length
+
+    responses.forEach((response) => {
+      allResponses.push(response)
+
+      const stats = wordStats.get(response.word) || { answered: 0, missed: 0 }
+      stats.answered++
+      if (isMissedResponse(response)) stats.missed++
+      wordStats.set(response.word, stats)
+    })
+
+    return {
+      studentId,
+      studentName:
+        responses.find((response) => response.studentName)?.studentName || null,
+      answered: responses.length,
+      correct,
+      accuracy: responses.length ? correct / responses.length : null,
+      noResponses: responses.filter((response) => response.noResponse).length,
+      averageResponseTime: average(timedResponses(responses))
+    }
+  })
+
+  const { currentWord } = session
+  const currentWordAnswered = currentWord
+    ? participants.filter(([, participantState]) =>
+        participantState.responsesByWord.has(currentWord)
+      ).length
+    : 0
+
+  // Missed by more than half of the students in the session
+  const mostlyMissedWords = Array.from(wordStats.entries())
+    .filter(([, stats]) => stats.missed > participants.length / 2)
+    .map(([word, stats]) => ({ word, ...stats }))
+    .sort((a, b) => b.missed - a.missed)
+
+  return {
+    sessionId: session.sessionId,
+    currentWord: currentWord
+      ? {
+          word: currentWord,
+          answered: currentWordAnswered,
+          total: participants.length
+        }
+      : null,
+    averageResponseTime: average(timedResponses(allResponses)),
+    students,
+    mostlyMissedWords,
+    paused: Boolean(session.pausedAt),
+    updatedAt: Date.now()
+  }
+}
+
+export { buildSessionDashboard }
@@ -0,0 +1,110 @@
+/**
+ * Session Timing
+ * Pause-aware clocks for live test sessions: how long a session has been
+ * running and how long the current word has been shown, never counting time
+ * spent paused. All state lives on the session so it is persisted with it.
+ */
+
+// Per-word time limits, in seconds
+const MAX_TIME_LIMIT_SECONDS = 600
+
+const toMs = (date) => new Date(date).getTime()
+
+const currentPauseMs = (session, now) =>
+  session.pausedAt ? Math.max(0, now - toMs(session.pausedAt)) : 0
+
+/**
+ * Time since `from` that the session was not paused.
+ * @param {Object} session - The in-memory session.
+ * @param {Date|number} from - Start of the interval.
+ * @param {number} pausedMs - Pauses already finished within the interval.
+ * @param {number} [now] - The current time in ms.
+ * @returns {number} - Active time in ms.
+ */
+function activeElapsedMs(session, from, pausedMs = 0, now = Date.now()) {
+  return Math.max(0, now - toMs(from) - pausedMs - currentPauseMs(session, now))
+}
+
+const getSessionDurationMs = (session, now = Date.now()) =>
+  activeElapsedMs(session, session.startTime, session.pausedMs || 0, now)
+
+// Null when no word is on the clock
+const getWordElapsedMs = (session, now = Date.now()) =>
+  session.wordStartedAt
+    ? activeElapsedMs(
+        session,
+        session.wordStartedAt,
+        session.wordPausedMs || 0,
+        now
+      )
+    : null
+
+const getWordTimeLimitMs = (session) =>
+  session.timeLimit > 0 ? session.timeLimit * 1000 : null
+
+/**
+ * Time left to answer the current word.
+ * @param {Object} session - The in-memory session.
+ * @param {number} [now] - The current time in ms.
+ * @returns {number|null} - Ms left, or null without a limit or a word.
+ */
+function getWordRemainingMs(session, now = Date.now()) {
+  const timeLimitMs = getWordTimeLimitMs(session)
+  if (!timeLimitMs || !session.wordStartedAt) return null
+
+  return Math.max(0, timeLimitMs - getWordElapsedMs(session, now))
+}
+
+function startWordClock(session, word, sequence, now = Date.now()) {
+  session.currentWord = word
+  session.currentSequence = sequence
+  session.wordStartedAt = new Date(now)
+  session.wordPausedMs = 0
+}
+
+function stopWordClock(session) {
+  session.wordStartedAt = null
+  session.wordPausedMs = 0
+}
+
+/**
+ * Pauses both clocks.
+ * @returns {boolean} - False if the session was already paused.
+ */
+function pauseSessionClock(session, now = Date.now()) {
+  if (session.pausedAt) return false
+
+  session.pausedAt = new Date(now)
+  return true
+}
+
+/**
+ * Restarts both clocks, adding the pause to the time they skip. Words can't
+ * be sent while paused, so a running word was shown before the pause began.
+ * @returns {number} - How long the session was paused, in ms.
+ */
+function resumeSessionClock(session, now = Date.now()) {
+  if (!session.pausedAt) return 0
+
+  const pausedForMs = currentPauseMs(session, now)
+  session.pausedMs = (session.pausedMs || 0) + pausedForMs
+  if (session.wordStartedAt) {
+    session.wordPausedMs = (session.wordPausedMs || 0) + pausedForMs
+  }
+  session.pausedAt = null
+
+  return pausedForMs
+}
+
+export {
+  MAX_TIME_LIMIT_SECONDS,
+  activeElapsedMs,
+  getSessionDurationMs,
+  getWordElapsedMs,
+  getWordTimeLimitMs,
+  getWordRemainingMs,
+  startWordClock,
+  stopWordClock,
+  pauseSessionClock,
+  resumeSessionClock
+}
@@ -0,0 +1,104 @@
+/**
+ * Small Groups
+ * Guided reading groups kept on the teacher's profile (Profile.groups)
+ */
+
+import { Profile } from '../models/profile.js'
+import { getMasteredWords } from './level-advancement.js'
+import { normalizeWord } from './fry-catalog.js'
+
+/**
+ * A practiced word the student has not mastered and misses at least as
+ * often as they get right.
+ * @param {Object} practicedWord - Profile.practicedWords entry.
+ * @param {Set<string>} masteredWords - The student's mastered words.
+ * @returns {boolean}
+ */
+const isStruggling = (practicedWord, masteredWords) =>
+  !masteredWords.has(normalizeWord(practicedWord.word)) &&
+  (practicedWord.timesIncorrect || 0) > 0 &&
+  (practicedWord.timesIncorrect || 0) >= (practicedWord.timesCorrect || 0)
+
+/**
+ * Words every member of a group still struggles with, with practice counts
+ * summed across the group, most missed first.
+ * @param {Object[]} students - Member profiles with practicedWords.
+ * @returns {Object[]} - Entries shaped like Profile.practicedWords.
+ */
+function computeCommonWords(students) {
+  if (!students.length) return []
+
+  const strugglingByStudent = students.map((student) => {
+    const masteredWords = getMasteredWords(student)
+    const practicedWords = student.practicedWords || []
+    const struggling = new Map()
+
+    practicedWords.forEach((practicedWord) => {
+      if (isStruggling(practicedWord, masteredWords)) {
+        struggling.set(normalizeWord(practicedWord.word), practicedWord)
+      }
+    })
+
+    return struggling
+  })
+
+  const [first, ...others] = strugglingByStudent
+  const commonKeys = [...first.keys()].filter((key) =>
+    others.every((struggling) => struggling.has(key))
+  )
+
+  return commonKeys
+    .map((key) => {
+      const entries = strugglingByStudent.map((struggling) =>
+        struggling.get(key)
+      )
+      const sum = (field) =>
+        entries.reduce((total, entry) => total + (entry[field] || 0), 0)
+
+      return {
+        word: first.get(key).word,
+        mastered: false,
+        timesPracticed: sum('timesPracticed'),
+        timesCorrect: sum('timesCorrect'),
+        timesIncorrect: sum('timesIncorrect'),
+        lastPracticed: new Date(
+          Math.max(
+            ...entries.map((entry) => new Date(entry.lastPracticed || 0))
+          )
+        )
+      }
+    })
+    .sort((a, b) => b.timesIncorrect - a.timesIncorrect)
+}
+
+/**
+ * Loads group members and computes their common struggling words.
+ * @param {string[]} studentIds - Member profile ids.
+ * @returns {Promise<Object[]>}
+ */
+async function loadCommonWords(studentIds) {
+  if (!studentIds.length) return []
+
+  const students = await Profile.find({ _id: { $in: studentIds } })
+    .select('practicedWords')
+    .lean()
+
+  return computeCommonWords(students)
+}
+
+/**
+ * Finds one of a teacher's groups.
+ * @param {string} teacherProfileId - The teacher's profile id.
+ * @param {string} groupId - The group's id.
+ * @returns {Promise<Object|null>} - The group (lean), or null.
+ */
+async function findGroup(teacherProfileId, groupId) {
+  const profile = await Profile.findOne(
+    { _id: teacherProfileId, 'groups._id': groupId },
+    { 'groups.$': 1 }
+  ).lean()
+
+  return profile?.groups?.[0] || null
+}
+
+export { computeCommonWords, loadCommonWords, findGroup }
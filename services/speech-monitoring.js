@@ -0,0 +1,109 @@
+/**
+ * Speech Monitoring
+ * Works out which students are practicing or testing right now, for the
+ * teacher's live monitoring view
+ */
+
+import { TestSession } from '../models/testSession.js'
+
+const SESSION_TIMEOUT_MS = 5 * 60 * 1000 // 5 minutes timeout
+
+// Fields buildActiveSpeechSessions reads from each student
+const SPEECH_STUDENT_FIELDS = ['name', 'avatar', 'practicedWords']
+
+/**
+ * Builds the active speech recognition sessions for a set of students.
+ * @param {Object[]} students - Student profiles with SPEECH_STUDENT_FIELDS.
+ * @param {Date} [currentTime] - Reference time.
+ * @returns {Promise<Object[]>} - One entry per active student.
+ */
+async function buildActiveSpeechSessions(students, currentTime = new Date()) {
+  const activeSessions = []
+
+  const recentActiveTestSessions = await TestSession.find({
+    profile: { $in: students.map((student) => student._id) },
+    status: 'active',
+    startTime: { $gte: new Date(currentTime - SESSION_TIMEOUT_MS) }
+  }).sort({ startTime: -1 })
+
+  if (students.length > 0) {
+    students.forEach((student) => {
+      // Check for recent pronunciation practice activity
+      const recentPracticedWords = student.practicedWords
+        ?.filter((word) => {
+          const lastPracticed = new Date(word.lastPracticed)
+          return currentTime - lastPracticed < SESSION_TIMEOUT_MS
+        })
+        ?.sort((a, b) => new Date(b.lastPracticed) - new Date(a.lastPracticed))
+
+      // Check for active test sessions
+      const activeTestSessions = recentActiveTestSessions.filter(
+        (session) => String(session.profile) === String(student._id)
+      )
+
+      if (
+        (recentPracticedWords && recentPracticedWords.length > 0) ||
+        (activeTestSessions && activeTestSessions.length > 0)
+      ) {
+        const currentWord = recentPracticedWords?.[0]?.word || 'N/A'
+        const confidence =
+          recentPracticedWords?.[0]?.speechRecognitionScore || 0
+        const responseTime = recentPracticedWords?.[0]?.responseTime || 0
+        const wordsCompleted = recentPracticedWords?.length || 0
+        const startTime =
+          recentPracticedWords?.[0]?.lastPracticed ||
+          activeTestSessions?.[0]?.startTime ||
+          new Date()
+
+        // Calculate struggling indicators
+        const strugglingWords =
+          recentPracticedWords
+            ?.filter(
+              (word) =>
+                word.speechRecognitionScore < 60 ||
+                word.timesIncorrect > word.timesCorrect
+            )
+            ?.map((word) => word.word)
+            ?.slice(0, 3) || []
+
+        const recentAttempts =
+          recentPracticedWords?.slice(0, 5)?.map((word) => ({
+            word: word.word,
+            success: word.speechRecognitionScore >= 70,
+            confidence: word.speechRecognitionScore,
+            responseTime: word.responseTime
+          })) || []
+
+        const errors =
+          recentPracticedWords
+            ?.filter(
+              (word) => word.recordOfWrongs && word.recordOfWrongs.length > 0
+            )
+            ?.flatMap((word) => word.recordOfWrongs)
+            ?.slice(-2) || []
+
+        activeSessions.push({
+          studentId: student._id,
+          studentName: student.name,
+          avatar: student.avatar,
+          currentWord,
+          confidence,
+          responseTime,
+          wordsCompleted,
+          startTime,
+          strugglingWords,
+          recentAttempts,
+          errors,
+          needsHelp:
+            confidence < 60 ||
+            responseTime > 10000 ||
+            strugglingWords.length > 1
+        })
+      }
+    })
+  }
+
+  return activeSessions
+}
+
+export { SPEECH_STUDENT_FIELDS, buildActiveSpeechSessions }
@@ -0,0 +1,50 @@
+/**
+ * Teacher Students
+ * Who teaches whom: linked through Profile.students or a shared classroom
+ */
+
+import { Profile } from '../models/profile.js'
+import { Classroom } from '../models/classroom.js'
+
+/**
+ * Students a teacher may act on: linked through Profile.students or any
+ * classroom they teach.
+ * @param {Object} teacher - Teacher profile with students.
+ * @returns {Promise<Set<string>>} - Student profile ids.
+ */
+async function getTeachableStudentIds(teacher) {
+  const classrooms = await Classroom.find({ teachers: teacher._id })
+    .select('students')
+    .lean()
+
+  return new Set(
+    [
+      ...(teacher.students || []),
+      ...classrooms.flatMap((classroom) => classroom.students || [])
+    ].map(String)
+  )
+}
+
+/**
+ * Every teacher of a student: linked through Profile.students or teaching
+ * one of the student's classrooms.
+ * @param {string} studentProfileId - The student's profile id.
+ * @returns {Promise<string[]>} - Teacher profile ids, without duplicates.
+ */
+async function findTeacherProfileIds(studentProfileId) {
+  const [teachers, classrooms] = await Promise.all([
+    Profile.find({ students: studentProfileId, role: 'teacher' }).select('_id'),
+    Classroom.find({ students: studentProfileId }).select('teachers')
+  ])
+
+  return [
+    ...new Set(
+      [
+        ...teachers.map((teacher) => teacher._id),
+        ...classrooms.flatMap((classroom) => classroom.teachers)
+      ].map(String)
+    )
+  ]
+}
+
+export { getTeachableStudentIds, findTeacherProfileIds }
@@ -0,0 +1,139 @@
+/**
+ * Word Queue
+ * The server-owned order of words in a live test session. The queue starts
+ * as `wordsToTest`, in order or shuffled, and a cursor marks the word on
+ * screen. A word someone missed goes back on the end of the queue once.
+ * All state lives on the session so it is persisted with it.
+ */
+
+import crypto from 'crypto'
+
+const WORD_ORDERS = ['ordered', 'shuffled']
+
+const shuffle = (words) => {
+  const shuffled = [...words]
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1)
+    const word = shuffled[i]
+    shuffled[i] = shuffled[j]
+    shuffled[j] = word
+  }
+
+  return shuffled
+}
+
+/**
+ * Sets up the queue on a new session.
+ * @param {Object} session - The in-memory session.
+ * @param {string} [order] - 'ordered' (default) or 'shuffled'.
+ */
+function initWordQueue(session, order = 'ordered') {
+  session.wordOrder = order
+  session.wordQueue =
+    order === 'shuffled'
+      ? shuffle(session.wordsToTest)
+      : [...session.wordsToTest]
+  session.queueCursor = -1
+  session.requeuedWords = []
+  session.skippedWords = []
+}
+
+// The teacher's mark wins over what the student submitted
+const isMissedResponse = (response) =>
+  response.noResponse ||
+  !(typeof response.teacherRecognized === 'boolean'
+    ? response.teacherRecognized
+    : response.recognized)
+
+/**
+ * Whether any participant's recorded response to the word was missed.
+ * @param {Object} session - The in-memory session.
+ * @param {string} word - The word.
+ * @returns {boolean}
+ */
+function isWordMissed(session, word) {
+  return Array.from(session.participants.values()).some((participantState) => {
+    const response = participantState.responsesByWord.get(word)
+    return Boolean(response) && isMissedResponse(response)
+  })
+}
+
+/**
+ * Drops missed responses to a word that is shown again, so those students
+ * can answer it (and time out on it) afresh.
+ * @param {Object} session - The in-memory session.
+ * @param {string} word - The word.
+ */
+function clearMissedResponses(session, word) {
+  session.participants.forEach((participantState) => {
+    const response = participantState.responsesByWord.get(word)
+    if (response && isMissedResponse(response)) {
+      participantState.responsesByWord.delete(word)
+    }
+  })
+}
+
+const getQueuedWord = (session) =>
+  session.wordQueue?.[session.queueCursor] || null
+
+/**
+ * Moves the cursor on. The word being left is re-queued at the end if it
+ * was missed and hasn't been re-queued before, unless it is skipped.
+ * @param {Object} session - The in-memory session.
+ * @param {Object} [options] - `{ skip }`.
+ * @returns {string|null} - The next word, or null when the queue is done.
+ */
+function advanceWordQueue(session, { skip = false } = {}) {
+  const leaving = getQueuedWord(session)
+
+  if (leaving && skip) {
+    session.skippedWords.push(leaving)
+  } else if (
+    leaving &&
+    !session.requeuedWords.includes(leaving) &&
+    isWordMissed(session, leaving)
+  ) {
+    session.wordQueue.push(leaving)
+    session.requeuedWords.push(leaving)
+  }
+
+  session.queueCursor = Math.min(
+    session.queueCursor + 1,
+    session.wordQueue.length
+  )
+  return getQueuedWord(session)
+}
+
+/**
+ * What the teacher's UI renders: where the queue is and what is left.
+ * @param {Object} session - The in-memory session.
+ * @returns {Object} - The queue state.
+ */
+function getWordQueueState(session) {
+  const queue = session.wordQueue || []
+  const cursor = session.queueCursor ?? -1
+
+  return {
+    sessionId: session.sessionId,
+    order: session.wordOrder || 'ordered',
+    currentWord: getQueuedWord(session),
+    position: cursor + 1,
+    total: queue.length,
+    shownWords: queue.slice(0, Math.max(cursor, 0)),
+    upcomingWords: queue.slice(cursor + 1),
+    requeuedWords: [...(session.requeuedWords || [])],
+    skippedWords: [...(session.skippedWords || [])],
+    finished: cursor >= queue.length
+  }
+}
+
+export {
+  WORD_ORDERS,
+  isMissedResponse,
+  initWordQueue,
+  isWordMissed,
+  clearMissedResponses,
+  getQueuedWord,
+  advanceWordQueue,
+  getWordQueueState
+}
@@ -8,12 +8,14 @@
 const { io } = require('socket.io-client')
 
 const SOCKET_URL = 'http://localhost:3000'
+const TOKEN = process.env.SOCKET_TEST_TOKEN
 
 console.log('🔧 Testing Socket Connection...\n')
 
 const socket = io(SOCKET_URL, {
   transports: ['websocket'],
-  timeout: 10000
+  timeout: 10000,
+  auth: { token: TOKEN }
 })
 
 socket.on('connect', () => {
@@ -24,7 +26,6 @@ socket.on('connect', () => {
   // Test room joining
   socket.emit('join_room', {
     username: 'Test User',
-    user: { name: 'Test User', role: 'teacher' },
     room: 'test-room'
   })
   
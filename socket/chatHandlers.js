@@ -3,13 +3,24 @@
  * Handles all chat-related socket events
  */
 
+import { getSocketUser } from './socketAuth.js'
+
 const CHAT_BOT = 'ChatBot'
 
 export function handleChatEvents(socket, io, allUsers) {
   // Add a user to a room
   socket.on('join_room', (data) => {
     try {
-      const { username, user, room } = data
+      const { room } = data
+      // Identity comes from the authenticated handshake, not the payload
+      const user = getSocketUser(socket)
+      const username = data.username || user?.name
+
+      if (!room) {
+        socket.emit('error', { message: 'Room is required' })
+        return
+      }
+
       const existingUser = allUsers.find(
         (roomUser) => roomUser.id === socket.id
       )
@@ -71,7 +82,7 @@ export function handleChatEvents(socket, io, allUsers) {
   // Listen for when a message is sent
   socket.on('send_message', (data) => {
     try {
-      const { message, username, user, room, __createdtime__ } = data
+      const { message, username, room } = data
 
       // Validate message data
       if (!message || !username || !room) {
@@ -79,8 +90,11 @@ export function handleChatEvents(socket, io, allUsers) {
         return
       }
 
-      // Send message to all users in room
-      io.in(room).emit('receive_message', data)
+      // Send message to all users in room, stamped with the sender's identity
+      io.in(room).emit('receive_message', {
+        ...data,
+        user: getSocketUser(socket)
+      })
     } catch (error) {
       console.error('Error in send_message:', error)
       socket.emit('error', { message: 'Failed to send message' })
@@ -0,0 +1,178 @@
+/**
+ * Socket event schemas
+ * The payload every inbound socket event accepts, enforced for all events by
+ * the middleware in eventValidation.js. Each schema maps a payload field to a
+ * rule:
+ *   type       - 'string', 'number', 'integer', 'boolean', 'array',
+ *                'object' or 'objectId'
+ *   required   - must be present (strings must also be non-blank)
+ *   enum       - allowed values
+ *   min, max   - bounds for numbers
+ *   maxLength  - longest string or array
+ *   minLength  - shortest string or array
+ *   items      - rule for each array element
+ *   properties - schema for the fields of an object
+ * Optional fields may be null. Fields not in the schema are left alone.
+ */
+
+import { TEST_TYPES } from '../models/testSession.js'
+import { LEVEL_COUNT } from '../services/fry-catalog.js'
+import { MAX_TIME_LIMIT_SECONDS } from '../services/session-timing.js'
+import { WORD_ORDERS } from '../services/word-queue.js'
+
+const MAX_MESSAGE_LENGTH = 2000
+const MAX_NOTE_LENGTH = 2000
+
+const sessionId = { type: 'string', required: true }
+const room = { type: 'string', required: true }
+const word = { type: 'string', required: true }
+const testType = { type: 'string', required: true, enum: TEST_TYPES }
+const score = { type: 'number', min: 0, max: 100 }
+const confidence = { type: 'number', min: 0, max: 1 }
+const responseTime = { type: 'number', min: 0 }
+const timeLimit = { type: 'number', min: 1, max: MAX_TIME_LIMIT_SECONDS }
+
+const testSessionSettings = {
+  fryLevel: { type: 'integer', min: 1, max: LEVEL_COUNT },
+  timeLimit,
+  autoAdvance: { type: 'boolean' },
+  order: { type: 'string', enum: WORD_ORDERS }
+}
+
+const wordList = { type: 'array', minLength: 1, items: { type: 'string' } }
+
+const presence = {
+  name: { type: 'string' },
+  status: { type: 'string' },
+  currentPath: { type: 'string' },
+  context: { type: 'string' },
+  practiceMode: { type: 'string' },
+  practiceSessionActive: { type: 'boolean' },
+  currentWord: { type: 'string' },
+  wordsCompleted: { type: 'integer', min: 0 },
+  totalWords: { type: 'integer', min: 0 },
+  isListening: { type: 'boolean' },
+  room: { type: 'string' },
+  invitedRoom: { type: 'string' }
+}
+
+const typing = { room, username: { type: 'string' } }
+
+const EVENT_SCHEMAS = {
+  // Chat
+  join_room: { room, username: { type: 'string' } },
+  send_message: {
+    message: { type: 'string', required: true, maxLength: MAX_MESSAGE_LENGTH },
+    username: { type: 'string', required: true },
+    room
+  },
+  request_room_users: { room },
+
+  // Status and presence
+  update_status: presence,
+  register_presence: presence,
+  update_presence: presence,
+  request_presence_snapshot: {},
+  unregister_presence: {},
+  request_testing_center_invite: {
+    room,
+    studentProfileIds: { type: 'array', items: { type: 'objectId' } },
+    classroomId: { type: 'objectId' }
+  },
+  typing_start: typing,
+  typing_stop: typing,
+  user_activity: {
+    ...presence,
+    activity: {
+      type: 'object',
+      required: true,
+      properties: {
+        type: { type: 'string' },
+        broadcast: { type: 'boolean' }
+      }
+    }
+  },
+
+  // Live testing
+  start_test_session: {
+    sessionId,
+    room,
+    testType,
+    wordsToTest: { ...wordList, required: true },
+    ...testSessionSettings
+  },
+  start_group_test_session: {
+    groupId: { type: 'objectId', required: true },
+    sessionId,
+    room,
+    testType,
+    wordsToTest: wordList,
+    ...testSessionSettings
+  },
+  next_word: { sessionId },
+  skip_word: { sessionId },
+  repeat_word: { sessionId },
+  send_test_word: {
+    sessionId,
+    word,
+    testType,
+    difficulty: { type: 'string', enum: ['easy', 'medium', 'hard'] },
+    room,
+    sequence: { type: 'integer', min: 1 }
+  },
+  submit_test_response: {
+    sessionId,
+    word,
+    testType,
+    studentId: { type: 'objectId' },
+    studentName: { type: 'string' },
+    response: { type: 'string' },
+    responseTime,
+    recognized: { type: 'boolean' },
+    confidence,
+    responseId: { type: 'string', maxLength: 100 }
+  },
+  save_assessment_note: {
+    sessionId,
+    word,
+    studentId: { type: 'objectId', required: true },
+    teacherNotes: { type: 'string', maxLength: MAX_NOTE_LENGTH },
+    score,
+    recognized: { type: 'boolean' },
+    testType: { ...testType, required: false },
+    response: { type: 'string' },
+    responseTime,
+    confidence,
+    studentName: { type: 'string' }
+  },
+  end_test_session: {
+    sessionId,
+    room,
+    completedCount: { type: 'integer', min: 0 },
+    totalWords: { type: 'integer', min: 0 }
+  },
+  request_word_pronunciation: { word, sessionId: { type: 'string' } },
+  update_test_settings: {
+    sessionId,
+    room,
+    settings: {
+      type: 'object',
+      required: true,
+      properties: {
+        timeLimit,
+        autoAdvance: { type: 'boolean' }
+      }
+    }
+  },
+  pause_test_session: {
+    sessionId,
+    reason: { type: 'string', maxLength: 200 }
+  },
+  resume_test_session: {
+    sessionId,
+    username: { type: 'string' },
+    unpause: { type: 'boolean' }
+  }
+}
+
+export { EVENT_SCHEMAS }
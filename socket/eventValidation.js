@@ -0,0 +1,160 @@
+/**
+ * Socket event validation
+ * Checks every inbound event's payload against its schema in eventSchemas.js
+ * before any handler runs. Invalid payloads are answered with a
+ * `validation_error` instead of reaching the handler.
+ */
+
+import mongoose from 'mongoose'
+import { EVENT_SCHEMAS } from './eventSchemas.js'
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    typeof value === 'object' && value !== null && !Array.isArray(value),
+  objectId: (value) =>
+    typeof value === 'string' && mongoose.isValidObjectId(value)
+}
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+  objectId: 'a valid MongoDB ObjectId'
+}
+
+const isBlank = (value) =>
+  value === undefined ||
+  value === null ||
+  (typeof value === 'string' && !value.trim())
+
+/**
+ * Checks one value against its rule.
+ * @param {string} field - The field path, for messages.
+ * @param {Object} rule - The field's rule.
+ * @param {*} value - The value.
+ * @returns {Array<{ field: string, message: string }>} - Field errors.
+ */
+function checkField(field, rule, value) {
+  if (isBlank(value)) {
+    if (!rule.required) return []
+
+    const expected =
+      rule.type === 'string' ? 'a non-empty string' : TYPE_NAMES[rule.type]
+    return [{ field, message: `${field} is required and must be ${expected}` }]
+  }
+
+  if (!TYPE_CHECKS[rule.type](value)) {
+    return [{ field, message: `${field} must be ${TYPE_NAMES[rule.type]}` }]
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    return [
+      { field, message: `${field} must be one of: ${rule.enum.join(', ')}` }
+    ]
+  }
+
+  if (
+    (rule.min !== undefined && value < rule.min) ||
+    (rule.max !== undefined && value > rule.max)
+  ) {
+    const bounds =
+      rule.max === undefined
+        ? `at least ${rule.min}`
+        : rule.min === undefined
+        ? `at most ${rule.max}`
+        : `between ${rule.min} and ${rule.max}`
+    return [{ field, message: `${field} must be ${bounds}` }]
+  }
+
+  const unit = rule.type === 'array' ? 'items' : 'characters'
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return [
+      {
+        field,
+        message: `${field} must have at least ${rule.minLength} ${unit}`
+      }
+    ]
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return [
+      {
+        field,
+        message: `${field} must have at most ${rule.maxLength} ${unit}`
+      }
+    ]
+  }
+
+  if (rule.items) {
+    return value.flatMap((item, index) =>
+      checkField(`${field}[${index}]`, { ...rule.items, required: true }, item)
+    )
+  }
+
+  if (rule.properties) {
+    return checkFields(rule.properties, value, `${field}.`)
+  }
+
+  return []
+}
+
+const checkFields = (schema, payload, prefix = '') =>
+  Object.entries(schema).flatMap(([name, rule]) =>
+    checkField(`${prefix}${name}`, rule, payload[name])
+  )
+
+/**
+ * Validates an event payload against a schema.
+ * @param {Object} schema - Field rules, as in EVENT_SCHEMAS.
+ * @param {*} data - The payload. Undefined is treated as an empty object.
+ * @returns {Object} - `{ details, fields }`; both empty when valid.
+ */
+function validateEventPayload(schema, data) {
+  const payload = data === undefined ? {} : data
+  const errors = TYPE_CHECKS.object(payload)
+    ? checkFields(schema, payload)
+    : [{ field: 'payload', message: 'Payload must be an object' }]
+
+  return {
+    details: errors.map(({ message }) => message),
+    fields: [...new Set(errors.map(({ field }) => field))]
+  }
+}
+
+/**
+ * Per-socket middleware (`socket.use`) that validates every inbound event.
+ * Events without a schema are rejected too, so a new handler can't skip
+ * declaring one. On failure the client gets a `validation_error` event, and
+ * the same payload through its acknowledgement callback if it sent one.
+ * @param {Object} socket - The connected socket.
+ * @returns {Function} - The middleware.
+ */
+function validateSocketEvents(socket) {
+  return ([event, ...args], next) => {
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null
+    const schema = EVENT_SCHEMAS[event]
+    const { details, fields } = schema
+      ? validateEventPayload(schema, args[0])
+      : { details: [`Unknown event: ${event}`], fields: [] }
+
+    if (!details.length) return next()
+
+    const validationError = {
+      event,
+      err: 'Validation failed',
+      details,
+      fields
+    }
+    socket.emit('validation_error', validationError)
+    if (ack) ack(validationError)
+  }
+}
+
+export { validateEventPayload, validateSocketEvents }
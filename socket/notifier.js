@@ -0,0 +1,67 @@
+/**
+ * Socket notifier
+ * Lets HTTP controllers and services push events to connected profiles
+ */
+
+import { getProfileSocketIds } from './statusHandlers.js'
+
+let socketServer = null
+
+export function setSocketServer(io) {
+  socketServer = io
+}
+
+const authSessionRoom = (sessionId) => `auth-session:${sessionId}`
+const authUserRoom = (userId) => `auth-user:${userId}`
+
+/**
+ * Puts a freshly authenticated socket in the rooms revocations target.
+ * @param {Object} socket - The connected socket.
+ */
+export function joinAuthRooms(socket) {
+  const { authSessionId, user } = socket.data
+  const rooms = [
+    authSessionId && authSessionRoom(authSessionId),
+    user?._id && authUserRoom(user._id)
+  ].filter(Boolean)
+  if (rooms.length) socket.join(rooms)
+}
+
+/**
+ * Disconnects every socket opened with a revoked session's tokens.
+ * Does nothing when the socket server is not running (e.g. in tests).
+ * @param {string} sessionId - The AuthSession id.
+ */
+export function disconnectAuthSession(sessionId) {
+  socketServer?.in(authSessionRoom(sessionId)).disconnectSockets(true)
+}
+
+/**
+ * Disconnects every socket of a user whose sessions were all revoked.
+ * @param {string} userId - The user's id.
+ */
+export function disconnectUserSockets(userId) {
+  socketServer?.in(authUserRoom(userId)).disconnectSockets(true)
+}
+
+/**
+ * Emits an event to every socket registered for the given profiles.
+ * Does nothing when the socket server is not running (e.g. in tests).
+ * @param {string[]} profileIds - Target profile ids.
+ * @param {string} event - Event name.
+ * @param {Object} payload - Event payload.
+ * @returns {number} - Number of sockets the event was sent to.
+ */
+export function emitToProfiles(profileIds, event, payload) {
+  if (!socketServer) return 0
+
+  let delivered = 0
+  new Set(profileIds.map(String)).forEach((profileId) => {
+    getProfileSocketIds(profileId).forEach((socketId) => {
+      socketServer.to(socketId).emit(event, payload)
+      delivered++
+    })
+  })
+
+  return delivered
+}
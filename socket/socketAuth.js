@@ -0,0 +1,43 @@
+/**
+ * Socket authentication
+ * Verifies the JWT on the Socket.IO handshake and exposes the caller's identity
+ */
+
+import { verifyAccessToken, tokenErrorMessage } from '../middleware/auth.js'
+
+const getHandshakeToken = (handshake) =>
+  handshake.auth?.token ||
+  handshake.headers?.authorization ||
+  handshake.query?.token ||
+  null
+
+/**
+ * Socket.IO middleware: rejects the connection unless it carries a valid
+ * token, and stores the decoded user on `socket.data.user` and its session
+ * id on `socket.data.authSessionId`.
+ */
+export async function authenticateSocket(socket, next) {
+  const token = getHandshakeToken(socket.handshake)
+  if (!token) {
+    return next(new Error('Not Authorized'))
+  }
+
+  try {
+    const { user, sessionId } = await verifyAccessToken(token)
+    socket.data.user = user
+    socket.data.authSessionId = sessionId
+    next()
+  } catch (err) {
+    next(new Error(tokenErrorMessage(err)))
+  }
+}
+
+export const getSocketUser = (socket) => socket.data?.user || null
+
+export const getSocketProfileId = (socket) => {
+  const profile = getSocketUser(socket)?.profile
+  return profile ? String(profile._id || profile) : null
+}
+
+export const hasSocketRole = (socket, ...roles) =>
+  roles.includes(getSocketUser(socket)?.role)
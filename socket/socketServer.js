@@ -7,7 +7,13 @@ import { Server } from 'socket.io'
 import { leaveRoom } from '../utils/leave-room.js'
 import { handleChatEvents } from './chatHandlers.js'
 import { handleStatusEvents } from './statusHandlers.js'
-import { handleTestingEvents } from './testingHandlers.js'
+import {
+  handleTestingEvents,
+  startTestSessionRecovery
+} from './testingHandlers.js'
+import { joinAuthRooms, setSocketServer } from './notifier.js'
+import { authenticateSocket } from './socketAuth.js'
+import { validateSocketEvents } from './eventValidation.js'
 
 export function initializeSocketServer(server) {
   const io = new Server(server, {
@@ -24,12 +30,26 @@ export function initializeSocketServer(server) {
     }
   })
 
+  // Every connection must present the same JWT the REST API uses
+  io.use(authenticateSocket)
+
+  setSocketServer(io)
+
+  // Bring back live test sessions from before a restart and sweep abandoned ones
+  startTestSessionRecovery(io)
+
   let allUsers = [] // All users across all rooms
 
   // Listen for client connections
   io.on('connection', (socket) => {
     console.log(`User connected: ${socket.id}`)
 
+    // Lets a logout or password change drop this socket
+    joinAuthRooms(socket)
+
+    // Reject malformed payloads before any handler sees them
+    socket.use(validateSocketEvents(socket))
+
     // Initialize chat handlers
     const chatHandlers = handleChatEvents(socket, io, allUsers)
 
@@ -3,20 +3,16 @@
  * Handles all status-related socket events for user presence and activities
  */
 
+import {
+  getSocketProfileId,
+  getSocketUser,
+  hasSocketRole
+} from './socketAuth.js'
+import { Classroom } from '../models/classroom.js'
+
 const presenceByProfileId = new Map()
 const socketToProfileId = new Map()
 
-const getProfileId = (userLike, explicitProfileId = null) => {
-  if (explicitProfileId) return explicitProfileId
-  if (!userLike) return null
-
-  if (typeof userLike === 'string') {
-    return userLike
-  }
-
-  return userLike.profile || userLike._id || userLike.id || null
-}
-
 const serializePresenceEntry = (entry) => ({
   profileId: entry.profileId,
   name: entry.name,
@@ -36,6 +32,16 @@ const serializePresenceEntry = (entry) => ({
   socketCount: entry.socketIds.size
 })
 
+/**
+ * Socket ids currently registered for a profile via presence events.
+ * @param {string} profileId - The profile id.
+ * @returns {string[]} - Connected socket ids (empty when offline).
+ */
+export function getProfileSocketIds(profileId) {
+  const presenceEntry = presenceByProfileId.get(String(profileId))
+  return presenceEntry ? Array.from(presenceEntry.socketIds) : []
+}
+
 export function handleStatusEvents(socket, io, allUsers) {
   const emitPresenceUpdate = (profileId) => {
     const presenceEntry = presenceByProfileId.get(profileId)
@@ -50,14 +56,16 @@ export function handleStatusEvents(socket, io, allUsers) {
     Array.from(presenceByProfileId.values()).map(serializePresenceEntry)
 
   const upsertPresence = (data = {}) => {
-    const profileId = getProfileId(data.user, data.profileId)
+    // Presence is always recorded against the authenticated profile
+    const socketUser = getSocketUser(socket)
+    const profileId = getSocketProfileId(socket)
     if (!profileId) return null
 
     const existingEntry = presenceByProfileId.get(profileId) || {
       profileId,
       socketIds: new Set(),
-      name: data.user?.name || data.name || 'Unknown User',
-      role: data.user?.role || data.role || null,
+      name: socketUser?.name || data.name || 'Unknown User',
+      role: socketUser?.role || null,
       status: 'online',
       currentPath: null,
       context: 'online',
@@ -73,8 +81,8 @@ export function handleStatusEvents(socket, io, allUsers) {
     }
 
     existingEntry.socketIds.add(socket.id)
-    existingEntry.name = data.user?.name || data.name || existingEntry.name
-    existingEntry.role = data.user?.role || data.role || existingEntry.role
+    existingEntry.name = socketUser?.name || data.name || existingEntry.name
+    existingEntry.role = socketUser?.role || existingEntry.role
     existingEntry.status = data.status || 'online'
     existingEntry.currentPath = Object.prototype.hasOwnProperty.call(
       data,
@@ -152,7 +160,8 @@ export function handleStatusEvents(socket, io, allUsers) {
   // Handle user status updates (online, offline, typing, etc.)
   socket.on('update_status', (data) => {
     try {
-      const { status, room, user } = data
+      const { status, room } = data
+      const user = getSocketUser(socket)
 
       // Find user in allUsers array
       const userIndex = allUsers.findIndex((u) => u.id === socket.id)
@@ -212,15 +221,72 @@ export function handleStatusEvents(socket, io, allUsers) {
     }
   })
 
-  socket.on('request_testing_center_invite', (data) => {
+  /**
+   * Resolves who a testing center invite goes to. With a classroomId the
+   * sender must teach that classroom, and the invite goes to the listed
+   * students who are in it (or the whole class when none are listed).
+   */
+  const resolveInviteRecipients = async (classroomId, studentProfileIds) => {
+    if (!classroomId) {
+      return { studentProfileIds }
+    }
+
+    const classroom =
+      await Classroom.findById(classroomId).select('teachers students')
+    const teacherId = getSocketProfileId(socket)
+
+    if (
+      !classroom ||
+      !classroom.teachers.some((id) => String(id) === teacherId)
+    ) {
+      return { error: 'You do not teach this classroom' }
+    }
+
+    const classStudentIds = classroom.students.map(String)
+    return {
+      studentProfileIds: studentProfileIds.length
+        ? studentProfileIds.filter((id) => classStudentIds.includes(String(id)))
+        : classStudentIds
+    }
+  }
+
+  socket.on('request_testing_center_invite', async (data) => {
     try {
-      const { studentProfileIds = [], room, teacherId, teacherName } = data
+      const { room, classroomId } = data
+
+      if (!hasSocketRole(socket, 'teacher')) {
+        socket.emit('testing_center_invite_result', {
+          room,
+          results: [],
+          error: 'Only teachers can send testing center invites'
+        })
+        return
+      }
+
+      if (!Array.isArray(data.studentProfileIds ?? [])) {
+        socket.emit('testing_center_invite_result', {
+          room,
+          results: [],
+          error: 'studentProfileIds must be an array'
+        })
+        return
+      }
+
+      const { studentProfileIds = [], error } = await resolveInviteRecipients(
+        classroomId,
+        data.studentProfileIds || []
+      )
+
+      if (error) {
+        socket.emit('testing_center_invite_result', {
+          room,
+          results: [],
+          error
+        })
+        return
+      }
 
-      if (
-        !room ||
-        !Array.isArray(studentProfileIds) ||
-        !studentProfileIds.length
-      ) {
+      if (!room || !studentProfileIds.length) {
         socket.emit('testing_center_invite_result', {
           room,
           results: [],
@@ -231,8 +297,9 @@ export function handleStatusEvents(socket, io, allUsers) {
 
       const invitation = {
         room,
-        teacherId,
-        teacherName,
+        classroomId: classroomId || null,
+        teacherId: getSocketProfileId(socket),
+        teacherName: getSocketUser(socket)?.name,
         sentAt: Date.now()
       }
 
@@ -297,7 +364,8 @@ export function handleStatusEvents(socket, io, allUsers) {
   // Handle user activity tracking
   socket.on('user_activity', (data) => {
     try {
-      const { activity, room, user } = data
+      const { activity, room } = data
+      const user = getSocketUser(socket)
 
       // Update user's last activity
       const userIndex = allUsers.findIndex((u) => u.id === socket.id)
@@ -4,9 +4,109 @@
  */
 
 import { Profile } from '../models/profile.js'
-
+import { Assessment } from '../models/assessment.js'
+import { TestSession } from '../models/testSession.js'
+import { findUnknownWords, isValidLevel } from '../services/fry-catalog.js'
+import { checkLevelAdvancement } from '../services/level-advancement.js'
+import { findGroup } from '../services/small-groups.js'
+import { diffFields, recordAudit } from '../services/audit-log.js'
+import {
+  MAX_TIME_LIMIT_SECONDS,
+  getSessionDurationMs,
+  getWordElapsedMs,
+  getWordTimeLimitMs,
+  getWordRemainingMs,
+  startWordClock,
+  stopWordClock,
+  pauseSessionClock,
+  resumeSessionClock
+} from '../services/session-timing.js'
+import {
+  WORD_ORDERS,
+  initWordQueue,
+  clearMissedResponses,
+  getQueuedWord,
+  advanceWordQueue,
+  getWordQueueState
+} from '../services/word-queue.js'
+import { buildSessionDashboard } from '../services/session-dashboard.js'
+import {
+  closeLiveSession,
+  loadActiveLiveSessions,
+  saveLiveSession
+} from '../services/live-session-store.js'
+import {
+  getSocketProfileId,
+  getSocketUser,
+  hasSocketRole
+} from './socketAuth.js'
+import { emitToProfiles } from './notifier.js'
+
+// In-memory cache of live sessions; every change is written through to the
+// LiveTestSession collection so sessions survive a restart
 const activeTestSessions = new Map()
 
+// Per-word time limit timers by session id. Not persisted: rebuilt from the
+// session's word clock when sessions are restored.
+const wordTimers = new Map()
+
+// Throttled session_dashboard streams: sessionId -> { timer, lastSentAt }
+const dashboardStreams = new Map()
+
+// Recent submit_test_response results by idempotency key:
+// key -> { result (a promise), expiresAt }
+const submissionResults = new Map()
+
+const parsePositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10)
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback
+}
+
+// Sessions with no activity for this long are auto-completed or cancelled
+const SESSION_TIMEOUT_MS = parsePositiveInt(
+  process.env.LIVE_SESSION_TIMEOUT_MS,
+  30 * 60 * 1000
+)
+// Paused sessions get longer, counted from when the pause began
+const PAUSED_SESSION_TIMEOUT_MS = parsePositiveInt(
+  process.env.LIVE_SESSION_PAUSE_TIMEOUT_MS,
+  4 * 60 * 60 * 1000
+)
+const SWEEP_INTERVAL_MS = 60 * 1000
+
+// The teacher's session_dashboard is sent at most this often
+const DASHBOARD_THROTTLE_MS = parsePositiveInt(
+  process.env.SESSION_DASHBOARD_THROTTLE_MS,
+  1000
+)
+
+const TIME_LIMIT_ERROR = `Time limit must be between 1 and ${MAX_TIME_LIMIT_SECONDS} seconds`
+
+// How long a submission's result is kept to answer retries of it
+const SUBMISSION_RESULT_TTL_MS = 10 * 60 * 1000
+
+const isValidTimeLimit = (timeLimit) =>
+  Number.isFinite(timeLimit) &&
+  timeLimit > 0 &&
+  timeLimit <= MAX_TIME_LIMIT_SECONDS
+
+// Response ids are client-generated, so they are only unique per student
+const getSubmissionKey = (sessionId, studentProfileId, responseId) =>
+  `${sessionId}:${studentProfileId}:${responseId}`
+
+const rememberSubmission = (key, result, now = Date.now()) => {
+  submissionResults.forEach((entry, entryKey) => {
+    if (entry.expiresAt <= now) submissionResults.delete(entryKey)
+  })
+  submissionResults.set(key, {
+    result,
+    expiresAt: now + SUBMISSION_RESULT_TTL_MS
+  })
+}
+
+// Assessment fields a teacher's note can change
+const ASSESSMENT_NOTE_AUDIT_FIELDS = ['teacherNotes', 'score']
+
 const getProfileId = (userLike) => {
   if (!userLike) return null
 
@@ -50,15 +150,19 @@ const buildSessionRecord = ({
   studentProfileId,
   startTime,
   fryLevel,
+  timeLimit,
   status = 'active',
   endTime,
+  duration,
   results
 }) => ({
   sessionId,
+  source: 'live',
   sessionType,
   testType,
   wordsUsed: [...wordsToTest],
   sessionSettings: {
+    ...(timeLimit && { timeLimit }),
     wordCount: wordsToTest.length,
     testTypes: [testType]
   },
@@ -72,6 +176,7 @@ const buildSessionRecord = ({
   studentId: studentProfileId,
   startTime,
   endTime,
+  duration,
   status,
   teacherNotes: 'Teacher-led live session',
   fryLevel
@@ -83,20 +188,27 @@ const createActiveStudentSessionRecord = async (session, studentProfileId) => {
   const sessionType =
     session.participantProfileIds.size > 1 ? 'group' : 'individual'
 
-  await Profile.findByIdAndUpdate(studentProfileId, {
-    $push: {
-      testSessions: buildSessionRecord({
-        sessionId: session.sessionId,
-        sessionType,
-        testType: session.testType,
-        wordsToTest: session.wordsToTest,
-        teacherProfileId: session.teacherProfileId,
-        studentProfileId,
-        startTime: session.startTime,
-        fryLevel: session.fryLevel
-      })
-    }
-  })
+  // Upsert so a participant rejoining never gets a second session record
+  await TestSession.updateOne(
+    { profile: studentProfileId, sessionId: session.sessionId },
+    {
+      $setOnInsert: {
+        profile: studentProfileId,
+        ...buildSessionRecord({
+          sessionId: session.sessionId,
+          sessionType,
+          testType: session.testType,
+          wordsToTest: session.wordsToTest,
+          teacherProfileId: session.teacherProfileId,
+          studentProfileId,
+          startTime: session.startTime,
+          fryLevel: session.fryLevel,
+          timeLimit: session.timeLimit
+        })
+      }
+    },
+    { upsert: true }
+  )
 
   session.persistedParticipants.add(studentProfileId)
 }
@@ -134,6 +246,7 @@ const buildAssessmentRecord = (
   sessionId: session.sessionId
 })
 
+// Returns the assessment as it was before (null if new) and what was written
 const upsertStudentAssessment = async (
   studentProfileId,
   session,
@@ -142,10 +255,10 @@ const upsertStudentAssessment = async (
   recognized,
   score
 ) => {
-  if (!studentProfileId || !responseData) return false
+  if (!studentProfileId || !responseData) return null
 
-  const profile = await Profile.findById(studentProfileId)
-  if (!profile) return false
+  const profileExists = await Profile.exists({ _id: studentProfileId })
+  if (!profileExists) return null
 
   const assessmentRecord = buildAssessmentRecord(
     session,
@@ -155,30 +268,22 @@ const upsertStudentAssessment = async (
     score
   )
 
-  const existingAssessment = profile.assessments.find(
-    (assessment) =>
-      assessment.sessionId === session.sessionId &&
-      Array.isArray(assessment.words) &&
-      assessment.words.length === 1 &&
-      assessment.words[0] === responseData.word
+  // One single-word assessment per student, session and word
+  const result = await Assessment.findOneAndUpdate(
+    {
+      profile: studentProfileId,
+      sessionId: session.sessionId,
+      words: [responseData.word]
+    },
+    { $set: { ...assessmentRecord, profile: studentProfileId } },
+    { upsert: true, runValidators: true, rawResult: true }
   )
 
-  if (existingAssessment) {
-    existingAssessment.testType = assessmentRecord.testType
-    existingAssessment.words = assessmentRecord.words
-    existingAssessment.responses = assessmentRecord.responses
-    existingAssessment.score = assessmentRecord.score
-    existingAssessment.duration = assessmentRecord.duration
-    existingAssessment.teacherNotes = assessmentRecord.teacherNotes
-    existingAssessment.assessmentData = assessmentRecord.assessmentData
-    existingAssessment.difficulty = assessmentRecord.difficulty
-    existingAssessment.date = assessmentRecord.date
-  } else {
-    profile.assessments.push(assessmentRecord)
+  return {
+    assessmentId: result?.value?._id || result?.lastErrorObject?.upserted,
+    previous: result?.value || null,
+    record: assessmentRecord
   }
-
-  await profile.save()
-  return true
 }
 
 const buildParticipantResults = (session, studentProfileId) => {
@@ -200,7 +305,9 @@ const buildParticipantResults = (session, studentProfileId) => {
       : response.recognized
   ).length
 
+  // Words that ran out of time have no response time to average
   const responseTimes = completedResponses
+    .filter((response) => !response.noResponse)
     .map((response) => response.responseTime)
     .filter((value) => typeof value === 'number' && value >= 0)
 
@@ -221,136 +328,725 @@ const buildParticipantResults = (session, studentProfileId) => {
   }
 }
 
-const finalizeStudentSession = async (session, studentProfileId, endTime) => {
+const finalizeStudentSession = async (
+  session,
+  studentProfileId,
+  endTime,
+  status = 'completed'
+) => {
   if (!studentProfileId) return
 
   const results = buildParticipantResults(session, studentProfileId)
+  const duration = getSessionDurationMs(session, endTime.getTime())
 
-  const updatedProfile = await Profile.findOneAndUpdate(
-    {
-      _id: studentProfileId,
-      'testSessions.sessionId': session.sessionId
-    },
-    {
-      $set: {
-        'testSessions.$.endTime': endTime,
-        'testSessions.$.status': 'completed',
-        'testSessions.$.results': results
-      }
-    },
+  const updatedSession = await TestSession.findOneAndUpdate(
+    { profile: studentProfileId, sessionId: session.sessionId },
+    { $set: { endTime, duration, status, results } },
     { new: true }
   )
 
-  if (!updatedProfile) {
+  if (!updatedSession) {
     const sessionType =
       session.participantProfileIds.size > 1 ? 'group' : 'individual'
 
-    await Profile.findByIdAndUpdate(studentProfileId, {
-      $push: {
-        testSessions: buildSessionRecord({
-          sessionId: session.sessionId,
-          sessionType,
-          testType: session.testType,
-          wordsToTest: session.wordsToTest,
-          teacherProfileId: session.teacherProfileId,
-          studentProfileId,
-          startTime: session.startTime,
-          fryLevel: session.fryLevel,
-          status: 'completed',
-          endTime,
-          results
-        })
-      }
+    await TestSession.create({
+      profile: studentProfileId,
+      ...buildSessionRecord({
+        sessionId: session.sessionId,
+        sessionType,
+        testType: session.testType,
+        wordsToTest: session.wordsToTest,
+        teacherProfileId: session.teacherProfileId,
+        studentProfileId,
+        startTime: session.startTime,
+        fryLevel: session.fryLevel,
+        timeLimit: session.timeLimit,
+        status,
+        endTime,
+        duration,
+        results
+      })
     })
   }
+
+  if (status === 'completed') {
+    await checkLevelAdvancement(studentProfileId)
+  }
 }
 
-export function handleTestingEvents(socket, io, allUsers) {
-  // Teacher starts a new test session
-  socket.on('start_test_session', async (data) => {
-    try {
-      const { sessionId, teacherId, room, testType, wordsToTest, fryLevel } =
-        data
+const hasRecordedResponses = (session) =>
+  Array.from(session.participants.values()).some(
+    (participantState) => participantState.responsesByWord.size > 0
+  )
 
-      // Validate required data
-      if (!sessionId || !teacherId || !room || !testType || !wordsToTest) {
-        socket.emit('test_error', {
-          message: 'Missing required test session data'
-        })
-        return
-      }
+// Students the session was started for and, for a whole-room session (not a
+// small group), students who have joined its room
+const isExpectedParticipant = (session, profileId, roomUser) =>
+  session.participantProfileIds.has(profileId) ||
+  session.persistedParticipants.has(profileId) ||
+  (!session.groupId && roomUser?.room === session.room)
+
+// A word from the session's queue, or the one the teacher sent
+const isSessionWord = (session, word) =>
+  session.currentWord === word ||
+  (session.wordQueue || session.wordsToTest).includes(word)
+
+const clearWordTimer = (sessionId) => {
+  clearTimeout(wordTimers.get(sessionId))
+  wordTimers.delete(sessionId)
+}
 
-      console.log(
-        `Teacher ${teacherId} starting test session ${sessionId} in room ${room}`
+/**
+ * (Re)starts the timer for the session's current word, for whatever time is
+ * left on it. Clears it when there is no limit, no word or the session is
+ * paused.
+ * @returns {number|null} - When the word expires (ms), or null.
+ */
+const scheduleWordTimer = (io, session) => {
+  clearWordTimer(session.sessionId)
+
+  const remainingMs = getWordRemainingMs(session)
+  if (remainingMs === null || session.pausedAt) return null
+
+  const { sessionId, currentWord } = session
+  const timer = setTimeout(() => {
+    expireWord(io, sessionId, currentWord).catch((error) => {
+      console.error('Error expiring test word:', error)
+    })
+  }, remainingMs)
+
+  timer.unref()
+  wordTimers.set(sessionId, timer)
+  return Date.now() + remainingMs
+}
+
+/**
+ * Puts a word on the clock and saves the session.
+ * @returns {Promise<Object>} - The `receive_test_word` payload.
+ */
+const beginWord = async (
+  io,
+  session,
+  { word, testType, difficulty, sequence }
+) => {
+  startWordClock(session, word, sequence)
+  const expiresAt = scheduleWordTimer(io, session)
+  await saveLiveSession(session)
+
+  return {
+    sessionId: session.sessionId,
+    word,
+    testType: testType || session.testType,
+    difficulty: difficulty || 'medium',
+    sequence,
+    timeLimit: session.timeLimit || null,
+    expiresAt,
+    timestamp: Date.now()
+  }
+}
+
+// Only the session teacher's sockets join this room
+const getTeacherRoom = (sessionId) => `test-session:${sessionId}:teacher`
+
+const emitWordQueueState = (io, session) => {
+  io.to(getTeacherRoom(session.sessionId)).emit(
+    'word_queue_updated',
+    getWordQueueState(session)
+  )
+}
+
+const sendSessionDashboard = (io, sessionId) => {
+  const stream = dashboardStreams.get(sessionId)
+  if (stream) {
+    stream.timer = null
+    stream.lastSentAt = Date.now()
+  }
+
+  const session = activeTestSessions.get(sessionId)
+  if (!session) return
+
+  io.to(getTeacherRoom(sessionId)).emit(
+    'session_dashboard',
+    buildSessionDashboard(session)
+  )
+}
+
+/**
+ * Sends the teacher an updated dashboard, at most once per throttle
+ * window. Changes inside a window go out together at its end.
+ */
+const queueSessionDashboard = (io, session) => {
+  const { sessionId } = session
+  const stream = dashboardStreams.get(sessionId) || {
+    timer: null,
+    lastSentAt: 0
+  }
+  dashboardStreams.set(sessionId, stream)
+  if (stream.timer) return
+
+  const waitMs = Math.max(
+    0,
+    stream.lastSentAt + DASHBOARD_THROTTLE_MS - Date.now()
+  )
+  stream.timer = setTimeout(() => sendSessionDashboard(io, sessionId), waitMs)
+  stream.timer.unref()
+}
+
+const stopSessionDashboard = (sessionId) => {
+  clearTimeout(dashboardStreams.get(sessionId)?.timer)
+  dashboardStreams.delete(sessionId)
+}
+
+/**
+ * Shows a word from the queue: sends it to the room, starts its clock and
+ * gives the teacher the new queue state. Missed answers to a word shown
+ * again are cleared so those students can retry it.
+ */
+const presentWord = async (io, session, word, extra = {}) => {
+  clearMissedResponses(session, word)
+  const payload = await beginWord(io, session, {
+    word,
+    sequence: session.queueCursor + 1
+  })
+
+  io.to(session.room).emit('receive_test_word', { ...payload, ...extra })
+  emitWordQueueState(io, session)
+  queueSessionDashboard(io, session)
+}
+
+/**
+ * Moves the word queue on and shows the next word.
+ * @returns {Promise<string|null>} - The word shown, or null when the queue
+ *   is finished.
+ */
+const presentNextWord = async (
+  io,
+  session,
+  { skip = false, ...extra } = {}
+) => {
+  const word = advanceWordQueue(session, { skip })
+
+  if (!word) {
+    clearWordTimer(session.sessionId)
+    stopWordClock(session)
+    session.currentWord = null
+    await saveLiveSession(session)
+    emitWordQueueState(io, session)
+    queueSessionDashboard(io, session)
+    return null
+  }
+
+  await presentWord(io, session, word, extra)
+  return word
+}
+
+/**
+ * The current word's time limit ran out: every participant who hasn't
+ * answered gets a "no response", scored as not recognized. With
+ * `autoAdvance` the queue moves on to the next word.
+ */
+async function expireWord(io, sessionId, word) {
+  const session = activeTestSessions.get(sessionId)
+  if (!session || session.currentWord !== word || session.pausedAt) return
+
+  wordTimers.delete(sessionId)
+  const timeLimitMs = getWordTimeLimitMs(session)
+  stopWordClock(session)
+
+  const noResponseStudentIds = []
+  for (const studentProfileId of session.participantProfileIds) {
+    const participantState = getOrCreateParticipantState(
+      session,
+      studentProfileId
+    )
+    if (participantState.responsesByWord.has(word)) continue
+
+    const noResponse = {
+      word,
+      studentId: studentProfileId,
+      response: null,
+      responseTime: timeLimitMs || 0,
+      testType: session.testType,
+      recognized: false,
+      confidence: 0,
+      noResponse: true,
+      submittedAt: new Date()
+    }
+    participantState.responsesByWord.set(word, noResponse)
+
+    if (!session.persistedParticipants.has(studentProfileId)) {
+      await createActiveStudentSessionRecord(session, studentProfileId)
+    }
+    await upsertStudentAssessment(
+      studentProfileId,
+      session,
+      noResponse,
+      '',
+      false,
+      0
+    )
+    noResponseStudentIds.push(studentProfileId)
+  }
+
+  await saveLiveSession(session)
+  queueSessionDashboard(io, session)
+
+  io.to(session.room).emit('word_time_expired', {
+    sessionId,
+    word,
+    noResponseStudentIds,
+    expiredAt: Date.now()
+  })
+
+  if (session.autoAdvance) {
+    await presentNextWord(io, session, { autoAdvanced: true })
+  }
+}
+
+/**
+ * Loads active sessions persisted before a restart back into memory.
+ * @returns {Promise<number>} - Number of sessions restored.
+ */
+export async function restoreActiveTestSessions() {
+  const sessions = await loadActiveLiveSessions()
+  sessions.forEach((session) => {
+    activeTestSessions.set(session.sessionId, session)
+  })
+
+  return sessions.length
+}
+
+// Cancels live test sessions left 'active' with no live session behind them
+// (e.g. from a crash before live sessions were persisted). Sessions created
+// through the REST API are never touched.
+const cancelOrphanedTestSessions = async (cutoff, now) => {
+  await TestSession.updateMany(
+    {
+      source: 'live',
+      status: 'active',
+      startTime: { $lt: cutoff },
+      sessionId: { $exists: true, $nin: Array.from(activeTestSessions.keys()) }
+    },
+    { $set: { status: 'cancelled', endTime: now } }
+  )
+}
+
+/**
+ * Ends sessions abandoned past the timeout: ones with recorded responses are
+ * completed with what was collected, empty ones are cancelled. A paused
+ * session is only abandoned once its pause outlasts the paused timeout.
+ * @param {Object} io - The Socket.IO server.
+ * @param {number} [timeoutMs] - Inactivity timeout.
+ * @param {number} [pausedTimeoutMs] - Longest pause before a session is
+ *   treated as abandoned.
+ * @returns {Promise<string[]>} - Ids of the sessions that were closed.
+ */
+export async function sweepAbandonedTestSessions(
+  io,
+  timeoutMs = SESSION_TIMEOUT_MS,
+  pausedTimeoutMs = PAUSED_SESSION_TIMEOUT_MS
+) {
+  const now = new Date()
+  const cutoff = new Date(now.getTime() - timeoutMs)
+  const pausedCutoff = new Date(now.getTime() - pausedTimeoutMs)
+  const closedSessionIds = []
+
+  for (const session of activeTestSessions.values()) {
+    const idleSince = session.pausedAt
+      ? new Date(session.pausedAt)
+      : new Date(session.lastActivity || session.startTime)
+    if (idleSince >= (session.pausedAt ? pausedCutoff : cutoff)) continue
+
+    const status = hasRecordedResponses(session) ? 'completed' : 'cancelled'
+    const participantProfileIds = [
+      ...new Set([
+        ...session.participantProfileIds,
+        ...session.persistedParticipants
+      ])
+    ]
+
+    await Promise.all(
+      participantProfileIds.map((studentProfileId) =>
+        finalizeStudentSession(session, studentProfileId, now, status)
       )
+    )
+    await closeLiveSession(session.sessionId, status, now)
+    clearWordTimer(session.sessionId)
+    stopSessionDashboard(session.sessionId)
+    activeTestSessions.delete(session.sessionId)
+    closedSessionIds.push(session.sessionId)
+
+    io.to(session.room).emit('test_session_ended', {
+      sessionId: session.sessionId,
+      endTime: now.getTime(),
+      status,
+      reason: 'abandoned'
+    })
+  }
 
-      const teacher = allUsers.find((user) => user.id === socket.id)
-      const teacherProfileId = getProfileId(teacher?.user) || teacherId
-      const participantProfileIds = [
-        ...new Set(
+  await cancelOrphanedTestSessions(cutoff, now)
+  return closedSessionIds
+}
+
+/**
+ * Restores persisted sessions and starts the abandoned-session sweeper.
+ * @param {Object} io - The Socket.IO server.
+ * @returns {Object} - The sweeper interval (unref'd).
+ */
+export function startTestSessionRecovery(io) {
+  restoreActiveTestSessions()
+    .then((count) => {
+      if (count) console.log(`Restored ${count} active test session(s)`)
+      activeTestSessions.forEach((session) => scheduleWordTimer(io, session))
+      return sweepAbandonedTestSessions(io)
+    })
+    .catch((error) => {
+      console.error('Error restoring test sessions:', error)
+    })
+
+  const sweepInterval = setInterval(() => {
+    sweepAbandonedTestSessions(io).catch((error) => {
+      console.error('Error sweeping abandoned test sessions:', error)
+    })
+  }, SWEEP_INTERVAL_MS)
+
+  sweepInterval.unref()
+  return sweepInterval
+}
+
+export function handleTestingEvents(socket, io, allUsers) {
+  // Emits a test_error and returns true unless the caller has the given role
+  const rejectUnlessRole = (role, action) => {
+    if (hasSocketRole(socket, role)) return false
+
+    socket.emit('test_error', { message: `Only ${role}s can ${action}` })
+    return true
+  }
+
+  // Only the teacher who started a live session may drive it, and only
+  // while it is live
+  const rejectUnlessSessionTeacher = (activeSession, sessionId) => {
+    if (!activeSession) {
+      socket.emit('test_error', {
+        message: 'Test session is no longer active',
+        sessionId
+      })
+      return true
+    }
+
+    if (String(activeSession.teacherProfileId) === getSocketProfileId(socket)) {
+      return false
+    }
+
+    socket.emit('test_error', {
+      message: 'Only the teacher running this session can change it'
+    })
+    return true
+  }
+
+  /**
+   * Validates and starts a live test session driven by this teacher socket.
+   * Participants default to the students currently in the room.
+   * @returns {Promise<Object|null>} - The session, or null after a test_error.
+   */
+  const startTestSession = async ({
+    sessionId,
+    room,
+    testType,
+    wordsToTest,
+    fryLevel,
+    timeLimit,
+    autoAdvance,
+    order,
+    participantProfileIds,
+    groupId
+  }) => {
+    // Validate required data
+    if (!sessionId || !room || !testType || !wordsToTest) {
+      socket.emit('test_error', {
+        message: 'Missing required test session data'
+      })
+      return null
+    }
+
+    // Never replace a running session, or its responses would be lost
+    if (activeTestSessions.has(sessionId)) {
+      socket.emit('test_error', {
+        message: 'A test session with this id is already running',
+        sessionId
+      })
+      return null
+    }
+
+    if (fryLevel !== undefined && !isValidLevel(fryLevel)) {
+      socket.emit('test_error', { message: 'Invalid Fry level' })
+      return null
+    }
+
+    if (timeLimit != null && !isValidTimeLimit(timeLimit)) {
+      socket.emit('test_error', { message: TIME_LIMIT_ERROR })
+      return null
+    }
+
+    if (order !== undefined && !WORD_ORDERS.includes(order)) {
+      socket.emit('test_error', {
+        message: `Word order must be one of: ${WORD_ORDERS.join(', ')}`
+      })
+      return null
+    }
+
+    const unknownWords = Array.isArray(wordsToTest)
+      ? findUnknownWords(wordsToTest)
+      : null
+
+    if (!unknownWords || unknownWords.length) {
+      socket.emit('test_error', {
+        message: 'Words to test must all be Fry words',
+        unknownWords: unknownWords || []
+      })
+      return null
+    }
+
+    const teacherProfileId = getSocketProfileId(socket)
+
+    console.log(
+      `Teacher ${teacherProfileId} starting test session ${sessionId} in room ${room}`
+    )
+    const participants = [
+      ...new Set(
+        participantProfileIds ||
           allUsers
             .filter(
               (user) => user.room === room && user.user?.role === 'student'
             )
             .map((user) => getProfileId(user.user))
             .filter(Boolean)
-        )
-      ]
+      )
+    ]
+
+    const activeSession = {
+      sessionId,
+      room,
+      teacherProfileId,
+      groupId: groupId || null,
+      testType,
+      fryLevel,
+      wordsToTest: [...wordsToTest],
+      timeLimit: timeLimit || null,
+      autoAdvance: Boolean(autoAdvance),
+      pausedAt: null,
+      pausedMs: 0,
+      startTime: new Date(),
+      participantProfileIds: new Set(participants),
+      persistedParticipants: new Set(),
+      participants: new Map(
+        participants.map((profileId) => [profileId, createParticipantState()])
+      )
+    }
+
+    initWordQueue(activeSession, order)
+
+    await Promise.all(
+      participants.map((profileId) =>
+        createActiveStudentSessionRecord(activeSession, profileId)
+      )
+    )
+
+    activeTestSessions.set(sessionId, activeSession)
+    await saveLiveSession(activeSession)
+    socket.join(getTeacherRoom(sessionId))
+    queueSessionDashboard(io, activeSession)
+
+    // Broadcast test session start to all students in the room
+    socket.to(room).emit('test_session_started', {
+      sessionId,
+      teacherId: teacherProfileId,
+      testType,
+      fryLevel,
+      groupId,
+      wordsCount: wordsToTest.length,
+      timeLimit: activeSession.timeLimit,
+      startTime: Date.now()
+    })
+
+    // Confirm to teacher
+    socket.emit('test_session_confirmed', {
+      sessionId,
+      groupId,
+      message: 'Test session started successfully',
+      studentsNotified: true,
+      persistedStudents: participants.length,
+      queue: getWordQueueState(activeSession)
+    })
+
+    return activeSession
+  }
+
+  // Teacher starts a new test session
+  socket.on('start_test_session', async (data) => {
+    try {
+      const {
+        sessionId,
+        room,
+        testType,
+        wordsToTest,
+        fryLevel,
+        timeLimit,
+        autoAdvance,
+        order
+      } = data
+
+      if (rejectUnlessRole('teacher', 'start test sessions')) return
 
-      const activeSession = {
+      await startTestSession({
         sessionId,
         room,
-        teacherProfileId,
         testType,
+        wordsToTest,
         fryLevel,
-        wordsToTest: [...wordsToTest],
-        startTime: new Date(),
-        participantProfileIds: new Set(participantProfileIds),
-        persistedParticipants: new Set(),
-        participants: new Map(
-          participantProfileIds.map((profileId) => [
-            profileId,
-            createParticipantState()
-          ])
-        )
+        timeLimit,
+        autoAdvance,
+        order
+      })
+    } catch (error) {
+      console.error('Error in start_test_session:', error)
+      socket.emit('test_error', { message: 'Failed to start test session' })
+    }
+  })
+
+  // Teacher starts a session for one of their small groups. Every member is
+  // a participant, and the group's common words are tested unless the
+  // teacher picks the words.
+  socket.on('start_group_test_session', async (data) => {
+    try {
+      const {
+        groupId,
+        sessionId,
+        room,
+        testType,
+        wordsToTest,
+        fryLevel,
+        timeLimit,
+        autoAdvance,
+        order
+      } = data
+
+      if (rejectUnlessRole('teacher', 'start test sessions')) return
+
+      const group = groupId
+        ? await findGroup(getSocketProfileId(socket), groupId)
+        : null
+      if (!group) {
+        socket.emit('test_error', { message: 'Group not found' })
+        return
       }
 
-      await Promise.all(
-        participantProfileIds.map((profileId) =>
-          createActiveStudentSessionRecord(activeSession, profileId)
-        )
-      )
+      const members = (group.students || []).map(String)
+      if (!members.length) {
+        socket.emit('test_error', { message: 'Group has no students' })
+        return
+      }
 
-      activeTestSessions.set(sessionId, activeSession)
+      const words =
+        wordsToTest || (group.commonWords || []).map((entry) => entry.word)
+      if (!words.length) {
+        socket.emit('test_error', {
+          message: 'Group has no common words; choose words to test'
+        })
+        return
+      }
 
-      // Broadcast test session start to all students in the room
-      socket.to(room).emit('test_session_started', {
+      const activeSession = await startTestSession({
         sessionId,
-        teacherId: teacherProfileId,
+        room,
         testType,
+        wordsToTest: words,
         fryLevel,
-        wordsCount: wordsToTest.length,
-        startTime: Date.now()
+        timeLimit,
+        autoAdvance,
+        order,
+        participantProfileIds: members,
+        groupId: String(group._id)
       })
+      if (!activeSession) return
 
-      // Confirm to teacher
-      socket.emit('test_session_confirmed', {
+      // Members who are not in the room yet are invited to join it
+      emitToProfiles(members, 'group_test_session_invitation', {
         sessionId,
-        message: 'Test session started successfully',
-        studentsNotified: true,
-        persistedStudents: participantProfileIds.length
+        room,
+        groupId: String(group._id),
+        groupName: group.name,
+        teacherId: activeSession.teacherProfileId,
+        testType,
+        wordsCount: words.length
       })
     } catch (error) {
-      console.error('Error in start_test_session:', error)
-      socket.emit('test_error', { message: 'Failed to start test session' })
+      console.error('Error in start_group_test_session:', error)
+      socket.emit('test_error', { message: 'Failed to start group session' })
+    }
+  })
+
+  // Registers a teacher command on the session's word queue
+  const onWordQueueCommand = (event, action, run) => {
+    socket.on(event, async (data) => {
+      try {
+        const { sessionId } = data || {}
+
+        if (rejectUnlessRole('teacher', action)) return
+
+        const activeSession = activeTestSessions.get(sessionId)
+        if (rejectUnlessSessionTeacher(activeSession, sessionId)) return
+
+        if (activeSession.pausedAt) {
+          socket.emit('test_error', {
+            message: 'Test session is paused',
+            sessionId
+          })
+          return
+        }
+
+        socket.join(getTeacherRoom(sessionId))
+        await run(activeSession)
+      } catch (error) {
+        console.error(`Error in ${event}:`, error)
+        socket.emit('test_error', { message: `Failed to ${action}` })
+      }
+    })
+  }
+
+  // Teacher moves on to the next word in the queue
+  onWordQueueCommand('next_word', 'send the next word', (activeSession) =>
+    presentNextWord(io, activeSession)
+  )
+
+  // Teacher moves on without the current word counting as missed
+  onWordQueueCommand('skip_word', 'skip words', (activeSession) =>
+    presentNextWord(io, activeSession, { skip: true })
+  )
+
+  // Teacher shows the current word again, with a fresh clock
+  onWordQueueCommand('repeat_word', 'repeat words', async (activeSession) => {
+    const word = getQueuedWord(activeSession)
+    if (!word) {
+      socket.emit('test_error', {
+        message: 'No word to repeat',
+        sessionId: activeSession.sessionId
+      })
+      return
     }
+
+    await presentWord(io, activeSession, word, { repeated: true })
   })
 
-  // Teacher sends a specific word to test
-  socket.on('send_test_word', (data) => {
+  // Teacher sends a specific word to test, outside the queue
+  socket.on('send_test_word', async (data) => {
     try {
       const { sessionId, word, testType, difficulty, room, sequence } = data
 
+      if (rejectUnlessRole('teacher', 'send test words')) return
+      const activeSession = activeTestSessions.get(sessionId)
+      if (rejectUnlessSessionTeacher(activeSession, sessionId)) return
+
       // Validate required data
       if (!sessionId || !word || !testType || !room) {
         socket.emit('test_error', {
@@ -359,22 +1055,30 @@ export function handleTestingEvents(socket, io, allUsers) {
         return
       }
 
+      if (activeSession.pausedAt) {
+        socket.emit('test_error', { message: 'Test session is paused' })
+        return
+      }
+
       console.log(`Sending test word "${word}" to room ${room}`)
 
-      // Send word to all students in the room
-      socket.to(room).emit('receive_test_word', {
-        sessionId,
+      // Starts the word's clock
+      const wordPayload = await beginWord(io, activeSession, {
         word,
         testType,
-        difficulty: difficulty || 'medium',
-        sequence: sequence || 1,
-        timestamp: Date.now()
+        difficulty,
+        sequence: sequence || 1
       })
 
+      // Send word to all students in the room
+      socket.to(room).emit('receive_test_word', wordPayload)
+      queueSessionDashboard(io, activeSession)
+
       // Confirm to teacher
       socket.emit('word_sent_confirmation', {
         sessionId,
         word,
+        expiresAt: wordPayload.expiresAt || null,
         sentAt: Date.now()
       })
     } catch (error) {
@@ -383,8 +1087,20 @@ export function handleTestingEvents(socket, io, allUsers) {
     }
   })
 
-  // Student submits response to a test word
-  socket.on('submit_test_response', async (data) => {
+  // Ends a submission without recording it, telling the student why
+  const failSubmission = (data, message, extra = {}) => {
+    socket.emit('test_error', { message, ...extra })
+    return {
+      status: 'failed',
+      sessionId: data.sessionId,
+      word: data.word,
+      responseId: data.responseId || null,
+      error: message
+    }
+  }
+
+  // Records a student's response and relays it to the teacher
+  const recordTestResponse = async (data) => {
     try {
       const {
         sessionId,
@@ -395,13 +1111,13 @@ export function handleTestingEvents(socket, io, allUsers) {
         responseTime,
         testType,
         recognized,
-        confidence
+        confidence,
+        responseId
       } = data
 
       // Validate required data
-      if (!sessionId || !word || !studentId || !testType) {
-        socket.emit('test_error', { message: 'Missing required response data' })
-        return
+      if (!sessionId || !word || !testType) {
+        return failSubmission(data, 'Missing required response data')
       }
 
       console.log(
@@ -411,93 +1127,183 @@ export function handleTestingEvents(socket, io, allUsers) {
       // Find the student's room
       const student = allUsers.find((user) => user.id === socket.id)
       if (!student) {
-        socket.emit('test_error', { message: 'Student not found in room' })
-        return
+        return failSubmission(data, 'Student not found in room')
+      }
+
+      // Responses are always recorded for the authenticated student
+      const studentProfileId = getSocketProfileId(socket)
+      if (studentId && String(studentId) !== studentProfileId) {
+        return failSubmission(
+          data,
+          'Cannot submit responses for another student'
+        )
       }
 
-      const studentProfileId = studentId || getProfileId(student.user)
+      // Only responses to a live session can be recorded
       const activeSession = activeTestSessions.get(sessionId)
-      const deliveryRoom = activeSession?.room || student.room
+      if (!activeSession || !studentProfileId) {
+        return failSubmission(data, 'Test session is no longer active', {
+          sessionId
+        })
+      }
 
-      if (activeSession && studentProfileId) {
-        activeSession.participantProfileIds.add(studentProfileId)
+      if (!isExpectedParticipant(activeSession, studentProfileId, student)) {
+        return failSubmission(data, 'You are not part of this test session', {
+          sessionId
+        })
+      }
 
-        if (!activeSession.persistedParticipants.has(studentProfileId)) {
-          await createActiveStudentSessionRecord(
-            activeSession,
-            studentProfileId
-          )
-        }
+      if (!isSessionWord(activeSession, word)) {
+        return failSubmission(data, 'Word is not part of this test session', {
+          word
+        })
+      }
 
-        const participantState = getOrCreateParticipantState(
-          activeSession,
-          studentProfileId
-        )
-        const existingResponse = participantState.responsesByWord.get(word) || {
-          word,
-          studentId: studentProfileId
-        }
+      if (activeSession.pausedAt) {
+        return failSubmission(data, 'Test session is paused')
+      }
 
-        participantState.responsesByWord.set(word, {
-          ...existingResponse,
-          word,
-          studentId: studentProfileId,
-          studentName,
-          response: response || null,
-          responseTime: responseTime || 0,
-          testType,
-          recognized: Boolean(recognized),
-          confidence: typeof confidence === 'number' ? confidence : 0,
-          submittedAt: new Date()
-        })
+      // Timed from when the word was sent, leaving out pauses
+      const measuredResponseTime =
+        activeSession.currentWord === word
+          ? getWordElapsedMs(activeSession)
+          : null
+      const recordedResponseTime = measuredResponseTime ?? (responseTime || 0)
 
-        const latestResponse = participantState.responsesByWord.get(word)
+      activeSession.participantProfileIds.add(studentProfileId)
 
-        await upsertStudentAssessment(
-          studentProfileId,
-          activeSession,
-          latestResponse,
-          existingResponse.teacherNotes || '',
-          typeof existingResponse.teacherRecognized === 'boolean'
-            ? existingResponse.teacherRecognized
-            : Boolean(recognized),
-          typeof existingResponse.score === 'number'
-            ? existingResponse.score
-            : normalizeScore(undefined, Boolean(recognized))
-        )
+      if (!activeSession.persistedParticipants.has(studentProfileId)) {
+        await createActiveStudentSessionRecord(activeSession, studentProfileId)
       }
 
-      if (!deliveryRoom) {
-        socket.emit('test_error', {
-          message: 'Unable to deliver student response to the teacher'
-        })
-        return
+      const participantState = getOrCreateParticipantState(
+        activeSession,
+        studentProfileId
+      )
+      const existingResponse = participantState.responsesByWord.get(word) || {
+        word,
+        studentId: studentProfileId
       }
 
+      if (existingResponse.noResponse) {
+        return failSubmission(data, 'Time ran out for this word', { word })
+      }
+
+      const submittedAt = new Date()
+      participantState.responsesByWord.set(word, {
+        ...existingResponse,
+        word,
+        studentId: studentProfileId,
+        studentName,
+        response: response || null,
+        responseTime: recordedResponseTime,
+        testType,
+        recognized: Boolean(recognized),
+        confidence: typeof confidence === 'number' ? confidence : 0,
+        submittedAt
+      })
+
+      const latestResponse = participantState.responsesByWord.get(word)
+      await upsertStudentAssessment(
+        studentProfileId,
+        activeSession,
+        latestResponse,
+        existingResponse.teacherNotes || '',
+        typeof existingResponse.teacherRecognized === 'boolean'
+          ? existingResponse.teacherRecognized
+          : Boolean(recognized),
+        typeof existingResponse.score === 'number'
+          ? existingResponse.score
+          : normalizeScore(undefined, Boolean(recognized))
+      )
+
+      // Stamped once the assessment is written, so a retry after a restart
+      // is only treated as a duplicate of a response that was recorded
+      latestResponse.responseId = responseId || null
+      await saveLiveSession(activeSession)
+      queueSessionDashboard(io, activeSession)
+
       // Send response to teacher (and other observers in the room)
-      socket.to(deliveryRoom).emit('student_test_response', {
+      socket.to(activeSession.room).emit('student_test_response', {
         sessionId,
         word,
         studentId: studentProfileId,
         studentName,
         response: response || null,
-        responseTime,
+        responseTime: recordedResponseTime,
         testType,
         recognized: recognized || false,
         confidence: confidence || 0,
         timestamp: Date.now()
       })
 
-      // Confirm to student
-      socket.emit('response_submitted', {
+      const result = {
+        status: 'persisted',
         sessionId,
         word,
-        submittedAt: Date.now()
-      })
+        responseId: responseId || null,
+        submittedAt: submittedAt.getTime()
+      }
+
+      // Confirm to student
+      socket.emit('response_submitted', result)
+      return result
     } catch (error) {
       console.error('Error in submit_test_response:', error)
-      socket.emit('test_error', { message: 'Failed to submit response' })
+      return failSubmission(data, 'Failed to submit response')
     }
+  }
+
+  // Student submits response to a test word. With a client-generated
+  // `responseId`, a retried submission is answered with the first attempt's
+  // result instead of being recorded again. The acknowledgement, if the
+  // client asked for one, carries the definitive persisted/failed result.
+  socket.on('submit_test_response', async (data, ack) => {
+    const reply = typeof ack === 'function' ? ack : () => {}
+
+    if (!hasSocketRole(socket, 'student')) {
+      reply(failSubmission(data, 'Only students can submit test responses'))
+      return
+    }
+
+    const { sessionId, word, responseId } = data
+    if (!responseId) {
+      reply(await recordTestResponse(data))
+      return
+    }
+
+    const studentProfileId = getSocketProfileId(socket)
+    const key = getSubmissionKey(sessionId, studentProfileId, responseId)
+    const earlier = submissionResults.get(key)
+    if (earlier) {
+      reply({ ...(await earlier.result), duplicate: true })
+      return
+    }
+
+    // Already recorded before a restart cleared the in-memory results
+    const recorded = activeTestSessions
+      .get(sessionId)
+      ?.participants.get(studentProfileId)
+      ?.responsesByWord.get(word)
+    if (recorded?.responseId === responseId) {
+      reply({
+        status: 'persisted',
+        sessionId,
+        word,
+        responseId,
+        submittedAt: new Date(recorded.submittedAt).getTime(),
+        duplicate: true
+      })
+      return
+    }
+
+    const result = recordTestResponse(data)
+    rememberSubmission(key, result)
+
+    const settled = await result
+    // Failed attempts aren't kept so the student can retry them
+    if (settled.status === 'failed') submissionResults.delete(key)
+    reply(settled)
   })
 
   // Teacher saves assessment notes for a student's response
@@ -517,6 +1323,8 @@ export function handleTestingEvents(socket, io, allUsers) {
         studentName
       } = data
 
+      if (rejectUnlessRole('teacher', 'save assessment notes')) return
+
       // Validate required data
       if (!sessionId || !word || !studentId) {
         socket.emit('test_error', {
@@ -525,6 +1333,9 @@ export function handleTestingEvents(socket, io, allUsers) {
         return
       }
 
+      const activeSession = activeTestSessions.get(sessionId)
+      if (rejectUnlessSessionTeacher(activeSession, sessionId)) return
+
       console.log(
         `Teacher saving assessment for student ${studentId}, word "${word}"`
       )
@@ -536,52 +1347,73 @@ export function handleTestingEvents(socket, io, allUsers) {
         return
       }
 
-      const activeSession = activeTestSessions.get(sessionId)
       const studentProfileId = studentId
 
-      if (activeSession && studentProfileId) {
-        activeSession.participantProfileIds.add(studentProfileId)
+      if (
+        !activeSession.participantProfileIds.has(studentProfileId) &&
+        !activeSession.persistedParticipants.has(studentProfileId)
+      ) {
+        socket.emit('test_error', {
+          message: 'Student is not part of this test session',
+          sessionId
+        })
+        return
+      }
 
-        if (!activeSession.persistedParticipants.has(studentProfileId)) {
-          await createActiveStudentSessionRecord(
-            activeSession,
-            studentProfileId
-          )
-        }
+      if (!activeSession.persistedParticipants.has(studentProfileId)) {
+        await createActiveStudentSessionRecord(activeSession, studentProfileId)
+      }
 
-        const participantState = getOrCreateParticipantState(
-          activeSession,
-          studentProfileId
-        )
-        const existingResponse = participantState.responsesByWord.get(word) || {
-          word,
-          studentId: studentProfileId,
-          studentName,
-          response: response || null,
-          responseTime: responseTime || 0,
-          testType: testType || activeSession.testType,
-          confidence: confidence || 0,
-          recognized: false
-        }
+      const participantState = getOrCreateParticipantState(
+        activeSession,
+        studentProfileId
+      )
+      const existingResponse = participantState.responsesByWord.get(word) || {
+        word,
+        studentId: studentProfileId,
+        studentName,
+        response: response || null,
+        responseTime: responseTime || 0,
+        testType: testType || activeSession.testType,
+        confidence: confidence || 0,
+        recognized: false
+      }
 
-        const updatedResponse = {
-          ...existingResponse,
-          teacherNotes,
-          teacherRecognized: Boolean(recognized),
-          score: normalizeScore(score, Boolean(recognized)),
-          assessedAt: new Date()
-        }
+      const updatedResponse = {
+        ...existingResponse,
+        teacherNotes,
+        teacherRecognized: Boolean(recognized),
+        score: normalizeScore(score, Boolean(recognized)),
+        assessedAt: new Date()
+      }
 
-        participantState.responsesByWord.set(word, updatedResponse)
+      participantState.responsesByWord.set(word, updatedResponse)
+      await saveLiveSession(activeSession)
 
-        await upsertStudentAssessment(
-          studentProfileId,
-          activeSession,
-          updatedResponse,
-          teacherNotes,
-          recognized,
-          score
-        )
+      const saved = await upsertStudentAssessment(
+        studentProfileId,
+        activeSession,
+        updatedResponse,
+        teacherNotes,
+        recognized,
+        score
+      )
+
+      queueSessionDashboard(io, activeSession)
+
+      if (saved) {
+        await recordAudit({
+          user: getSocketUser(socket),
+          action: 'assessment.note',
+          targetProfile: studentProfileId,
+          entity: { kind: 'assessment', id: saved.assessmentId },
+          changes: diffFields(
+            saved.previous,
+            saved.record,
+            ASSESSMENT_NOTE_AUDIT_FIELDS
+          ),
+          ip: socket.handshake?.address
+        })
       }
 
       // Broadcast assessment saved to room (for any observers)
@@ -613,6 +1445,8 @@ export function handleTestingEvents(socket, io, allUsers) {
     try {
       const { sessionId, room, completedCount, totalWords } = data
 
+      if (rejectUnlessRole('teacher', 'end test sessions')) return
+
       // Validate required data
       if (!sessionId || !room) {
         socket.emit('test_error', {
@@ -621,27 +1455,30 @@ export function handleTestingEvents(socket, io, allUsers) {
         return
       }
 
+      const activeSession = activeTestSessions.get(sessionId)
+      if (rejectUnlessSessionTeacher(activeSession, sessionId)) return
+
       console.log(`Ending test session ${sessionId} in room ${room}`)
 
-      const activeSession = activeTestSessions.get(sessionId)
       const endTime = new Date()
 
-      if (activeSession) {
-        const participantProfileIds = [
-          ...new Set([
-            ...activeSession.participantProfileIds,
-            ...activeSession.persistedParticipants
-          ])
-        ]
-
-        await Promise.all(
-          participantProfileIds.map((studentProfileId) =>
-            finalizeStudentSession(activeSession, studentProfileId, endTime)
-          )
+      const participantProfileIds = [
+        ...new Set([
+          ...activeSession.participantProfileIds,
+          ...activeSession.persistedParticipants
+        ])
+      ]
+
+      await Promise.all(
+        participantProfileIds.map((studentProfileId) =>
+          finalizeStudentSession(activeSession, studentProfileId, endTime)
         )
+      )
 
-        activeTestSessions.delete(sessionId)
-      }
+      await closeLiveSession(sessionId, 'completed', endTime)
+      clearWordTimer(sessionId)
+      stopSessionDashboard(sessionId)
+      activeTestSessions.delete(sessionId)
 
       // Notify all users in room that session has ended
       socket.to(room).emit('test_session_ended', {
@@ -665,11 +1502,12 @@ export function handleTestingEvents(socket, io, allUsers) {
   // Student requests speech synthesis for a word
   socket.on('request_word_pronunciation', (data) => {
     try {
-      const { word, studentId, sessionId } = data
+      const { word, sessionId } = data
+      const studentId = getSocketProfileId(socket)
 
       // Validate required data
-      if (!word || !studentId) {
-        socket.emit('test_error', { message: 'Missing word or student ID' })
+      if (!word) {
+        socket.emit('test_error', { message: 'Missing word' })
         return
       }
 
@@ -706,18 +1544,42 @@ export function handleTestingEvents(socket, io, allUsers) {
   })
 
   // Teacher updates test session settings
-  socket.on('update_test_settings', (data) => {
+  socket.on('update_test_settings', async (data) => {
     try {
       const { sessionId, settings, room } = data
 
+      if (rejectUnlessRole('teacher', 'update test settings')) return
+
+      const activeSession = activeTestSessions.get(sessionId)
+      if (rejectUnlessSessionTeacher(activeSession, sessionId)) return
+
       // Validate required data
       if (!sessionId || !settings || !room) {
         socket.emit('test_error', { message: 'Missing test settings data' })
         return
       }
 
+      if (settings.timeLimit != null && !isValidTimeLimit(settings.timeLimit)) {
+        socket.emit('test_error', { message: TIME_LIMIT_ERROR })
+        return
+      }
+
       console.log(`Updating test settings for session ${sessionId}`)
 
+      // Kept on the session so reconnecting clients get the same settings
+      activeSession.settings = settings
+
+      // A new limit applies to the word already on the clock too
+      if (settings.timeLimit !== undefined) {
+        activeSession.timeLimit = settings.timeLimit || null
+        scheduleWordTimer(io, activeSession)
+      }
+      if (settings.autoAdvance !== undefined) {
+        activeSession.autoAdvance = Boolean(settings.autoAdvance)
+      }
+
+      await saveLiveSession(activeSession)
+
       // Broadcast settings update to all users in room
       socket.to(room).emit('test_settings_updated', {
         sessionId,
@@ -736,6 +1598,180 @@ export function handleTestingEvents(socket, io, allUsers) {
     }
   })
 
+  // Teacher pauses a session (fire drill, interruption): word timers stop
+  // and paused time is left out of response times and the session duration
+  socket.on('pause_test_session', async (data) => {
+    try {
+      const { sessionId, reason } = data || {}
+
+      if (rejectUnlessRole('teacher', 'pause test sessions')) return
+
+      const activeSession = activeTestSessions.get(sessionId)
+      if (rejectUnlessSessionTeacher(activeSession, sessionId)) return
+
+      if (!pauseSessionClock(activeSession)) {
+        socket.emit('test_error', {
+          message: 'Test session is already paused',
+          sessionId
+        })
+        return
+      }
+
+      clearWordTimer(sessionId)
+      await saveLiveSession(activeSession)
+      queueSessionDashboard(io, activeSession)
+
+      io.to(activeSession.room).emit('test_session_paused', {
+        sessionId,
+        reason: reason || null,
+        currentWord: activeSession.currentWord || null,
+        wordRemainingMs: getWordRemainingMs(activeSession),
+        pausedAt: new Date(activeSession.pausedAt).getTime()
+      })
+    } catch (error) {
+      console.error('Error in pause_test_session:', error)
+      socket.emit('test_error', { message: 'Failed to pause test session' })
+    }
+  })
+
+  // Student or teacher rejoins a running session after a dropped connection.
+  // A paused session stays paused unless its teacher sends `unpause: true`.
+  socket.on('resume_test_session', async (data) => {
+    try {
+      const { sessionId, unpause } = data || {}
+      const activeSession = activeTestSessions.get(sessionId)
+
+      if (!activeSession) {
+        socket.emit('test_error', {
+          message: 'Test session is no longer active',
+          sessionId
+        })
+        return
+      }
+
+      const socketUser = getSocketUser(socket)
+      const profileId = getSocketProfileId(socket)
+      const isTeacher =
+        hasSocketRole(socket, 'teacher') &&
+        String(activeSession.teacherProfileId) === profileId
+      const isParticipant =
+        activeSession.participantProfileIds.has(profileId) ||
+        activeSession.persistedParticipants.has(profileId)
+
+      if (!isTeacher && !isParticipant) {
+        socket.emit('test_error', {
+          message: 'You are not part of this test session',
+          sessionId
+        })
+        return
+      }
+
+      if (unpause && !isTeacher) {
+        socket.emit('test_error', {
+          message: 'Only the teacher running this session can change it'
+        })
+        return
+      }
+
+      // Re-associate this socket with the profile and the session room
+      const { room } = activeSession
+      socket.join(room)
+
+      const username = data.username || socketUser?.name
+      const existingUser = allUsers.find((user) => user.id === socket.id)
+      if (existingUser) {
+        existingUser.username = username
+        existingUser.user = socketUser
+        existingUser.room = room
+        existingUser.lastActivity = Date.now()
+      } else {
+        allUsers.push({
+          username,
+          user: socketUser,
+          room,
+          id: socket.id,
+          lastActivity: Date.now()
+        })
+      }
+
+      io.in(room).emit(
+        'chatroom_users',
+        allUsers.filter((user) => user.room === room)
+      )
+
+      if (isTeacher) {
+        socket.join(getTeacherRoom(sessionId))
+      }
+
+      // Ending a pause restarts the word timer with the time that was left
+      if (unpause && activeSession.pausedAt) {
+        const pausedForMs = resumeSessionClock(activeSession)
+        const wordExpiresAt = scheduleWordTimer(io, activeSession)
+        queueSessionDashboard(io, activeSession)
+
+        io.to(room).emit('test_session_unpaused', {
+          sessionId,
+          pausedForMs,
+          currentWord: activeSession.currentWord || null,
+          wordExpiresAt,
+          resumedAt: Date.now()
+        })
+      }
+
+      // Counts as activity so the sweeper does not close the session
+      await saveLiveSession(activeSession)
+
+      // Teachers get every student's responses, students only their own
+      const visibleParticipants = isTeacher
+        ? Array.from(activeSession.participants.entries())
+        : [[profileId, activeSession.participants.get(profileId)]]
+
+      const recordedResponses = visibleParticipants.flatMap(
+        ([studentId, participantState]) =>
+          Array.from(participantState?.responsesByWord.values() || []).map(
+            (response) => ({ ...response, studentId })
+          )
+      )
+
+      // Replay the current word and settings without touching responses
+      socket.emit('test_session_resumed', {
+        sessionId,
+        room,
+        teacherId: activeSession.teacherProfileId,
+        testType: activeSession.testType,
+        fryLevel: activeSession.fryLevel,
+        wordsCount: activeSession.wordsToTest.length,
+        currentWord: activeSession.currentWord || null,
+        sequence: activeSession.currentSequence || 0,
+        settings: activeSession.settings || null,
+        timeLimit: activeSession.timeLimit || null,
+        paused: Boolean(activeSession.pausedAt),
+        wordRemainingMs: getWordRemainingMs(activeSession),
+        queue: isTeacher ? getWordQueueState(activeSession) : null,
+        answeredWords: recordedResponses.map((response) => response.word),
+        responses: recordedResponses,
+        startTime: new Date(activeSession.startTime).getTime(),
+        resumedAt: Date.now()
+      })
+
+      if (isTeacher) {
+        // A reloaded teacher page gets the dashboard straight away
+        socket.emit('session_dashboard', buildSessionDashboard(activeSession))
+      } else {
+        socket.to(getTeacherRoom(sessionId)).emit('student_reconnected', {
+          sessionId,
+          studentId: profileId,
+          studentName: username,
+          answeredCount: recordedResponses.length,
+          reconnectedAt: Date.now()
+        })
+      }
+    } catch (error) {
+      console.error('Error in resume_test_session:', error)
+      socket.emit('test_error', { message: 'Failed to resume test session' })
+    }
+  })
+
   return {
     // Helper function to get active test sessions in a room
     getActiveTestSessions: (room) => {